@@ -0,0 +1,43 @@
+import * as path from 'path';
+import { ExtensionContext, TaskScope, commands, tasks, window, workspace } from 'vscode';
+import { requireCompilerPath } from './compiler';
+import { VOLTA_TASK_TYPE, createVoltaTask } from './tasks';
+
+/**
+ * Registers "Volta: Run Current File" and "Volta: Check Current File".
+ * Both run as tasks, so their errors reach the Problems panel through the `$volta` matcher.
+ */
+export function registerCommands(context: ExtensionContext): void {
+  context.subscriptions.push(
+    commands.registerCommand('volta.runFile', () => runCurrentFile('run')),
+    commands.registerCommand('volta.checkFile', () => runCurrentFile('check'))
+  );
+}
+
+async function runCurrentFile(command: 'run' | 'check'): Promise<void> {
+  const editor = window.activeTextEditor;
+  if (!editor || editor.document.languageId !== 'volta') {
+    window.showErrorMessage('Open a Volta file to run it.');
+    return;
+  }
+
+  const document = editor.document;
+  if (document.isUntitled || document.uri.scheme !== 'file') {
+    window.showErrorMessage('Save the file before running it.');
+    return;
+  }
+  // The compiler reads the file from disk
+  if (document.isDirty && !await document.save()) {
+    return;
+  }
+
+  const compilerPath = requireCompilerPath(document.uri);
+  if (!compilerPath) {
+    return;
+  }
+
+  const folder = workspace.getWorkspaceFolder(document.uri);
+  const file = folder ? path.relative(folder.uri.fsPath, document.uri.fsPath) : document.uri.fsPath;
+  const task = createVoltaTask({ type: VOLTA_TASK_TYPE, command, file }, folder || TaskScope.Workspace, compilerPath);
+  await tasks.executeTask(task);
+}
@@ -0,0 +1,47 @@
+import { Uri, window, workspace } from 'vscode';
+import { findVoltaCompiler, getCompilerNotFoundMessage } from '../shared/compilerPath';
+import { ProjectConfig, readProjectFile } from '../shared/projectConfig';
+
+/**
+ * Resolves the Volta compiler from the resource folder's `volta.json` or from
+ * `volta.compilerPath`, the same way the language server does.
+ * `${workspaceFolder}` is tried against the resource's folder first.
+ */
+export function getCompilerPath(resource?: Uri): string | null {
+  const folder = resource && workspace.getWorkspaceFolder(resource);
+  const projectPath = folder ? readProjectFile(folder.uri.fsPath).config.compilerPath : undefined;
+  if (projectPath !== undefined && folder) {
+    return findVoltaCompiler(projectPath, [folder.uri.fsPath]);
+  }
+  const configuredPath = workspace.getConfiguration('volta', resource).get<string>('compilerPath');
+  return findVoltaCompiler(configuredPath, getWorkspaceFolderPaths(resource));
+}
+
+/**
+ * The project file of the workspace folder containing a resource; empty outside every folder
+ */
+export function getProjectConfig(resource?: Uri): ProjectConfig {
+  const folder = resource && workspace.getWorkspaceFolder(resource);
+  return folder ? readProjectFile(folder.uri.fsPath).config : {};
+}
+
+/**
+ * The paths of the open workspace folders, starting with the one containing a resource
+ */
+export function getWorkspaceFolderPaths(resource?: Uri): string[] {
+  const folders = (workspace.workspaceFolders || []).map(folder => folder.uri.fsPath);
+  const own = resource && workspace.getWorkspaceFolder(resource)?.uri.fsPath;
+  return own ? [own, ...folders.filter(folder => folder !== own)] : folders;
+}
+
+/**
+ * Resolves the Volta compiler, telling the user how to configure it when it cannot be found
+ */
+export function requireCompilerPath(resource?: Uri): string | undefined {
+  const compilerPath = getCompilerPath(resource);
+  if (!compilerPath) {
+    window.showErrorMessage(getCompilerNotFoundMessage());
+    return undefined;
+  }
+  return compilerPath;
+}
@@ -1,5 +1,5 @@
 import * as path from 'path';
-import { workspace, ExtensionContext } from 'vscode';
+import { workspace, ExtensionContext, tasks } from 'vscode';
 
 import {
   LanguageClient,
@@ -7,6 +7,12 @@ import {
   ServerOptions,
   TransportKind
 } from 'vscode-languageclient/node';
+import { BUILTIN_SOURCE_SCHEME } from '../shared/builtinSource';
+import { PROJECT_FILE_NAME } from '../shared/projectConfig';
+import { registerCommands } from './commands';
+import { registerReplCommands } from './repl';
+import { registerCompilerStatus } from './statusBar';
+import { VOLTA_TASK_TYPE, VoltaTaskProvider } from './tasks';
 
 let client: LanguageClient;
 
@@ -30,10 +36,20 @@ export function activate(context: ExtensionContext) {
   // Options to control the language client
   const clientOptions: LanguageClientOptions = {
     // Register the server for volta documents
-    documentSelector: [{ scheme: 'file', language: 'volta' }],
+    documentSelector: [
+      { scheme: 'file', language: 'volta' },
+      { scheme: 'untitled', language: 'volta' }
+    ],
     synchronize: {
-      // Notify the server about file changes to '.vlt' files contained in the workspace
-      fileEvents: workspace.createFileSystemWatcher('**/.vlt')
+      // Notify the server about file changes to '.vlt' files and project files contained in the workspace
+      fileEvents: [
+        workspace.createFileSystemWatcher('**/*.vlt'),
+        workspace.createFileSystemWatcher(`**/${PROJECT_FILE_NAME}`)
+      ]
+    },
+    initializationOptions: {
+      // Lets the server persist its workspace symbol index across restarts
+      storagePath: context.globalStorageUri.fsPath
     }
   };
 
@@ -45,9 +61,22 @@ export function activate(context: ExtensionContext) {
     clientOptions
   );
 
+  // The server reports the compiler it found as soon as it starts
+  registerCompilerStatus(context, client);
+
   // Start the client. This will also launch the server
   client.start();
 
+  // Built-ins have no source; go-to-definition opens a read-only description the server wrote into the URI
+  context.subscriptions.push(workspace.registerTextDocumentContentProvider(BUILTIN_SOURCE_SCHEME, {
+    provideTextDocumentContent: uri => uri.query
+  }));
+
+  // Run and check commands, and a run/check task for every Volta file
+  registerCommands(context);
+  registerReplCommands(context);
+  context.subscriptions.push(tasks.registerTaskProvider(VOLTA_TASK_TYPE, new VoltaTaskProvider()));
+
   console.log('Volta extension activated!');
 }
 
@@ -0,0 +1,339 @@
+import { ChildProcess, execFile, spawn } from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import {
+  EventEmitter,
+  ExtensionContext,
+  Pseudoterminal,
+  Selection,
+  Terminal,
+  TextDocument,
+  TextEditor,
+  commands,
+  window,
+  workspace
+} from 'vscode';
+import { toCodeLines } from '../shared/codeLines';
+import { requireCompilerPath } from './compiler';
+
+// A REPL that exits sooner than this after starting is not restarted automatically
+const MIN_REPL_LIFETIME_MS = 1000;
+
+// A session run that takes longer than this is stopped, e.g. an endless loop
+const SESSION_RUN_TIMEOUT_MS = 30000;
+
+const PROMPT = '>>> ';
+
+// Compilers probed for `--repl`, so `--help` runs once per path
+const replSupport = new Map<string, Promise<boolean>>();
+
+/**
+ * The terminal behind "Volta: Start REPL".
+ *
+ * With a compiler that has a `--repl` mode, input goes to that process, which is
+ * restarted when it exits. Otherwise every submission is appended to a session file
+ * that is re-run, and only the output the new code produced is shown. Both run in the
+ * workspace folder; the session file itself lives in the temp directory.
+ */
+class VoltaRepl implements Pseudoterminal {
+  private readonly writeEmitter = new EventEmitter<string>();
+  private readonly closeEmitter = new EventEmitter<void>();
+  readonly onDidWrite = this.writeEmitter.event;
+  readonly onDidClose = this.closeEmitter.event;
+
+  private process: ChildProcess | undefined;
+  private startedAt = 0;
+  private disposed = false;
+  private input = '';
+
+  private readonly sessionFile: string;
+  private session = '';
+  private sessionOutput = '';
+  private running: Promise<void> = Promise.resolve();
+  private sessionRun: ChildProcess | undefined;
+  private interrupted = false;
+
+  constructor(
+    private readonly compilerPath: string,
+    private readonly interactive: boolean,
+    private readonly cwd: string | undefined
+  ) {
+    this.sessionFile = path.join(os.tmpdir(), `volta-repl-${process.pid}-${Date.now()}.vlt`);
+  }
+
+  open(): void {
+    if (this.interactive) {
+      this.startProcess();
+    } else {
+      this.write('Volta REPL (session file mode: each submission re-runs the whole session)\n');
+      this.write(PROMPT);
+    }
+  }
+
+  close(): void {
+    this.disposed = true;
+    this.process?.kill();
+    this.sessionRun?.kill();
+    fs.promises.unlink(this.sessionFile).catch(() => {
+      // The session file may never have been written
+    });
+  }
+
+  /**
+   * Handles keys typed in the terminal: a line is submitted on Enter
+   */
+  handleInput(data: string): void {
+    if (this.interactive && !this.process) {
+      // The REPL exited too quickly to be restarted on its own
+      this.startProcess();
+      return;
+    }
+
+    for (const char of data) {
+      if (char === '\r') {
+        this.write('\n');
+        const line = this.input;
+        this.input = '';
+        this.submit(line, false);
+      } else if (char === '\x7f') {
+        if (this.input.length > 0) {
+          this.input = this.input.slice(0, -1);
+          this.writeEmitter.fire('\b \b');
+        }
+      } else if (char === '\x03' && this.sessionRun) {
+        // The prompt comes back once the run has stopped
+        this.input = '';
+        this.interrupted = true;
+        this.sessionRun.kill();
+        this.write('^C\n');
+      } else if (char === '\x03') {
+        this.input = '';
+        this.write('^C\n' + (this.interactive ? '' : PROMPT));
+      } else if (char >= ' ') {
+        this.input += char;
+        this.writeEmitter.fire(char);
+      }
+    }
+  }
+
+  /**
+   * Sends code to the REPL as one unit. Code sent from an editor is echoed first.
+   */
+  submit(code: string, echo = true): void {
+    if (echo) {
+      this.write(code + '\n');
+    }
+
+    if (this.interactive) {
+      if (!this.process) {
+        this.startProcess();
+      }
+      this.process?.stdin?.write(code + '\n');
+      return;
+    }
+
+    this.running = this.running.then(() => this.runSession(code));
+  }
+
+  private startProcess(): void {
+    this.startedAt = Date.now();
+    const child = spawn(this.compilerPath, ['--repl'], { cwd: this.cwd });
+    this.process = child;
+
+    child.stdout?.on('data', (data: Buffer) => this.write(data.toString()));
+    child.stderr?.on('data', (data: Buffer) => this.write(data.toString()));
+    child.on('error', error => this.write(`Failed to start the REPL: ${error.message}\n`));
+    child.on('exit', code => {
+      if (this.process !== child) {
+        return;
+      }
+      this.process = undefined;
+      if (this.disposed) {
+        return;
+      }
+      if (Date.now() - this.startedAt < MIN_REPL_LIFETIME_MS) {
+        this.write(`\nREPL exited with code ${code}. Press any key to restart it.\n`);
+        return;
+      }
+      this.write(`\nREPL exited with code ${code}, restarting...\n`);
+      this.startProcess();
+    });
+  }
+
+  /**
+   * Re-runs the session with new code appended. Code that fails is dropped
+   * from the session so that one mistake does not break every later run.
+   */
+  private async runSession(code: string): Promise<void> {
+    if (code.trim()) {
+      const session = this.session + code + '\n';
+      try {
+        await fs.promises.writeFile(this.sessionFile, session, 'utf8');
+      } catch (error) {
+        this.write(`Failed to write the session file: ${error instanceof Error ? error.message : String(error)}\n`);
+        this.write(PROMPT);
+        return;
+      }
+      const result = await this.runSessionFile();
+
+      if (result.stopped) {
+        this.write(this.interrupted ? 'Interrupted\n' : `Stopped after ${SESSION_RUN_TIMEOUT_MS / 1000} seconds\n`);
+      } else if (result.exitCode === 0) {
+        this.session = session;
+        // Earlier submissions print again on every run; show only what is new
+        const output = result.stdout.startsWith(this.sessionOutput)
+          ? result.stdout.substring(this.sessionOutput.length)
+          : result.stdout;
+        this.sessionOutput = result.stdout;
+        this.write(output);
+      } else {
+        this.write((result.stderr || result.stdout).split(this.sessionFile).join('<repl>'));
+      }
+    }
+    this.write(PROMPT);
+  }
+
+  /**
+   * Runs the session file, keeping the process so Ctrl+C and closing the terminal can stop it
+   */
+  private runSessionFile(): Promise<{ exitCode: number | null; stdout: string; stderr: string; stopped: boolean }> {
+    this.interrupted = false;
+    return new Promise(resolve => {
+      this.sessionRun = execFile(
+        this.compilerPath,
+        [this.sessionFile],
+        { cwd: this.cwd, timeout: SESSION_RUN_TIMEOUT_MS },
+        (error, stdout, stderr) => {
+          this.sessionRun = undefined;
+          const exitCode = error ? (typeof error.code === 'number' ? error.code : 1) : 0;
+          resolve({ exitCode, stdout, stderr: stderr || (error && !stdout ? error.message : ''), stopped: !!error?.killed });
+        }
+      );
+    });
+  }
+
+  private write(text: string): void {
+    // Terminals need a carriage return before each line break
+    this.writeEmitter.fire(text.replace(/\r?\n/g, '\r\n'));
+  }
+}
+
+let repl: { terminal: Terminal; pty: VoltaRepl } | undefined;
+
+/**
+ * Registers "Volta: Start REPL" and "Volta: Send Selection / Current Line to REPL"
+ */
+export function registerReplCommands(context: ExtensionContext): void {
+  context.subscriptions.push(
+    commands.registerCommand('volta.startRepl', async () => {
+      const started = await startRepl();
+      started?.terminal.show();
+    }),
+    commands.registerCommand('volta.sendToRepl', async () => {
+      const editor = window.activeTextEditor;
+      if (!editor) {
+        return;
+      }
+      const code = getCodeToSend(editor);
+      if (!code.trim()) {
+        return;
+      }
+      const started = await startRepl();
+      if (started) {
+        started.terminal.show(true);
+        started.pty.submit(code);
+      }
+    }),
+    window.onDidCloseTerminal(terminal => {
+      if (repl && repl.terminal === terminal) {
+        repl = undefined;
+      }
+    })
+  );
+}
+
+/**
+ * Returns the running REPL, or opens a new one
+ */
+async function startRepl(): Promise<{ terminal: Terminal; pty: VoltaRepl } | undefined> {
+  if (repl) {
+    return repl;
+  }
+
+  const resource = window.activeTextEditor?.document.uri;
+  const compilerPath = requireCompilerPath(resource);
+  if (!compilerPath) {
+    return undefined;
+  }
+
+  const folder = (resource && workspace.getWorkspaceFolder(resource)) || workspace.workspaceFolders?.[0];
+  const pty = new VoltaRepl(compilerPath, await hasReplMode(compilerPath), folder?.uri.fsPath);
+  const terminal = window.createTerminal({ name: 'Volta REPL', pty });
+  repl = { terminal, pty };
+  return repl;
+}
+
+/**
+ * The selection, or the statement at the cursor. A line that opens a block is sent
+ * together with the rest of the block, so a whole `fn` goes as one unit; the cursor
+ * then moves past what was sent.
+ */
+function getCodeToSend(editor: TextEditor): string {
+  const document = editor.document;
+  if (!editor.selection.isEmpty) {
+    return document.getText(editor.selection);
+  }
+
+  const startLine = editor.selection.active.line;
+  const endLine = findStatementEnd(document, startLine);
+  const lines: string[] = [];
+  for (let line = startLine; line <= endLine; line++) {
+    lines.push(document.lineAt(line).text);
+  }
+
+  const next = Math.min(endLine + 1, document.lineCount - 1);
+  const position = document.lineAt(next).range.start;
+  editor.selection = new Selection(position, position);
+  editor.revealRange(editor.selection);
+  return lines.join('\n');
+}
+
+/**
+ * Finds the last line of the statement starting on a line: brackets must balance,
+ * and `else` or `.method` on the next line continues it
+ */
+function findStatementEnd(document: TextDocument, startLine: number): number {
+  const codeLines = toCodeLines(document.getText());
+  let depth = 0;
+  for (let line = startLine; line < codeLines.length; line++) {
+    for (const char of codeLines[line]) {
+      if (char === '{' || char === '(' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ')' || char === ']') {
+        depth--;
+      }
+    }
+    const continues = line + 1 < codeLines.length && /^\s*(?:else\b|\.)/.test(codeLines[line + 1]);
+    if (depth <= 0 && !continues) {
+      return line;
+    }
+  }
+  return codeLines.length - 1;
+}
+
+/**
+ * Checks whether the compiler lists a `--repl` option in its `--help` output
+ */
+function hasReplMode(compilerPath: string): Promise<boolean> {
+  let support = replSupport.get(compilerPath);
+  if (!support) {
+    support = new Promise(resolve => {
+      execFile(compilerPath, ['--help'], { timeout: 5000 }, (error, stdout, stderr) => {
+        resolve(/--repl\b/.test(stdout + stderr));
+      });
+    });
+    replSupport.set(compilerPath, support);
+  }
+  return support;
+}
@@ -0,0 +1,152 @@
+import * as path from 'path';
+import {
+  ConfigurationTarget,
+  ExtensionContext,
+  MarkdownString,
+  QuickPickItem,
+  StatusBarAlignment,
+  StatusBarItem,
+  ThemeColor,
+  Uri,
+  commands,
+  window,
+  workspace
+} from 'vscode';
+import { LanguageClient } from 'vscode-languageclient/node';
+import { findVoltaCompilerCandidates } from '../shared/compilerPath';
+import { COMPILER_STATUS_NOTIFICATION, CompilerStatus } from '../shared/compilerStatus';
+import { PROJECT_FILE_NAME } from '../shared/projectConfig';
+import { getProjectConfig, getWorkspaceFolderPaths } from './compiler';
+
+interface CompilerPickItem extends QuickPickItem {
+  /** The value written to `volta.compilerPath`, or undefined for "Browse…" */
+  setting?: string;
+}
+
+/**
+ * Shows the compiler the language server uses for the active Volta file in the status bar,
+ * and registers "Volta: Select Compiler…", which the item runs when clicked
+ */
+export function registerCompilerStatus(context: ExtensionContext, client: LanguageClient): void {
+  const item = window.createStatusBarItem('volta.compiler', StatusBarAlignment.Right, 100);
+  item.name = 'Volta Compiler';
+  item.text = '$(sync~spin) Volta';
+  item.tooltip = 'Looking for the Volta compiler…';
+  item.command = 'volta.selectCompiler';
+
+  // The server reports each workspace folder's compiler, and '' for files outside every folder
+  const statuses = new Map<string, CompilerStatus>();
+
+  const update = () => {
+    const document = window.activeTextEditor?.document;
+    if (document?.languageId !== 'volta') {
+      item.hide();
+      return;
+    }
+    const folder = workspace.getWorkspaceFolder(document.uri);
+    const status = statuses.get(folder ? folder.uri.toString() : '');
+    if (status) {
+      showStatus(item, status);
+    }
+    item.show();
+  };
+  update();
+
+  context.subscriptions.push(
+    item,
+    window.onDidChangeActiveTextEditor(update),
+    client.onNotification(COMPILER_STATUS_NOTIFICATION, (status: CompilerStatus) => {
+      statuses.set(status.folderUri ? Uri.parse(status.folderUri).toString() : '', status);
+      update();
+    }),
+    commands.registerCommand('volta.selectCompiler', selectCompiler)
+  );
+}
+
+function showStatus(item: StatusBarItem, status: CompilerStatus): void {
+  const tooltip = new MarkdownString();
+  if (!status.path) {
+    item.text = '$(warning) Volta';
+    item.backgroundColor = new ThemeColor('statusBarItem.warningBackground');
+    tooltip.appendMarkdown('Volta compiler not found. Click to select one.');
+    item.tooltip = tooltip;
+    return;
+  }
+
+  item.text = `$(zap) Volta ${status.version || ''}`.trimEnd();
+  item.backgroundColor = status.outdated ? new ThemeColor('statusBarItem.warningBackground') : undefined;
+  tooltip.appendMarkdown(`**Volta compiler** ${status.version || '(unknown version)'}\n\n`);
+  tooltip.appendText(status.path);
+  if (status.outdated) {
+    tooltip.appendMarkdown('\n\nOlder than `volta.minimumCompilerVersion`.');
+  }
+  if (status.unsupportedCommands.length > 0) {
+    tooltip.appendMarkdown(`\n\nNot supported: ${status.unsupportedCommands.map(command => `\`${command}\``).join(', ')}`);
+  }
+  tooltip.appendMarkdown('\n\nClick to select another compiler.');
+  item.tooltip = tooltip;
+}
+
+/**
+ * Lets the user pick one of the compilers found on disk, or browse for one, and saves
+ * the choice in `volta.compilerPath`, for the active file's folder when several are open.
+ * Compilers inside a workspace folder are saved relative to `${workspaceFolder}` so the
+ * setting can be shared.
+ */
+async function selectCompiler(): Promise<void> {
+  const resource = window.activeTextEditor?.document.uri;
+  const folders = getWorkspaceFolderPaths(resource);
+  if (getProjectConfig(resource).compilerPath !== undefined) {
+    const choice = await window.showWarningMessage(
+      `The compiler of this folder is set by its ${PROJECT_FILE_NAME}, which takes precedence over volta.compilerPath.`,
+      'Select Anyway'
+    );
+    if (!choice) {
+      return;
+    }
+  }
+  const current = workspace.getConfiguration('volta', resource).get<string>('compilerPath');
+
+  const items: CompilerPickItem[] = findVoltaCompilerCandidates(folders).map(candidate => {
+    const setting = toSetting(candidate, folders);
+    return { label: candidate, description: setting === current ? 'current' : undefined, setting };
+  });
+  items.push(
+    { label: 'volta', description: 'Search PATH when the server starts', setting: 'volta' },
+    { label: '$(folder-opened) Browse…' }
+  );
+
+  const picked = await window.showQuickPick(items, { placeHolder: 'Select the Volta compiler' });
+  if (!picked) {
+    return;
+  }
+
+  let setting = picked.setting;
+  if (setting === undefined) {
+    const selected = await window.showOpenDialog({
+      canSelectMany: false,
+      openLabel: 'Use as Volta Compiler',
+      defaultUri: folders.length > 0 ? Uri.file(folders[0]) : undefined
+    });
+    if (!selected || selected.length === 0) {
+      return;
+    }
+    setting = toSetting(selected[0].fsPath, folders);
+  }
+
+  const folder = resource && workspace.getWorkspaceFolder(resource);
+  const target = (workspace.workspaceFolders || []).length > 1 && folder
+    ? ConfigurationTarget.WorkspaceFolder
+    : workspace.workspaceFolders ? ConfigurationTarget.Workspace : ConfigurationTarget.Global;
+  await workspace.getConfiguration('volta', resource).update('compilerPath', setting, target);
+}
+
+function toSetting(compilerPath: string, folders: string[]): string {
+  for (const folder of folders) {
+    const relative = path.relative(folder, compilerPath);
+    if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+      return '${workspaceFolder}/' + relative.split(path.sep).join('/');
+    }
+  }
+  return compilerPath;
+}
@@ -0,0 +1,185 @@
+import { ChildProcess, spawn } from 'child_process';
+import * as path from 'path';
+import {
+  CustomExecution,
+  EventEmitter,
+  Pseudoterminal,
+  Task,
+  TaskDefinition,
+  TaskGroup,
+  TaskProvider,
+  TaskScope,
+  Uri,
+  WorkspaceFolder,
+  workspace
+} from 'vscode';
+import { createExcludeMatcher } from '../shared/projectConfig';
+import { getCompilerPath, getProjectConfig } from './compiler';
+
+export const VOLTA_TASK_TYPE = 'volta';
+
+// Declared under `problemMatchers` in package.json
+const PROBLEM_MATCHER = '$volta';
+
+// The compiler's text format: `:line:col-col: error: message`, with 0-indexed columns
+const COMPILER_ERROR_REGEX = /^:(\d+):(\d+)(?:-(\d+))?: (error|warning|info): (.*)$/;
+
+/**
+ * A `volta` task in tasks.json (see `taskDefinitions` in package.json)
+ */
+export interface VoltaTaskDefinition extends TaskDefinition {
+  /** `run` executes the file, `check` only reports errors (`--no-execute`) */
+  command: 'run' | 'check';
+  /** The `.vlt` file, absolute or relative to the workspace folder */
+  file: string;
+}
+
+/**
+ * Builds the task that runs or checks a file, with the `compilerFlags` of the folder's
+ * project file. Its errors are shown as `file:line:col-col: error: message` with
+ * 1-based columns, which the `$volta` problem matcher reads.
+ */
+export function createVoltaTask(
+  definition: VoltaTaskDefinition,
+  scope: WorkspaceFolder | TaskScope.Workspace,
+  compilerPath: string
+): Task {
+  const flags = (typeof scope === 'object' && getProjectConfig(scope.uri).compilerFlags) || [];
+  const args = definition.command === 'check'
+    ? ['--no-execute', ...flags, definition.file]
+    : [...flags, definition.file];
+  const cwd = typeof scope === 'object' ? scope.uri.fsPath : path.dirname(definition.file);
+
+  const task = new Task(
+    definition,
+    scope,
+    `${definition.command} ${definition.file}`,
+    VOLTA_TASK_TYPE,
+    new CustomExecution(async () => new VoltaTaskTerminal(compilerPath, args, cwd, path.resolve(cwd, definition.file))),
+    PROBLEM_MATCHER
+  );
+  if (definition.command === 'check') {
+    task.group = TaskGroup.Build;
+  }
+  return task;
+}
+
+/**
+ * Offers a run and a check task for every `.vlt` file in the workspace that its folder's
+ * project file does not exclude, and fills in the execution of `volta` tasks written in tasks.json
+ */
+export class VoltaTaskProvider implements TaskProvider {
+  async provideTasks(): Promise<Task[]> {
+    const files = await workspace.findFiles('**/*.vlt', '**/node_modules/**');
+    const tasks: Task[] = [];
+    // Each folder has its own compiler and exclusions
+    const folders = new Map<WorkspaceFolder, { compilerPath: string | null; isExcluded: (filePath: string) => boolean }>();
+    for (const file of files) {
+      const folder = workspace.getWorkspaceFolder(file);
+      if (!folder) {
+        continue;
+      }
+      let project = folders.get(folder);
+      if (!project) {
+        project = {
+          compilerPath: getCompilerPath(folder.uri),
+          isExcluded: createExcludeMatcher(folder.uri.fsPath, getProjectConfig(folder.uri).exclude || [])
+        };
+        folders.set(folder, project);
+      }
+      const compilerPath = project.compilerPath;
+      if (!compilerPath || project.isExcluded(file.fsPath)) {
+        continue;
+      }
+      const relativePath = path.relative(folder.uri.fsPath, file.fsPath);
+      for (const command of ['run', 'check'] as const) {
+        tasks.push(createVoltaTask({ type: VOLTA_TASK_TYPE, command, file: relativePath }, folder, compilerPath));
+      }
+    }
+    return tasks;
+  }
+
+  resolveTask(task: Task): Task | undefined {
+    const definition = task.definition as VoltaTaskDefinition;
+    if (!definition.file || (definition.command !== 'run' && definition.command !== 'check')) {
+      return undefined;
+    }
+
+    const scope = typeof task.scope === 'object' ? task.scope : TaskScope.Workspace;
+    const resource = typeof scope === 'object' ? scope.uri : Uri.file(definition.file);
+    const compilerPath = getCompilerPath(resource);
+    return compilerPath ? createVoltaTask(definition, scope, compilerPath) : undefined;
+  }
+}
+
+/**
+ * Runs the compiler for a task. The compiler leaves the file out of its error positions
+ * and counts columns from 0, so each position is printed with the task's file and
+ * 1-based columns instead; everything else is passed through.
+ */
+class VoltaTaskTerminal implements Pseudoterminal {
+  private readonly writeEmitter = new EventEmitter<string>();
+  private readonly closeEmitter = new EventEmitter<number>();
+  readonly onDidWrite = this.writeEmitter.event;
+  readonly onDidClose = this.closeEmitter.event;
+
+  private process: ChildProcess | undefined;
+  private stderr = '';
+
+  constructor(
+    private readonly compilerPath: string,
+    private readonly args: string[],
+    private readonly cwd: string,
+    private readonly filePath: string
+  ) {}
+
+  open(): void {
+    const child = spawn(this.compilerPath, this.args, { cwd: this.cwd });
+    this.process = child;
+
+    child.stdout?.on('data', (data: Buffer) => this.write(data.toString()));
+    child.stderr?.on('data', (data: Buffer) => {
+      const lines = (this.stderr + data.toString()).split('\n');
+      this.stderr = lines.pop() as string;
+      for (const line of lines) {
+        this.write(this.toProblemLine(line) + '\n');
+      }
+    });
+    child.on('error', error => {
+      this.write(`Failed to start the Volta compiler: ${error.message}\n`);
+      this.process = undefined;
+      this.closeEmitter.fire(1);
+    });
+    child.on('close', code => {
+      if (this.process !== child) {
+        return;
+      }
+      this.process = undefined;
+      if (this.stderr) {
+        this.write(this.toProblemLine(this.stderr) + '\n');
+      }
+      this.closeEmitter.fire(code ?? 1);
+    });
+  }
+
+  close(): void {
+    const child = this.process;
+    this.process = undefined;
+    child?.kill();
+  }
+
+  private toProblemLine(line: string): string {
+    const match = line.replace(/\r$/, '').match(COMPILER_ERROR_REGEX);
+    if (!match) {
+      return line;
+    }
+    const [, lineNumber, column, endColumn, severity, message] = match;
+    const end = endColumn !== undefined ? `-${Number(endColumn) + 1}` : '';
+    return `${this.filePath}:${lineNumber}:${Number(column) + 1}${end}: ${severity}: ${message}`;
+  }
+
+  private write(text: string): void {
+    // Terminals need a carriage return before each line break
+    this.writeEmitter.fire(text.replace(/\r?\n/g, '\r\n'));
+  }
+}
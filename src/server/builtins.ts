@@ -0,0 +1,62 @@
+/**
+ * A function the language or its standard library provides
+ */
+export interface BuiltinFunction {
+  name: string;
+  parameters: string[];
+  signature: string;
+  documentation: string;
+}
+
+// Functions available without an import
+export const GLOBAL_FUNCTIONS: BuiltinFunction[] = [
+  { name: 'print', parameters: ['value'], signature: 'fn print(value)', documentation: 'Prints a value to standard output.' },
+  { name: 'str', parameters: ['value'], signature: 'fn str(value) -> str', documentation: 'Converts a value to a string.' },
+  { name: 'int', parameters: ['value'], signature: 'fn int(value) -> int', documentation: 'Converts a value to an integer.' },
+  { name: 'float', parameters: ['value'], signature: 'fn float(value) -> float', documentation: 'Converts a value to a float.' },
+  { name: 'range', parameters: ['n'], signature: 'fn range(n: int) -> Array[int]', documentation: 'The integers from 0 up to, but not including, n.' }
+];
+
+// Functions named in docs/volta_spec.md for the standard modules
+export const MODULE_FUNCTIONS: { [module: string]: BuiltinFunction[] } = {
+  math: [
+    { name: 'sin', parameters: ['x'], signature: 'fn sin(x: float) -> float', documentation: 'Sine of an angle in radians.' },
+    { name: 'cos', parameters: ['x'], signature: 'fn cos(x: float) -> float', documentation: 'Cosine of an angle in radians.' },
+    { name: 'sqrt', parameters: ['x'], signature: 'fn sqrt(x: float) -> float', documentation: 'Square root.' },
+    { name: 'exp', parameters: ['x'], signature: 'fn exp(x: float) -> float', documentation: 'e raised to the power of x.' },
+    { name: 'log', parameters: ['x'], signature: 'fn log(x: float) -> float', documentation: 'Natural logarithm.' }
+  ],
+  stats: [
+    { name: 'mean', parameters: ['data'], signature: 'fn mean(data: Array[float]) -> float', documentation: 'Arithmetic mean.' },
+    { name: 'median', parameters: ['data'], signature: 'fn median(data: Array[float]) -> float', documentation: 'Middle value.' },
+    { name: 'std', parameters: ['data'], signature: 'fn std(data: Array[float]) -> float', documentation: 'Standard deviation.' }
+  ]
+};
+
+// Methods of the built-in types, from docs/volta_spec.md
+export const BUILTIN_METHODS: { [type: string]: BuiltinFunction[] } = {
+  Array: [
+    { name: 'len', parameters: [], signature: 'fn len() -> int', documentation: 'Number of elements.' },
+    { name: 'map', parameters: ['f'], signature: 'fn map(f: fn(T) -> U) -> Array[U]', documentation: 'Applies a function to every element.' },
+    { name: 'filter', parameters: ['f'], signature: 'fn filter(f: fn(T) -> bool) -> Array[T]', documentation: 'Keeps the elements a predicate accepts.' },
+    { name: 'reduce', parameters: ['f', 'initial'], signature: 'fn reduce(f: fn(U, T) -> U, initial: U) -> U', documentation: 'Folds the elements into one value.' },
+    { name: 'dot', parameters: ['other'], signature: 'fn dot(other: Array[float]) -> float', documentation: 'Dot product.' }
+  ],
+  Matrix: [
+    { name: 'transpose', parameters: [], signature: 'fn transpose() -> Matrix', documentation: 'Swaps rows and columns.' },
+    { name: 'determinant', parameters: [], signature: 'fn determinant() -> float', documentation: 'Determinant of a square matrix.' }
+  ],
+  Option: [
+    { name: 'map', parameters: ['f'], signature: 'fn map(f: fn(T) -> U) -> Option[U]', documentation: 'Transforms the value, if there is one.' },
+    { name: 'unwrap_or', parameters: ['default'], signature: 'fn unwrap_or(default: T) -> T', documentation: 'The value, or a default for None.' }
+  ]
+};
+
+// Functions called on the type itself, e.g. `Matrix.zeros(3, 3)`
+export const BUILTIN_STATIC_FUNCTIONS: { [type: string]: BuiltinFunction[] } = {
+  Matrix: [
+    { name: 'zeros', parameters: ['rows', 'cols'], signature: 'fn zeros(rows: int, cols: int) -> Matrix', documentation: 'Matrix filled with zeros.' },
+    { name: 'identity', parameters: ['n'], signature: 'fn identity(n: int) -> Matrix', documentation: 'n by n identity matrix.' },
+    { name: 'from_array', parameters: ['data'], signature: 'fn from_array(data: Array[Array[float]]) -> Matrix', documentation: 'Matrix from nested arrays.' }
+  ]
+};
@@ -0,0 +1,153 @@
+import * as path from 'path';
+import { CallHierarchyItem, Range, SymbolKind } from 'vscode-languageserver/node';
+import { SourceDeclaration, SourceOutline } from './declarations';
+import { VOLTA_KEYWORDS } from './language';
+
+/**
+ * The higher-order array methods that call the function value they are given
+ */
+export type IndirectCall = 'map' | 'filter' | 'reduce';
+
+/**
+ * A call found in the source: `name(...)`, `value.name(...)`, or a function passed
+ * by name to `map`, `filter` or `reduce`
+ */
+export interface CallSite {
+  name: string;
+  /** 0-indexed position of the called name */
+  line: number;
+  character: number;
+  /** Set when the function is not called here but handed to one of these methods */
+  via?: IndirectCall;
+  /** Called on a value (`p.distance()`), so the same name may mean different methods */
+  isMethodCall: boolean;
+}
+
+/**
+ * One edge of the hierarchy before grouping: the function at the other end and where the call is
+ */
+export interface Call {
+  item: CallHierarchyItem;
+  range: Range;
+  via?: IndirectCall;
+}
+
+// `xs.map(` or `xs.reduce(` right before a function passed by name, optionally as `Struct.`
+const INDIRECT_BEFORE_REGEX = /\.(map|filter|reduce)\s*\(\s*(?:[A-Za-z_]\w*\.)?$/;
+const INDIRECT_ARGUMENT_REGEX = /\.(map|filter|reduce)\s*\(\s*((?:[A-Za-z_]\w*\.)?)([A-Za-z_]\w*)\s*[,)]/g;
+const CALL_REGEX = /([A-Za-z_]\w*)\s*\(/g;
+
+/**
+ * Tells how a reference to a function uses it: called directly, passed to `map`,
+ * `filter` or `reduce`, or neither (e.g. stored in a variable)
+ */
+export function classifyReference(lineText: string, character: number, nameLength: number): 'call' | IndirectCall | undefined {
+  const after = lineText.substring(character + nameLength);
+  if (/^\s*\(/.test(after)) {
+    return 'call';
+  }
+  const indirect = lineText.substring(0, character).match(INDIRECT_BEFORE_REGEX);
+  return indirect && /^\s*[,)]/.test(after) ? indirect[1] as IndirectCall : undefined;
+}
+
+/**
+ * The function or method declared on a line, if any
+ */
+export function findFunctionDeclaration(outline: SourceOutline, line: number): SourceDeclaration | undefined {
+  return outline.declarations.find(declaration =>
+    (declaration.kind === 'function' || declaration.kind === 'method') && declaration.line === line
+  );
+}
+
+/**
+ * Every call made in the body of a function or method, in source order
+ */
+export function findCallSites(outline: SourceOutline, declaration: SourceDeclaration): CallSite[] {
+  const sites: CallSite[] = [];
+  const endLine = declaration.endLine ?? declaration.line;
+
+  for (let line = declaration.line; line <= endLine; line++) {
+    const code = outline.codeLines[line] || '';
+    for (const match of code.matchAll(CALL_REGEX)) {
+      const character = match.index as number;
+      const name = match[1];
+      // The declared name itself, and `fn(` lambdas or `if (` conditions, are no calls
+      const isDeclaredName = line === declaration.line && character === declaration.character;
+      if (isDeclaredName || VOLTA_KEYWORDS.includes(name) || /\w$/.test(code.substring(0, character))) {
+        continue;
+      }
+      sites.push({ name, line, character, isMethodCall: /\.\s*$/.test(code.substring(0, character)) });
+    }
+    for (const match of code.matchAll(INDIRECT_ARGUMENT_REGEX)) {
+      const character = (match.index as number) + match[0].lastIndexOf(match[3], match[0].length - 1);
+      sites.push({ name: match[3], line, character, via: match[1] as IndirectCall, isMethodCall: !!match[2] });
+    }
+  }
+
+  return sites.sort((a, b) => a.line - b.line || a.character - b.character);
+}
+
+/**
+ * The hierarchy item of a function or method; its range spans the whole body
+ */
+export function toCallHierarchyItem(declaration: SourceDeclaration, uri: string, lines: string[]): CallHierarchyItem {
+  const endLine = declaration.endLine ?? declaration.line;
+  return {
+    name: declaration.owner ? `${declaration.owner}.${declaration.name}` : declaration.name,
+    kind: declaration.kind === 'method' ? SymbolKind.Method : SymbolKind.Function,
+    detail: declaration.signature,
+    uri,
+    range: {
+      start: { line: declaration.line, character: 0 },
+      end: { line: endLine, character: (lines[endLine] || '').length }
+    },
+    selectionRange: {
+      start: { line: declaration.line, character: declaration.character },
+      end: { line: declaration.line, character: declaration.character + declaration.name.length }
+    }
+  };
+}
+
+/**
+ * Stands in for the caller of calls made at the top level of a file, outside every function
+ */
+export function toFileItem(uri: string, lines: string[]): CallHierarchyItem {
+  const start = { line: 0, character: 0 };
+  return {
+    name: path.basename(decodeURIComponent(uri)),
+    kind: SymbolKind.File,
+    detail: 'top level',
+    uri,
+    range: { start, end: { line: Math.max(0, lines.length - 1), character: (lines[lines.length - 1] || '').length } },
+    selectionRange: { start, end: start }
+  };
+}
+
+/**
+ * Merges the calls to or from the same function. Indirect calls form their own entry,
+ * whose detail says which methods the function was passed to.
+ */
+export function groupCalls(calls: Call[]): Array<{ item: CallHierarchyItem; ranges: Range[] }> {
+  const groups = new Map<string, { item: CallHierarchyItem; ranges: Range[]; via: Set<IndirectCall> }>();
+
+  for (const call of calls) {
+    const start = call.item.selectionRange.start;
+    const key = `${call.item.uri}:${start.line}:${start.character}:${call.via ? 'indirect' : 'direct'}`;
+    let group = groups.get(key);
+    if (!group) {
+      group = { item: call.item, ranges: [], via: new Set() };
+      groups.set(key, group);
+    }
+    group.ranges.push(call.range);
+    if (call.via) {
+      group.via.add(call.via);
+    }
+  }
+
+  return Array.from(groups.values()).map(({ item, ranges, via }) => ({
+    item: via.size > 0
+      ? { ...item, detail: `indirect via ${Array.from(via).map(method => `.${method}()`).join(', ')}` }
+      : item,
+    ranges
+  }));
+}
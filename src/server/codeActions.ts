@@ -0,0 +1,321 @@
+import { CodeAction, CodeActionKind, Diagnostic, Position, TextEdit } from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { CORE_MODULES, inferLiteralType } from './language';
+
+/**
+ * The mistakes the server knows how to fix
+ */
+type FixKind = 'addMut' | 'wrapSome' | 'addImport' | 'convertNumber' | 'removeUnused';
+
+/**
+ * Diagnostic codes reported in the compiler's JSON output (see docs/compiler_lsp_interface.md).
+ * Messages are matched as well, for compilers that only print the text format, except where
+ * a guess from the message could insert the wrong code.
+ */
+const FIX_MATCHERS: Array<{ kind: FixKind; code: string; message: RegExp }> = [
+  { kind: 'addMut', code: 'E0301', message: /assign(?:ment)? to immutable (?:variable )?'?(\w+)'?/i },
+  { kind: 'wrapSome', code: 'E0302', message: /expected(?: type)?:? Option\[/i },
+  { kind: 'addImport', code: 'E0303', message: /'(\w+)' is not imported/ },
+  { kind: 'convertNumber', code: 'E0304', message: /expected(?: type)?:? (int|float)\b.*(?:actual|found|got):? (int|float)\b/i },
+  { kind: 'removeUnused', code: 'W0101', message: /unused variable '?(\w+)'?/i }
+];
+
+const FIX_ALL_TITLES: { [kind in FixKind]: string } = {
+  addMut: 'Add `mut` to all immutable variables that are assigned',
+  wrapSome: 'Wrap all values expected as Option in `Some(...)`',
+  addImport: 'Add all missing imports',
+  convertNumber: 'Insert all int/float conversions',
+  removeUnused: 'Remove all unused variables'
+};
+
+// Fixes offered only for their diagnostic code, never for a message that looks similar
+const CODE_ONLY_FIX_KINDS: FixKind[] = ['addImport'];
+
+// Fixes that never delete code, applied by "Fix all" on save
+const SAFE_FIX_KINDS: FixKind[] = ['addMut', 'wrapSome', 'addImport', 'convertNumber'];
+
+export const FIX_ALL_KIND = `${CodeActionKind.SourceFixAll}.volta`;
+
+/**
+ * Looks up the type of the variable declared at a position (0-indexed), e.g. through the compiler
+ */
+export type TypeResolver = (position: Position) => Promise<string | undefined>;
+
+interface QuickFix {
+  kind: FixKind;
+  title: string;
+  edits: TextEdit[];
+}
+
+/**
+ * Builds the quick fixes for the diagnostics under the cursor, a "Fix all" per kind when the
+ * file has several diagnostics of that kind, and the `source.fixAll.volta` action
+ */
+export async function getQuickFixActions(
+  document: TextDocument,
+  contextDiagnostics: Diagnostic[],
+  allDiagnostics: Diagnostic[],
+  resolveType: TypeResolver,
+  only?: string[]
+): Promise<CodeAction[]> {
+  const actions: CodeAction[] = [];
+  const wants = (kind: string) => !only || only.some(requested => kind === requested || kind.startsWith(`${requested}.`));
+
+  if (wants(CodeActionKind.QuickFix)) {
+    const offeredFixAll = new Set<FixKind>();
+
+    for (const diagnostic of contextDiagnostics) {
+      const fix = await computeQuickFix(document, diagnostic, resolveType);
+      if (!fix) {
+        continue;
+      }
+
+      actions.push({
+        title: fix.title,
+        kind: CodeActionKind.QuickFix,
+        diagnostics: [diagnostic],
+        isPreferred: true,
+        edit: { changes: { [document.uri]: fix.edits } }
+      });
+
+      const sameKind = allDiagnostics.filter(other => classifyDiagnostic(other) === fix.kind);
+      if (sameKind.length > 1 && !offeredFixAll.has(fix.kind)) {
+        offeredFixAll.add(fix.kind);
+        const edits = await collectEdits(document, sameKind, resolveType);
+        actions.push({
+          title: `${FIX_ALL_TITLES[fix.kind]} in file`,
+          kind: CodeActionKind.QuickFix,
+          diagnostics: sameKind,
+          edit: { changes: { [document.uri]: edits } }
+        });
+      }
+    }
+  }
+
+  if (only && only.some(requested => FIX_ALL_KIND.startsWith(requested) && requested !== CodeActionKind.Source)) {
+    const safe = allDiagnostics.filter(diagnostic => {
+      const kind = classifyDiagnostic(diagnostic);
+      return kind !== null && SAFE_FIX_KINDS.includes(kind);
+    });
+    const edits = await collectEdits(document, safe, resolveType);
+    if (edits.length > 0) {
+      actions.push({
+        title: 'Fix all Volta problems',
+        kind: FIX_ALL_KIND,
+        diagnostics: safe,
+        edit: { changes: { [document.uri]: edits } }
+      });
+    }
+  }
+
+  return actions;
+}
+
+/**
+ * Works out which fix applies to a diagnostic, by code first and message second
+ */
+function classifyDiagnostic(diagnostic: Diagnostic): FixKind | null {
+  for (const matcher of FIX_MATCHERS) {
+    if (diagnostic.code === matcher.code) {
+      return matcher.kind;
+    }
+  }
+  for (const matcher of FIX_MATCHERS) {
+    if (!CODE_ONLY_FIX_KINDS.includes(matcher.kind) && matcher.message.test(diagnostic.message)) {
+      return matcher.kind;
+    }
+  }
+  return null;
+}
+
+/**
+ * Computes the edits fixing one diagnostic
+ */
+async function computeQuickFix(
+  document: TextDocument,
+  diagnostic: Diagnostic,
+  resolveType: TypeResolver
+): Promise<QuickFix | null> {
+  const kind = classifyDiagnostic(diagnostic);
+  const lines = document.getText().split('\n');
+  const rangeText = document.getText(diagnostic.range);
+
+  switch (kind) {
+    case 'addMut': {
+      const name = matchGroup(diagnostic.message, FIX_MATCHERS[0].message) || rangeText.trim();
+      const edit = await addMutToDeclaration(document, lines, diagnostic, name, resolveType);
+      return edit ? { kind, title: `Make '${name}' mutable`, edits: [edit] } : null;
+    }
+    case 'wrapSome': {
+      if (!rangeText.trim()) {
+        return null;
+      }
+      return { kind, title: 'Wrap in `Some(...)`', edits: [TextEdit.replace(diagnostic.range, `Some(${rangeText})`)] };
+    }
+    case 'addImport': {
+      const module = getMissingModule(diagnostic.message, rangeText);
+      if (!module) {
+        return null;
+      }
+      const edit = insertImports(lines, [module]);
+      return edit ? { kind, title: `Add \`import ${module}\``, edits: [edit] } : null;
+    }
+    case 'convertNumber': {
+      const types = diagnostic.message.match(FIX_MATCHERS[3].message);
+      if (!types || !rangeText.trim() || types[1] === types[2]) {
+        return null;
+      }
+      const target = types[1];
+      return {
+        kind,
+        title: `Convert to \`${target}\` with \`${target}(...)\``,
+        edits: [TextEdit.replace(diagnostic.range, `${target}(${rangeText})`)]
+      };
+    }
+    case 'removeUnused': {
+      const name = matchGroup(diagnostic.message, FIX_MATCHERS[4].message) || rangeText.trim();
+      const line = diagnostic.range.start.line;
+      const declaration = new RegExp(`^\\s*${escapeRegExp(name)}\\s*:`);
+      if (!declaration.test(lines[line] || '')) {
+        return null;
+      }
+      return {
+        kind,
+        title: `Remove unused variable '${name}'`,
+        edits: [TextEdit.del({ start: { line, character: 0 }, end: { line: line + 1, character: 0 } })]
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Collects the fixes for many diagnostics, dropping duplicates such as the same import twice.
+ * Missing imports are inserted as one block, so the blank line after them comes once.
+ */
+async function collectEdits(
+  document: TextDocument,
+  diagnostics: Diagnostic[],
+  resolveType: TypeResolver
+): Promise<TextEdit[]> {
+  const edits: TextEdit[] = [];
+  const seen = new Set<string>();
+  const modules: string[] = [];
+  for (const diagnostic of diagnostics) {
+    if (classifyDiagnostic(diagnostic) === 'addImport') {
+      const module = getMissingModule(diagnostic.message, document.getText(diagnostic.range));
+      if (module && !modules.includes(module)) {
+        modules.push(module);
+      }
+      continue;
+    }
+    const fix = await computeQuickFix(document, diagnostic, resolveType);
+    for (const edit of fix ? fix.edits : []) {
+      const key = `${edit.range.start.line}:${edit.range.start.character}:${edit.range.end.line}:${edit.range.end.character}:${edit.newText}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        edits.push(edit);
+      }
+    }
+  }
+  const importEdit = modules.length > 0 ? insertImports(document.getText().split('\n'), modules) : null;
+  if (importEdit) {
+    edits.push(importEdit);
+  }
+  return edits;
+}
+
+/**
+ * Turns `x: int = 0` into `x: mut int = 0`, and `x := 0` into `x: mut int = 0`
+ */
+async function addMutToDeclaration(
+  document: TextDocument,
+  lines: string[],
+  diagnostic: Diagnostic,
+  name: string,
+  resolveType: TypeResolver
+): Promise<TextEdit | null> {
+  // Prefer the "declared here" location the compiler points at
+  const relatedLines = (diagnostic.relatedInformation || [])
+    .filter(info => info.location.uri === document.uri)
+    .map(info => info.location.range.start.line);
+  const candidates = relatedLines.length > 0
+    ? relatedLines
+    : Array.from({ length: diagnostic.range.start.line + 1 }, (_, i) => diagnostic.range.start.line - i);
+
+  const declaration = new RegExp(`^(\\s*)${escapeRegExp(name)}(\\s*)(:=|:(?!=)\\s*)`);
+  for (const line of candidates) {
+    const match = (lines[line] || '').match(declaration);
+    if (!match) {
+      continue;
+    }
+
+    const operatorStart = match[1].length + name.length + match[2].length;
+    if (match[3] !== ':=') {
+      if (/^\s*mut\b/.test(lines[line].substring(operatorStart + 1))) {
+        return null;
+      }
+      return TextEdit.insert({ line, character: operatorStart + match[3].length }, 'mut ');
+    }
+
+    const type = await resolveType({ line, character: match[1].length }) ||
+      inferLiteralType(lines[line].substring(operatorStart + 2));
+    if (!type) {
+      return null;
+    }
+    return TextEdit.replace(
+      { start: { line, character: match[1].length + name.length }, end: { line, character: operatorStart + 2 } },
+      `: mut ${type} =`
+    );
+  }
+
+  return null;
+}
+
+/**
+ * The standard module a diagnostic complains about: the name it covers, or the one quoted in its
+ * message, as long as that is exactly the name of a module
+ */
+function getMissingModule(message: string, rangeText: string): string | undefined {
+  const candidates = [rangeText.trim(), matchGroup(message, FIX_MATCHERS[2].message)];
+  return candidates.find((name): name is string => !!name && CORE_MODULES.includes(name));
+}
+
+/**
+ * Inserts `import module` lines after the existing imports, or at the top of the file after its header comments
+ */
+function insertImports(lines: string[], modules: string[]): TextEdit | null {
+  const missing = modules.filter(module => !lines.some(line => new RegExp(`^\\s*import\\s+${module}\\s*$`).test(line)));
+  if (missing.length === 0) {
+    return null;
+  }
+  const imports = missing.map(module => `import ${module}\n`).join('');
+
+  let lastImport = -1;
+  lines.forEach((line, index) => {
+    if (/^\s*import\s+\w+/.test(line)) {
+      lastImport = index;
+    }
+  });
+  if (lastImport >= 0) {
+    return TextEdit.insert({ line: lastImport + 1, character: 0 }, imports);
+  }
+
+  let line = 0;
+  while (line < lines.length && /^\s*#(?!\[)/.test(lines[line])) {
+    line++;
+  }
+  const separator = line < lines.length && lines[line].trim() !== '' ? '\n' : '';
+  return TextEdit.insert({ line, character: 0 }, imports + separator);
+}
+
+function matchGroup(text: string, regex: RegExp): string | undefined {
+  const match = text.match(regex);
+  return match ? match[1] : undefined;
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
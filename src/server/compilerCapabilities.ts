@@ -0,0 +1,104 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { runCompiler } from './compilerProcess';
+
+/**
+ * What probing a compiler found out about it
+ */
+export interface CompilerCapabilities {
+    /** What `--version` reported, e.g. `0.4.1`, or undefined when it printed no version */
+    version?: string;
+    /** `--lsp-*` commands the compiler did not answer with a JSON response */
+    unsupportedCommands: string[];
+}
+
+// Every `--lsp-*` command the server uses (see docs/compiler_lsp_interface.md)
+export const LSP_COMMANDS = [
+    '--lsp-info',
+    '--lsp-definition',
+    '--lsp-symbols',
+    '--lsp-references',
+    '--lsp-workspace-symbols',
+    '--lsp-signature-help'
+];
+
+// Unsupported commands per compiler path, filled in by `probeCompiler`
+const unsupportedCommands: Map<string, Set<string>> = new Map();
+
+/**
+ * Asks the compiler for its version and tries each `--lsp-*` command on a tiny file.
+ * A command counts as supported when it prints a `{"success": ...}` response, whether
+ * or not it succeeded; a compiler that cannot be run or times out keeps every command.
+ */
+export async function probeCompiler(compilerPath: string): Promise<CompilerCapabilities> {
+    const probeDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'volta-probe-'));
+    const probeFile = path.join(probeDir, 'probe.vlt');
+    await fs.promises.writeFile(probeFile, 'x := 1\n', 'utf8');
+
+    try {
+        const versionOutput = await runCompiler(compilerPath, ['--version']);
+        const version = parseVersion(versionOutput.stdout + '\n' + versionOutput.stderr);
+
+        const probes: Record<string, string[]> = {
+            '--lsp-info': [probeFile, '1', '0'],
+            '--lsp-definition': [probeFile, '1', '0'],
+            '--lsp-symbols': [probeFile],
+            '--lsp-references': [probeFile, '1', '0'],
+            '--lsp-workspace-symbols': ['x', '--workspace-root', probeDir],
+            '--lsp-signature-help': [probeFile, '1', '0']
+        };
+
+        const results = await Promise.all(LSP_COMMANDS.map(async command => {
+            const output = await runCompiler(compilerPath, [command, ...probes[command]]);
+            return !!(output.error || output.timedOut || output.cancelled) || isLspResponse(output.stdout);
+        }));
+        const unsupported = LSP_COMMANDS.filter((_, i) => !results[i]);
+
+        unsupportedCommands.set(compilerPath, new Set(unsupported));
+        return { version, unsupportedCommands: unsupported };
+    } finally {
+        fs.promises.rm(probeDir, { recursive: true, force: true }).catch(() => {
+            // A leftover file in the temp directory is harmless
+        });
+    }
+}
+
+/**
+ * Whether a command may be sent to a compiler. Compilers that were never probed may get anything.
+ */
+export function isLspCommandSupported(compilerPath: string, command: string): boolean {
+    return !unsupportedCommands.get(compilerPath)?.has(command);
+}
+
+/**
+ * Compares two `major.minor.patch` versions; missing parts count as 0 and pre-release tags are ignored
+ */
+export function compareVersions(a: string, b: string): number {
+    const partsA = a.split(/[-+]/)[0].split('.').map(part => parseInt(part, 10) || 0);
+    const partsB = b.split(/[-+]/)[0].split('.').map(part => parseInt(part, 10) || 0);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const difference = (partsA[i] || 0) - (partsB[i] || 0);
+        if (difference !== 0) {
+            return difference;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Finds the first version number in `--version` output such as `Volta 0.4.1 (a1b2c3)`
+ */
+function parseVersion(output: string): string | undefined {
+    const match = output.match(/\b(\d+\.\d+(?:\.\d+)?(?:-[0-9A-Za-z.]+)?)\b/);
+    return match ? match[1] : undefined;
+}
+
+function isLspResponse(stdout: string): boolean {
+    try {
+        const response = JSON.parse(stdout);
+        return typeof response === 'object' && response !== null && typeof response.success === 'boolean';
+    } catch {
+        return false;
+    }
+}
@@ -1,5 +1,17 @@
-import { spawn } from 'child_process';
-import * as path from 'path';
+import { isLspCommandSupported } from './compilerCapabilities';
+import { CompilerRunOptions, runCompiler } from './compilerProcess';
+
+/**
+ * Common shape of every `--lsp-*` response (see docs/compiler_lsp_interface.md)
+ */
+export interface CompilerResponse<T> {
+    success: boolean;
+    result?: T;
+    error?: {
+        code: string;
+        message: string;
+    };
+}
 
 export interface CompilerSymbolInfo {
     success: boolean;
@@ -21,6 +33,94 @@ export interface CompilerSymbolInfo {
     };
 }
 
+/**
+ * A source location reported by the compiler.
+ * Lines are 1-indexed, columns are 0-indexed.
+ */
+export interface CompilerLocation {
+    file?: string;
+    line: number;
+    column: number;
+    endLine?: number;
+    endColumn?: number;
+}
+
+export type CompilerDefinitionInfo = CompilerResponse<{
+    name: string;
+    kind: string;
+    location?: CompilerLocation;
+    builtin?: boolean;
+    signature?: string;
+    documentation?: string;
+}>;
+
+/**
+ * A symbol declared in a file, as reported by `--lsp-symbols`
+ */
+export interface CompilerDocumentSymbol {
+    name: string;
+    kind: string;
+    location: CompilerLocation;
+    signature?: string;
+    type?: string;
+    /** Whether a variable or parameter is declared `mut` */
+    mutable?: boolean;
+    documentation?: string;
+    children?: CompilerDocumentSymbol[];
+}
+
+export type CompilerSymbolList = CompilerResponse<{
+    symbols: CompilerDocumentSymbol[];
+}>;
+
+/**
+ * A use of a symbol, as reported by `--lsp-references`
+ */
+export interface CompilerReference extends CompilerLocation {
+    file: string;
+    context?: string;
+}
+
+export type CompilerReferenceInfo = CompilerResponse<{
+    symbol: string;
+    kind: string;
+    definition?: CompilerLocation;
+    references: CompilerReference[];
+}>;
+
+/**
+ * A symbol found anywhere in the workspace, as reported by `--lsp-workspace-symbols`
+ */
+export interface CompilerWorkspaceSymbol {
+    name: string;
+    kind: string;
+    file: string;
+    location: CompilerLocation;
+    signature?: string;
+    documentation?: string;
+}
+
+export type CompilerWorkspaceSymbolList = CompilerResponse<{
+    symbols: CompilerWorkspaceSymbol[];
+}>;
+
+/**
+ * The signatures of the call around a position, as reported by `--lsp-signature-help`
+ */
+export type CompilerSignatureHelp = CompilerResponse<{
+    function: string;
+    signatures: Array<{
+        signature: string;
+        documentation?: string;
+        parameters: Array<{
+            label: string;
+            documentation?: string;
+        }>;
+    }>;
+    activeParameter?: number;
+    activeSignature?: number;
+}>;
+
 /**
  * Call the Volta compiler to get symbol information at a position
  */
@@ -28,46 +128,136 @@ export async function getSymbolInfoFromCompiler(
     compilerPath: string,
     filePath: string,
     line: number,
-    column: number
+    column: number,
+    options?: CompilerRunOptions
 ): Promise<CompilerSymbolInfo> {
-    return new Promise((resolve) => {
-        const args = ['--lsp-info', filePath, line.toString(), column.toString()];
-        const process = spawn(compilerPath, args);
-
-        let stdout = '';
-        let stderr = '';
-
-        process.stdout.on('data', (data) => {
-            stdout += data.toString();
-        });
-
-        process.stderr.on('data', (data) => {
-            stderr += data.toString();
-        });
-
-        process.on('close', (code) => {
-            try {
-                const result: CompilerSymbolInfo = JSON.parse(stdout);
-                resolve(result);
-            } catch (e) {
-                resolve({
-                    success: false,
-                    error: {
-                        code: 'PARSE_ERROR',
-                        message: `Failed to parse compiler output: ${e}`
-                    }
-                });
+    return runLspCommand(compilerPath, ['--lsp-info', filePath, line.toString(), column.toString()], options);
+}
+
+/**
+ * Call the Volta compiler to find where the symbol at a position is declared
+ */
+export async function getDefinitionFromCompiler(
+    compilerPath: string,
+    filePath: string,
+    line: number,
+    column: number,
+    options?: CompilerRunOptions
+): Promise<CompilerDefinitionInfo> {
+    return runLspCommand(compilerPath, ['--lsp-definition', filePath, line.toString(), column.toString()], options);
+}
+
+/**
+ * Call the Volta compiler to list every symbol declared in a file
+ */
+export async function getDocumentSymbolsFromCompiler(
+    compilerPath: string,
+    filePath: string,
+    options?: CompilerRunOptions
+): Promise<CompilerSymbolList> {
+    return runLspCommand(compilerPath, ['--lsp-symbols', filePath], options);
+}
+
+/**
+ * Call the Volta compiler to find the definition and every use of the symbol at a position
+ */
+export async function getReferencesFromCompiler(
+    compilerPath: string,
+    filePath: string,
+    line: number,
+    column: number,
+    options?: CompilerRunOptions
+): Promise<CompilerReferenceInfo> {
+    return runLspCommand(compilerPath, ['--lsp-references', filePath, line.toString(), column.toString()], options);
+}
+
+/**
+ * Call the Volta compiler to search for symbols in every file under a workspace root.
+ * An empty query lists all symbols.
+ */
+export async function getWorkspaceSymbolsFromCompiler(
+    compilerPath: string,
+    query: string,
+    workspaceRoot: string,
+    options?: CompilerRunOptions
+): Promise<CompilerWorkspaceSymbolList> {
+    return runLspCommand(compilerPath, ['--lsp-workspace-symbols', query, '--workspace-root', workspaceRoot], options);
+}
+
+/**
+ * Call the Volta compiler to get the signatures of the function being called at a position
+ */
+export async function getSignatureHelpFromCompiler(
+    compilerPath: string,
+    filePath: string,
+    line: number,
+    column: number,
+    options?: CompilerRunOptions
+): Promise<CompilerSignatureHelp> {
+    return runLspCommand(compilerPath, ['--lsp-signature-help', filePath, line.toString(), column.toString()], options);
+}
+
+/**
+ * Runs a single `--lsp-*` command and parses its JSON output
+ */
+async function runLspCommand<T>(
+    compilerPath: string,
+    args: string[],
+    options?: CompilerRunOptions
+): Promise<CompilerResponse<T>> {
+    // Features behind a command the compiler lacks fall back without spawning it
+    if (!isLspCommandSupported(compilerPath, args[0])) {
+        return {
+            success: false,
+            error: {
+                code: 'UNSUPPORTED',
+                message: `Compiler does not support ${args[0]}`
+            }
+        };
+    }
+
+    const output = await runCompiler(compilerPath, args, options);
+
+    if (output.cancelled) {
+        return {
+            success: false,
+            error: {
+                code: 'CANCELLED',
+                message: 'Request was cancelled'
+            }
+        };
+    }
+
+    if (output.timedOut) {
+        return {
+            success: false,
+            error: {
+                code: 'TIMEOUT',
+                message: `Compiler did not answer ${args[0]} in time`
+            }
+        };
+    }
+
+    if (output.error) {
+        return {
+            success: false,
+            error: {
+                code: 'SPAWN_ERROR',
+                message: `Failed to spawn compiler: ${output.error}`
+            }
+        };
+    }
+
+    try {
+        const result: CompilerResponse<T> = JSON.parse(output.stdout);
+        return result;
+    } catch (e) {
+        return {
+            success: false,
+            error: {
+                code: 'PARSE_ERROR',
+                message: `Failed to parse compiler output: ${e}`
             }
-        });
-
-        process.on('error', (err) => {
-            resolve({
-                success: false,
-                error: {
-                    code: 'SPAWN_ERROR',
-                    message: `Failed to spawn compiler: ${err.message}`
-                }
-            });
-        });
-    });
+        };
+    }
 }
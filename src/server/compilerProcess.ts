@@ -0,0 +1,433 @@
+import { ChildProcessWithoutNullStreams, spawn } from 'child_process';
+import { CancellationToken } from 'vscode-languageserver/node';
+
+/**
+ * What a compiler invocation printed, whether it ran as its own process or in the daemon
+ */
+export interface CompilerOutput {
+    stdout: string;
+    stderr: string;
+    exitCode: number | null;
+    /** Set when the compiler could not be started at all */
+    error?: string;
+    /** Set when the request was cancelled before the compiler finished */
+    cancelled?: boolean;
+    /** Set when the compiler was killed for exceeding the request timeout */
+    timedOut?: boolean;
+}
+
+export interface CompilerRunOptions {
+    /** Kills the compiler when the LSP request is cancelled */
+    token?: CancellationToken;
+}
+
+export interface CompilerProcessSettings {
+    /** Per-request timeout in milliseconds, 0 to disable */
+    timeoutMs: number;
+    /** Maximum number of compiler processes spawned at once */
+    maxProcesses: number;
+}
+
+let processSettings: CompilerProcessSettings = {
+    timeoutMs: 10000,
+    maxProcesses: 4
+};
+
+// Where daemon status messages go; the server points this at its output channel
+let log: (message: string) => void = () => undefined;
+
+// How long the daemon has to print its handshake before we assume it is unsupported
+const HANDSHAKE_TIMEOUT_MS = 3000;
+
+// After cancelling a timed-out request, the daemon is replaced if it answers nothing within this long
+const CANCEL_GRACE_MS = 1000;
+
+// Give up on the daemon after this many crashes within the crash window
+const MAX_CRASHES = 3;
+const CRASH_WINDOW_MS = 60000;
+
+/**
+ * A long-lived `volta --lsp-daemon` process.
+ *
+ * Requests and responses are single JSON lines on stdin/stdout. Each request carries the
+ * command line the compiler would otherwise be spawned with, and each response carries
+ * what that invocation would have printed:
+ *
+ *   > {"id": 1, "args": ["--lsp-info", "/tmp/a.vlt", "5", "10"]}
+ *   < {"id": 1, "stdout": "{...}", "stderr": "", "exitCode": 0}
+ *
+ * The daemon announces itself with `{"daemon": "volta", "protocol": 1}` on startup;
+ * compilers that don't are used in spawn-per-request mode instead. A cancelled request is
+ * announced with `{"id": 1, "cancel": true}`, and so is a request that times out. When the
+ * daemon answers nothing at all within a second of a timeout's cancel, it is stuck, e.g. in
+ * an endless constant evaluation, and is restarted so the requests queued behind it run.
+ */
+class CompilerDaemon {
+    private process: ChildProcessWithoutNullStreams | null = null;
+    private ready: Promise<boolean>;
+    private supported = true;
+    private nextId = 1;
+    private buffer = '';
+    private pending = new Map<number, (output: CompilerOutput | null) => void>();
+    private crashTimes: number[] = [];
+    // Responses received so far, to tell a busy daemon from a stuck one
+    private responses = 0;
+
+    constructor(private readonly compilerPath: string) {
+        this.ready = this.start();
+    }
+
+    /**
+     * Runs a command in the daemon. Resolves to null when the daemon is unavailable,
+     * in which case the caller should spawn the compiler itself.
+     */
+    async run(args: string[], options: CompilerRunOptions): Promise<CompilerOutput | null> {
+        if (!this.supported || !(await this.ready) || !this.process) {
+            return null;
+        }
+        if (options.token && options.token.isCancellationRequested) {
+            return cancelledOutput();
+        }
+
+        const id = this.nextId++;
+        const child = this.process;
+        return new Promise((resolve) => {
+            let timer: NodeJS.Timeout | undefined;
+            const cancellation = options.token?.onCancellationRequested(() => {
+                finish(cancelledOutput());
+                child.stdin.write(JSON.stringify({ id, cancel: true }) + '\n');
+            });
+
+            const finish = (output: CompilerOutput | null) => {
+                if (timer) {
+                    clearTimeout(timer);
+                }
+                cancellation?.dispose();
+                this.pending.delete(id);
+                resolve(output);
+            };
+
+            if (processSettings.timeoutMs > 0) {
+                timer = setTimeout(() => {
+                    finish(timedOutOutput());
+                    child.stdin.write(JSON.stringify({ id, cancel: true }) + '\n');
+                    this.restartIfSilent(child, args[0]);
+                }, processSettings.timeoutMs);
+            }
+
+            this.pending.set(id, finish);
+            child.stdin.write(JSON.stringify({ id, args }) + '\n');
+        });
+    }
+
+    /**
+     * Stops the daemon; pending requests fall back to spawning the compiler
+     */
+    stop(): void {
+        this.supported = false;
+        this.failPending();
+        if (this.process) {
+            this.process.kill();
+            this.process = null;
+        }
+    }
+
+    private start(): Promise<boolean> {
+        return new Promise((resolve) => {
+            let handshakeDone = false;
+            const child = spawn(this.compilerPath, ['--lsp-daemon']);
+            this.process = child;
+            this.buffer = '';
+
+            const finishHandshake = (supported: boolean) => {
+                if (handshakeDone) {
+                    return;
+                }
+                handshakeDone = true;
+                clearTimeout(timer);
+                if (!supported) {
+                    this.supported = false;
+                    child.kill();
+                    log('Volta compiler has no daemon mode, spawning one process per request');
+                }
+                resolve(supported);
+            };
+
+            const timer = setTimeout(() => finishHandshake(false), HANDSHAKE_TIMEOUT_MS);
+
+            child.stdout.on('data', (data) => {
+                this.buffer += data.toString();
+                let newline: number;
+                while ((newline = this.buffer.indexOf('\n')) !== -1) {
+                    const line = this.buffer.substring(0, newline).trim();
+                    this.buffer = this.buffer.substring(newline + 1);
+                    if (!line) {
+                        continue;
+                    }
+                    if (!handshakeDone) {
+                        finishHandshake(isHandshake(line));
+                    } else {
+                        this.handleResponse(line);
+                    }
+                }
+            });
+
+            // Drain stderr so the daemon never blocks on a full pipe
+            child.stderr.on('data', () => undefined);
+
+            // Writes after a crash are handled by the exit handler
+            child.stdin.on('error', () => undefined);
+
+            child.on('error', () => finishHandshake(false));
+
+            child.on('exit', () => {
+                if (!handshakeDone) {
+                    finishHandshake(false);
+                    return;
+                }
+                if (this.process === child) {
+                    this.process = null;
+                    this.handleCrash();
+                }
+            });
+        });
+    }
+
+    /**
+     * Restarts the daemon unless it answers something within the grace period
+     */
+    private restartIfSilent(child: ChildProcessWithoutNullStreams, command: string): void {
+        const responses = this.responses;
+        setTimeout(() => {
+            if (this.process === child && this.responses === responses) {
+                log(`Volta compiler daemon stopped responding (timed out: ${command}), restarting`);
+                this.restart();
+            }
+        }, CANCEL_GRACE_MS);
+    }
+
+    private restart(): void {
+        const child = this.process;
+        this.process = null;
+        this.failPending();
+        child?.kill('SIGKILL');
+        this.ready = this.start();
+    }
+
+    private handleResponse(line: string): void {
+        try {
+            const response = JSON.parse(line);
+            this.responses++;
+            const resolve = this.pending.get(response.id);
+            if (!resolve) {
+                return;
+            }
+            resolve({
+                stdout: response.stdout || '',
+                stderr: response.stderr || '',
+                exitCode: typeof response.exitCode === 'number' ? response.exitCode : null
+            });
+        } catch {
+            // Ignore lines that are not protocol messages
+        }
+    }
+
+    private handleCrash(): void {
+        this.failPending();
+        if (!this.supported) {
+            return;
+        }
+
+        const now = Date.now();
+        this.crashTimes = this.crashTimes.filter(time => now - time < CRASH_WINDOW_MS);
+        this.crashTimes.push(now);
+
+        if (this.crashTimes.length > MAX_CRASHES) {
+            log('Volta compiler daemon keeps crashing, spawning one process per request');
+            this.supported = false;
+            return;
+        }
+
+        log('Volta compiler daemon exited, restarting');
+        this.ready = this.start();
+    }
+
+    private failPending(): void {
+        for (const resolve of Array.from(this.pending.values())) {
+            resolve(null);
+        }
+        this.pending.clear();
+    }
+}
+
+// One daemon per compiler executable
+const daemons: Map<string, CompilerDaemon> = new Map();
+
+// Number of compiler processes currently spawned, and requests waiting for a free slot
+let runningProcesses = 0;
+const waitingForProcess: Array<() => void> = [];
+
+/**
+ * Sends daemon status messages to the server's output channel instead of dropping them
+ */
+export function setCompilerProcessLogger(logger: (message: string) => void): void {
+    log = logger;
+}
+
+/**
+ * Applies the user's timeout and process limit settings
+ */
+export function configureCompilerProcesses(settings: CompilerProcessSettings): void {
+    processSettings = {
+        timeoutMs: Math.max(0, settings.timeoutMs),
+        maxProcesses: Math.max(1, settings.maxProcesses)
+    };
+    // A raised limit may free slots for queued requests
+    while (waitingForProcess.length > 0 && runningProcesses < processSettings.maxProcesses) {
+        runningProcesses++;
+        waitingForProcess.shift()!();
+    }
+}
+
+/**
+ * Runs the compiler with the given arguments, through the daemon when the compiler supports it
+ */
+export async function runCompiler(
+    compilerPath: string,
+    args: string[],
+    options: CompilerRunOptions = {}
+): Promise<CompilerOutput> {
+    let daemon = daemons.get(compilerPath);
+    if (!daemon) {
+        daemon = new CompilerDaemon(compilerPath);
+        daemons.set(compilerPath, daemon);
+    }
+
+    const output = await daemon.run(args, options);
+    return output || spawnCompiler(compilerPath, args, options);
+}
+
+/**
+ * Stops the daemon of one compiler, e.g. when no workspace folder uses it anymore
+ */
+export function stopCompilerDaemon(compilerPath: string): void {
+    daemons.get(compilerPath)?.stop();
+    daemons.delete(compilerPath);
+}
+
+/**
+ * Stops every running compiler daemon
+ */
+export function stopCompilerDaemons(): void {
+    for (const daemon of daemons.values()) {
+        daemon.stop();
+    }
+    daemons.clear();
+}
+
+/**
+ * Runs the compiler as a one-off process, killing it on cancellation or timeout
+ */
+async function spawnCompiler(
+    compilerPath: string,
+    args: string[],
+    options: CompilerRunOptions
+): Promise<CompilerOutput> {
+    await acquireProcessSlot();
+    if (options.token && options.token.isCancellationRequested) {
+        releaseProcessSlot();
+        return cancelledOutput();
+    }
+
+    return new Promise((resolve) => {
+        const process = spawn(compilerPath, args);
+
+        let stdout = '';
+        let stderr = '';
+        let settled = false;
+        let timer: NodeJS.Timeout | undefined;
+
+        const finish = (output: CompilerOutput) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            if (timer) {
+                clearTimeout(timer);
+            }
+            cancellation?.dispose();
+            releaseProcessSlot();
+            resolve(output);
+        };
+
+        const cancellation = options.token?.onCancellationRequested(() => {
+            process.kill('SIGKILL');
+            finish(cancelledOutput());
+        });
+
+        if (processSettings.timeoutMs > 0) {
+            timer = setTimeout(() => {
+                process.kill('SIGKILL');
+                finish(timedOutOutput());
+            }, processSettings.timeoutMs);
+        }
+
+        process.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+
+        process.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+
+        process.on('close', (code) => {
+            finish({ stdout, stderr, exitCode: code });
+        });
+
+        process.on('error', (err) => {
+            finish({ stdout, stderr, exitCode: null, error: err.message });
+        });
+    });
+}
+
+/**
+ * Waits until fewer than `maxProcesses` compiler processes are running
+ */
+function acquireProcessSlot(): Promise<void> {
+    if (runningProcesses < processSettings.maxProcesses) {
+        runningProcesses++;
+        return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+        waitingForProcess.push(resolve);
+    });
+}
+
+/**
+ * Hands a finished process's slot to the next queued request
+ */
+function releaseProcessSlot(): void {
+    const next = waitingForProcess.shift();
+    if (next) {
+        next();
+    } else {
+        runningProcesses--;
+    }
+}
+
+function cancelledOutput(): CompilerOutput {
+    return { stdout: '', stderr: '', exitCode: null, cancelled: true };
+}
+
+function timedOutOutput(): CompilerOutput {
+    return { stdout: '', stderr: '', exitCode: null, timedOut: true };
+}
+
+function isHandshake(line: string): boolean {
+    try {
+        const message = JSON.parse(line);
+        return message.daemon === 'volta';
+    } catch {
+        return false;
+    }
+}
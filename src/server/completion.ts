@@ -0,0 +1,455 @@
+import {
+  CompletionItem,
+  CompletionItemKind,
+  InsertTextFormat,
+  MarkupKind,
+  Position
+} from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import {
+  BUILTIN_METHODS,
+  BUILTIN_STATIC_FUNCTIONS,
+  BuiltinFunction,
+  GLOBAL_FUNCTIONS,
+  MODULE_FUNCTIONS
+} from './builtins';
+import {
+  SourceDeclaration,
+  SourceOutline,
+  getBaseTypeName,
+  getVariablesInScope,
+  resolveTypeAlias,
+  isInCommentOrString,
+  scanDeclarations
+} from './declarations';
+import { formatSymbolDocumentation, getDocCommentText, getDocTagCompletions, parseDocComment } from './docComments';
+import { ModuleFile } from './imports';
+import { CORE_MODULES, VOLTA_KEYWORDS } from './language';
+
+/**
+ * Attached to completion items for symbols declared in a document, so that
+ * `completionItem/resolve` can look up their signature and `#[doc]` block
+ */
+export interface CompletionData {
+  uri: string;
+  line: number;
+  character: number;
+}
+
+/**
+ * Asks the compiler for the type of the expression at a position (0-indexed)
+ */
+export type ReceiverTypeResolver = (position: Position) => Promise<string | undefined>;
+
+export interface CompletionOptions {
+  /** The client accepts snippets, so calls can insert parameter placeholders */
+  snippets: boolean;
+  resolveType: ReceiverTypeResolver;
+  /** Workspace modules the document can import, besides the standard library */
+  modules: () => ModuleFile[];
+}
+
+interface CallOptions {
+  snippets: boolean;
+  uri: string;
+}
+
+const KEYWORD_DETAILS: { [keyword: string]: string } = {
+  fn: 'Function declaration',
+  return: 'Return from a function',
+  if: 'Conditional execution',
+  else: 'Alternative branch of an if',
+  while: 'Loop while a condition holds',
+  for: 'Loop over a range or array',
+  in: 'Iterable of a for loop',
+  match: 'Pattern matching',
+  struct: 'Struct declaration',
+  import: 'Import a module',
+  mut: 'Mutable variable',
+  type: 'Type alias',
+  true: 'Boolean true',
+  false: 'Boolean false',
+  Some: 'Option holding a value',
+  None: 'Option holding no value',
+  and: 'Logical and',
+  or: 'Logical or',
+  not: 'Logical not'
+};
+
+// Built-in types that take a type parameter
+const GENERIC_TYPES = ['Array', 'Option'];
+
+/**
+ * Lists the completions that make sense at a position:
+ * members after `.`, module functions after `math.`, types after `:` and `->`,
+ * and otherwise the variables in scope, the file's declarations and the keywords
+ */
+export async function getCompletionItems(
+  document: TextDocument,
+  position: Position,
+  options: CompletionOptions
+): Promise<CompletionItem[]> {
+  const text = document.getText();
+  const docItems = getDocTagCompletions(text, position);
+  if (docItems) {
+    return docItems;
+  }
+  if (isInCommentOrString(text, position)) {
+    return [];
+  }
+
+  const outline = scanDeclarations(text);
+  const code = outline.codeLines[position.line] || '';
+  const before = code.substring(0, position.character).replace(/\w*$/, '');
+  const nextChar = code.charAt(position.character + (code.substring(position.character).match(/^\w*/) || [''])[0].length);
+  const callOptions = { snippets: options.snippets && nextChar !== '(', uri: document.uri };
+
+  if (/^\s*import\s+$/.test(before)) {
+    const imported = new Set(outline.imports.map(entry => entry.module));
+    const workspaceModules = options.modules().filter(module => !CORE_MODULES.includes(module.name));
+    return [
+      ...CORE_MODULES.filter(module => !imported.has(module)).map(module => ({
+        label: module,
+        kind: CompletionItemKind.Module,
+        detail: 'Standard library module'
+      })),
+      ...workspaceModules.filter(module => !imported.has(module.name)).map(module => ({
+        label: module.name,
+        kind: CompletionItemKind.Module,
+        detail: module.filePath,
+        // Listed before the standard library modules
+        sortText: `0${module.name}`
+      }))
+    ];
+  }
+
+  const member = before.match(/([A-Za-z_]\w*)\s*\.\s*$/);
+  if (member) {
+    const receiverStart = before.length - member[0].length;
+    return getMemberItems(outline, member[1], { line: position.line, character: receiverStart }, options, callOptions);
+  }
+  if (/[\d)\]]\s*\.\s*$/.test(before)) {
+    return [];
+  }
+
+  if (isTypePosition(outline, before, position)) {
+    return getTypeItems(outline, position, /:\s*$/.test(before), document.uri);
+  }
+
+  return getStatementItems(outline, position, callOptions);
+}
+
+/**
+ * Fills in the signature and documentation of a declared symbol when the item is selected.
+ * `lookup` can supply the compiler's view; the source and its `#[doc]` block are the fallback.
+ */
+export async function resolveCompletionItem(
+  item: CompletionItem,
+  text: string | null,
+  lookup?: (data: CompletionData) => Promise<{ signature?: string; documentation?: string } | undefined>
+): Promise<CompletionItem> {
+  const data = item.data as CompletionData | undefined;
+  if (!data || typeof data.line !== 'number') {
+    return item;
+  }
+
+  const fromCompiler = lookup ? await lookup(data) : undefined;
+  if (fromCompiler && (fromCompiler.signature || fromCompiler.documentation)) {
+    item.detail = fromCompiler.signature || item.detail;
+    if (fromCompiler.documentation) {
+      item.documentation = { kind: MarkupKind.Markdown, value: fromCompiler.documentation };
+    }
+    return item;
+  }
+
+  if (text === null) {
+    return item;
+  }
+
+  const lines = text.split(/\r?\n/);
+  const outline = scanDeclarations(text);
+  const declaration = outline.declarations.find(candidate =>
+    candidate.line === data.line && candidate.character === data.character
+  );
+  if (declaration && declaration.signature) {
+    item.detail = declaration.signature;
+  }
+
+  // Fields are documented by the `@field` tags of their struct
+  if (declaration && declaration.kind === 'field') {
+    const struct = outline.declarations.find(candidate => candidate.kind === 'struct' && candidate.name === declaration.owner);
+    const structDoc = struct && getDocCommentText(lines, struct.line);
+    const field = structDoc !== undefined && parseDocComment(structDoc).fields.find(entry => entry.name === declaration.name);
+    if (field && field.documentation) {
+      item.documentation = { kind: MarkupKind.Markdown, value: field.documentation };
+    }
+    return item;
+  }
+
+  const docText = getDocCommentText(lines, data.line);
+  if (docText !== undefined) {
+    const doc = parseDocComment(docText);
+    const documentation = formatSymbolDocumentation(undefined, doc.description, doc.parameters, doc.returns);
+    if (documentation) {
+      item.documentation = { kind: MarkupKind.Markdown, value: documentation };
+    }
+  }
+
+  return item;
+}
+
+/**
+ * Completions after `receiver.`: module functions, struct fields and methods, or built-in methods
+ */
+async function getMemberItems(
+  outline: SourceOutline,
+  receiver: string,
+  receiverPosition: Position,
+  options: CompletionOptions,
+  callOptions: CallOptions
+): Promise<CompletionItem[]> {
+  if (CORE_MODULES.includes(receiver)) {
+    return (MODULE_FUNCTIONS[receiver] || []).map(fn => builtinFunctionItem(fn, callOptions));
+  }
+
+  // `Point.` lists the methods declared on the struct, `Matrix.` its constructors
+  const struct = outline.declarations.find(declaration => declaration.kind === 'struct' && declaration.name === receiver);
+  if (struct) {
+    return outline.declarations
+      .filter(declaration => declaration.kind === 'method' && declaration.owner === receiver)
+      .map(method => declarationItem(method, callOptions));
+  }
+  if (BUILTIN_STATIC_FUNCTIONS[receiver]) {
+    return BUILTIN_STATIC_FUNCTIONS[receiver].map(fn => builtinFunctionItem(fn, callOptions));
+  }
+
+  const variable = getVariablesInScope(outline, receiverPosition).find(candidate => candidate.name === receiver);
+  let type = variable && variable.type;
+  if (!type) {
+    type = await options.resolveType(receiverPosition);
+  }
+  if (!type) {
+    return [];
+  }
+
+  const typeName = resolveTypeAlias(outline, getBaseTypeName(type));
+  if (BUILTIN_METHODS[typeName]) {
+    return BUILTIN_METHODS[typeName].map(fn => builtinFunctionItem(fn, callOptions));
+  }
+
+  return outline.declarations
+    .filter(declaration => declaration.owner === typeName && (declaration.kind === 'field' || declaration.kind === 'method'))
+    .map(declaration => declarationItem(declaration, callOptions));
+}
+
+/**
+ * Completions where a type is expected
+ */
+function getTypeItems(
+  outline: SourceOutline,
+  position: Position,
+  directlyAfterColon: boolean,
+  uri: string
+): CompletionItem[] {
+  const items: CompletionItem[] = [];
+
+  for (const type of ['int', 'float', 'bool', 'str', 'Matrix', ...GENERIC_TYPES]) {
+    const item: CompletionItem = { label: type, kind: CompletionItemKind.Class, detail: 'Built-in type', sortText: `1${type}` };
+    if (GENERIC_TYPES.includes(type)) {
+      item.insertText = `${type}[\${1:T}]`;
+      item.insertTextFormat = InsertTextFormat.Snippet;
+    }
+    items.push(item);
+  }
+
+  for (const declaration of outline.declarations) {
+    if (declaration.kind === 'struct' || declaration.kind === 'type') {
+      items.push({
+        label: declaration.name,
+        kind: declaration.kind === 'struct' ? CompletionItemKind.Struct : CompletionItemKind.Interface,
+        detail: declaration.signature,
+        sortText: `0${declaration.name}`,
+        data: toData(declaration, uri)
+      });
+    }
+  }
+
+  // Type parameters of the generic function being written, e.g. `T` in `fn first[T]`
+  const enclosing = outline.declarations.find(declaration =>
+    declaration.typeParameters && declaration.line <= position.line && position.line <= (declaration.endLine ?? declaration.line)
+  );
+  for (const parameter of enclosing?.typeParameters || []) {
+    items.push({ label: parameter, kind: CompletionItemKind.TypeParameter, sortText: `0${parameter}` });
+  }
+
+  if (directlyAfterColon) {
+    items.push({ label: 'mut', kind: CompletionItemKind.Keyword, detail: KEYWORD_DETAILS.mut, sortText: '2mut' });
+  }
+
+  return items;
+}
+
+/**
+ * Completions in statements and expressions: variables, declarations, imported modules and keywords
+ */
+function getStatementItems(outline: SourceOutline, position: Position, callOptions: CallOptions): CompletionItem[] {
+  const items: CompletionItem[] = [];
+  const seen = new Set<string>();
+  const add = (item: CompletionItem) => {
+    if (!seen.has(item.label)) {
+      seen.add(item.label);
+      items.push(item);
+    }
+  };
+
+  for (const variable of getVariablesInScope(outline, position)) {
+    add({
+      label: variable.name,
+      kind: CompletionItemKind.Variable,
+      detail: variable.type ? `${variable.name}: ${variable.type}` : undefined,
+      sortText: `0${variable.name}`
+    });
+  }
+
+  for (const declaration of outline.declarations) {
+    if (declaration.kind === 'function' || declaration.kind === 'struct' || declaration.kind === 'type') {
+      add(declarationItem(declaration, callOptions));
+    }
+  }
+
+  for (const entry of outline.imports) {
+    add({ label: entry.module, kind: CompletionItemKind.Module, detail: `import ${entry.module}`, sortText: `1${entry.module}` });
+  }
+
+  for (const fn of GLOBAL_FUNCTIONS) {
+    add(builtinFunctionItem(fn, callOptions));
+  }
+
+  for (const keyword of VOLTA_KEYWORDS) {
+    add({ label: keyword, kind: CompletionItemKind.Keyword, detail: KEYWORD_DETAILS[keyword], sortText: `2${keyword}` });
+  }
+
+  return items;
+}
+
+/**
+ * A completion item for a declaration in the document; functions insert a call with placeholders
+ */
+function declarationItem(declaration: SourceDeclaration, callOptions: CallOptions): CompletionItem {
+  const item: CompletionItem = {
+    label: declaration.name,
+    kind: toCompletionKind(declaration),
+    detail: declaration.signature || (declaration.type ? `${declaration.name}: ${declaration.type}` : undefined),
+    sortText: `1${declaration.name}`,
+    data: toData(declaration, callOptions.uri)
+  };
+
+  if (declaration.kind === 'function' || declaration.kind === 'method') {
+    // `self` is passed by the `value.method()` syntax
+    const parameters = (declaration.parameters || []).map(parameter => parameter.name).filter(name => name !== 'self');
+    Object.assign(item, callInsertText(declaration.name, parameters, callOptions));
+  }
+  return item;
+}
+
+function builtinFunctionItem(fn: BuiltinFunction, callOptions: CallOptions): CompletionItem {
+  return {
+    label: fn.name,
+    kind: CompletionItemKind.Function,
+    detail: fn.signature,
+    documentation: fn.documentation,
+    sortText: `1${fn.name}`,
+    ...callInsertText(fn.name, fn.parameters, callOptions)
+  };
+}
+
+/**
+ * Inserts `name(${1:a}, ${2:b})` when the client supports snippets
+ */
+function callInsertText(name: string, parameters: string[], callOptions: CallOptions): Partial<CompletionItem> {
+  if (!callOptions.snippets) {
+    return {};
+  }
+  const placeholders = parameters.map((parameter, index) => `\${${index + 1}:${parameter}}`);
+  return {
+    insertText: `${name}(${placeholders.join(', ')})${parameters.length === 0 ? '$0' : ''}`,
+    insertTextFormat: InsertTextFormat.Snippet,
+    // Re-open signature help once the call is inserted
+    command: parameters.length > 0 ? { title: 'Trigger parameter hints', command: 'editor.action.triggerParameterHints' } : undefined
+  };
+}
+
+function toCompletionKind(declaration: SourceDeclaration): CompletionItemKind {
+  switch (declaration.kind) {
+    case 'function':
+      return CompletionItemKind.Function;
+    case 'method':
+      return CompletionItemKind.Method;
+    case 'struct':
+      return CompletionItemKind.Struct;
+    case 'field':
+      return CompletionItemKind.Field;
+    case 'type':
+      return CompletionItemKind.Interface;
+    default:
+      return CompletionItemKind.Variable;
+  }
+}
+
+function toData(declaration: SourceDeclaration, uri: string): CompletionData {
+  return { uri, line: declaration.line, character: declaration.character };
+}
+
+/**
+ * Whether the cursor is where a type is written: after `:` in a declaration or parameter,
+ * after `->`, or inside the brackets of `Array[` / `Option[`
+ */
+function isTypePosition(outline: SourceOutline, before: string, position: Position): boolean {
+  // `arr[1:` is a slice, not a type annotation
+  if (/\[[^[\]]*:\s*$/.test(before)) {
+    return false;
+  }
+
+  const afterArrow = /->\s*(?:[\w[\], ]*\[\s*)?$/.test(before);
+  const afterColon = /:\s*(?:mut\s+)?(?:[\w[\], ]*\[\s*)?$/.test(before);
+  if (afterArrow) {
+    return true;
+  }
+  if (!afterColon) {
+    return false;
+  }
+
+  // In a struct literal `Point { x: ` the colon is followed by a value
+  if (/\b[A-Z]\w*\s*\{[^{}]*:\s*$/.test(before) && !/^\s*struct\b/.test(before)) {
+    return false;
+  }
+  const openBrace = findEnclosingBraceLine(outline.codeLines, position);
+  if (openBrace !== undefined) {
+    const opener = outline.codeLines[openBrace];
+    if (/\b[A-Z]\w*\s*\{\s*$/.test(opener) && !/^\s*struct\b/.test(opener)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Finds the line of the innermost `{` that is still open before the current line
+ */
+function findEnclosingBraceLine(codeLines: string[], position: Position): number | undefined {
+  let depth = 0;
+  for (let line = position.line - 1; line >= 0; line--) {
+    const code = codeLines[line];
+    for (let i = code.length - 1; i >= 0; i--) {
+      if (code[i] === '}') {
+        depth++;
+      } else if (code[i] === '{') {
+        if (depth === 0) {
+          return line;
+        }
+        depth--;
+      }
+    }
+  }
+  return undefined;
+}
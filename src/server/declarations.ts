@@ -0,0 +1,464 @@
+import { Position } from 'vscode-languageserver/node';
+import { toCodeLines } from '../shared/codeLines';
+import { inferLiteralType } from './language';
+
+/**
+ * A declaration found by reading the source text.
+ *
+ * Unlike `--lsp-symbols` this works on code that does not compile yet, which is
+ * the normal state of a file while it is being typed.
+ */
+export interface SourceDeclaration {
+  /** `distance` for the method `Point.distance` */
+  name: string;
+  kind: 'function' | 'method' | 'struct' | 'field' | 'type' | 'variable' | 'parameter';
+  /** 0-indexed position of the name */
+  line: number;
+  character: number;
+  /** Declared or inferred type of a variable, parameter or field, or the target of a type alias */
+  type?: string;
+  /** Struct a method or field belongs to */
+  owner?: string;
+  parameters?: SourceParameter[];
+  typeParameters?: string[];
+  returnType?: string;
+  /** Declaration as written, e.g. `fn add(a: int, b: int) -> int` */
+  signature?: string;
+  /** Last line of a function or struct body */
+  endLine?: number;
+  mutable?: boolean;
+}
+
+export interface SourceParameter {
+  name: string;
+  type?: string;
+  /** 0-indexed position of the name */
+  line: number;
+  character: number;
+  mutable?: boolean;
+}
+
+export interface SourceOutline {
+  /** Top-level functions, methods, structs with their fields, type aliases and variables */
+  declarations: SourceDeclaration[];
+  imports: Array<{ module: string; line: number; character: number }>;
+  /** The lines with comments and string contents blanked out */
+  codeLines: string[];
+}
+
+const FUNCTION_REGEX = /^(\s*fn\s+)(?:([A-Za-z_]\w*)\.)?([A-Za-z_]\w*)\s*(?:\[([^\]]*)\])?\s*\(/;
+const STRUCT_REGEX = /^(\s*struct\s+)([A-Za-z_]\w*)/;
+const TYPE_ALIAS_REGEX = /^(\s*type\s+)([A-Za-z_]\w*)\s*=\s*(.+?)\s*$/;
+const IMPORT_REGEX = /^(\s*import\s+)([A-Za-z_]\w*)/;
+const FOR_REGEX = /^(\s*for\s+)([A-Za-z_]\w*)\s+in\b/;
+
+/**
+ * Checks whether a position is inside a comment or a string
+ */
+export function isInCommentOrString(text: string, position: Position): boolean {
+  const lines = text.split(/\r?\n/).slice(0, position.line + 1);
+  if (lines.length <= position.line) {
+    return false;
+  }
+  // A marker at the cursor survives only if it is code
+  lines[position.line] = lines[position.line].substring(0, position.character) + 'x';
+  const codeLines = toCodeLines(lines.join('\n'));
+  return !codeLines[position.line].endsWith('x');
+}
+
+/**
+ * Finds the top-level declarations and imports of a file
+ */
+export function scanDeclarations(text: string): SourceOutline {
+  const lines = text.split(/\r?\n/);
+  const codeLines = toCodeLines(text);
+  const declarations: SourceDeclaration[] = [];
+  const imports: SourceOutline['imports'] = [];
+
+  let depth = 0;
+  let openDeclaration: SourceDeclaration | undefined;
+  let currentStruct: SourceDeclaration | undefined;
+
+  codeLines.forEach((code, line) => {
+    const depthBefore = depth;
+
+    if (depthBefore === 0) {
+      const declaration = matchTopLevelDeclaration(code, lines[line], line, codeLines);
+      if (declaration) {
+        declarations.push(declaration);
+        if (declaration.kind === 'function' || declaration.kind === 'method' || declaration.kind === 'struct') {
+          openDeclaration = declaration;
+          declaration.endLine = line;
+        }
+        currentStruct = declaration.kind === 'struct' ? declaration : undefined;
+      }
+
+      const imported = code.match(IMPORT_REGEX);
+      if (imported) {
+        imports.push({ module: imported[2], line, character: imported[1].length });
+      }
+    }
+
+    if (currentStruct) {
+      declarations.push(...matchFields(code, line, currentStruct, depthBefore === 0));
+    }
+
+    for (const char of code) {
+      if (char === '{' || char === '(' || char === '[') {
+        depth++;
+      } else if ((char === '}' || char === ')' || char === ']') && depth > 0) {
+        depth--;
+      }
+    }
+
+    if (openDeclaration && (depthBefore > 0 || depth > 0)) {
+      openDeclaration.endLine = line;
+    }
+    if (depth === 0) {
+      openDeclaration = undefined;
+      currentStruct = undefined;
+    }
+  });
+
+  return { declarations, imports, codeLines };
+}
+
+/**
+ * Finds the function or method whose body contains a line
+ */
+export function findEnclosingFunction(outline: SourceOutline, line: number): SourceDeclaration | undefined {
+  return outline.declarations.find(declaration =>
+    (declaration.kind === 'function' || declaration.kind === 'method') &&
+    declaration.line <= line && line <= (declaration.endLine ?? declaration.line)
+  );
+}
+
+/**
+ * Lists the variables and parameters visible at a position, innermost first.
+ * Variables declared in blocks that closed before the position are left out.
+ */
+export function getVariablesInScope(outline: SourceOutline, position: Position): SourceDeclaration[] {
+  const enclosing = findEnclosingFunction(outline, position.line);
+  const scopes: SourceDeclaration[][] = [[]];
+
+  if (enclosing) {
+    scopes[0].push(...(enclosing.parameters || []).map(parameter => ({
+      name: parameter.name,
+      kind: 'parameter' as const,
+      line: parameter.line,
+      character: parameter.character,
+      // `self` is the struct the method belongs to
+      type: parameter.name === 'self' ? enclosing.owner : parameter.type
+    })));
+  }
+
+  // Top-level variables are visible everywhere after their declaration
+  const globals = outline.declarations.filter(declaration =>
+    declaration.kind === 'variable' && declaration.line < position.line
+  );
+
+  const firstLine = enclosing ? enclosing.line : 0;
+  for (let line = firstLine; line <= position.line && line < outline.codeLines.length; line++) {
+    // Outside functions, skip over the bodies of the functions in between
+    const skipped = !enclosing && outline.declarations.find(declaration =>
+      (declaration.kind === 'function' || declaration.kind === 'method' || declaration.kind === 'struct') &&
+      declaration.line <= line && line <= (declaration.endLine ?? declaration.line) && line < position.line
+    );
+    if (skipped) {
+      line = skipped.endLine ?? line;
+      continue;
+    }
+
+    const isCurrentLine = line === position.line;
+    const code = isCurrentLine ? outline.codeLines[line].substring(0, position.character) : outline.codeLines[line];
+
+    // At the top level, only variables inside blocks are local; the others are globals
+    if (!isCurrentLine && line !== enclosing?.line && (enclosing || scopes.length > 1)) {
+      const variable = matchVariable(code, line, outline);
+      if (variable) {
+        scopes[scopes.length - 1].push(variable);
+      }
+    }
+
+    const loop = code.match(FOR_REGEX);
+    for (const char of code) {
+      if (char === '{') {
+        scopes.push([]);
+      } else if (char === '}' && scopes.length > 1) {
+        scopes.pop();
+      }
+    }
+    // The loop variable belongs to the block the `for` line opens
+    if (loop && code.includes('{')) {
+      scopes[scopes.length - 1].push({
+        name: loop[2],
+        kind: 'variable',
+        line,
+        character: loop[1].length,
+        type: inferLoopVariableType(code, outline)
+      });
+    }
+  }
+
+  // Inner declarations shadow outer ones
+  const seen = new Set<string>();
+  const visible: SourceDeclaration[] = [];
+  for (const declaration of [...scopes.flat().reverse(), ...globals.reverse()]) {
+    if (!seen.has(declaration.name)) {
+      seen.add(declaration.name);
+      visible.push(declaration);
+    }
+  }
+  return visible;
+}
+
+/**
+ * Guesses the type of an expression from its shape: literals, struct literals,
+ * `Some(...)`, arrays and calls to functions declared in the file
+ */
+export function inferExpressionType(expression: string, outline?: SourceOutline): string | undefined {
+  const value = expression.trim();
+  const literal = inferLiteralType(value);
+  if (literal) {
+    return literal;
+  }
+
+  const structLiteral = value.match(/^([A-Z]\w*)\s*\{/);
+  if (structLiteral) {
+    return structLiteral[1];
+  }
+  if (/^(Some\(|None\b)/.test(value)) {
+    return 'Option';
+  }
+  if (/^\[/.test(value)) {
+    const element = inferLiteralType((value.match(/^\[\s*([^,\]]+)/) || [])[1] || '');
+    return element ? `Array[${element}]` : 'Array';
+  }
+  if (/^Matrix\./.test(value)) {
+    return 'Matrix';
+  }
+
+  const call = value.match(/^(?:([A-Za-z_]\w*)\.)?([A-Za-z_]\w*)\s*\(/);
+  if (call && outline) {
+    const callee = outline.declarations.find(declaration =>
+      declaration.name === call[2] &&
+      (call[1] ? declaration.kind === 'method' && declaration.owner === call[1] : declaration.kind === 'function')
+    );
+    if (callee && callee.returnType) {
+      return callee.returnType;
+    }
+    // A struct name called like a function
+    if (!call[1] && outline.declarations.some(declaration => declaration.kind === 'struct' && declaration.name === call[2])) {
+      return call[2];
+    }
+  }
+  if (call && !call[1] && ['int', 'float', 'str', 'bool'].includes(call[2])) {
+    return call[2];
+  }
+
+  return undefined;
+}
+
+/**
+ * Reduces a type to the name members are looked up by: `Array[int]` to `Array`, `mut Point` to `Point`
+ */
+export function getBaseTypeName(type: string): string {
+  return type.replace(/^\s*mut\s+/, '').replace(/\[.*$/, '').trim();
+}
+
+/**
+ * Follows `type Vector = Array[float]` to `Array`
+ */
+export function resolveTypeAlias(outline: SourceOutline, typeName: string): string {
+  const alias = outline.declarations.find(declaration => declaration.kind === 'type' && declaration.name === typeName);
+  return alias && alias.type ? getBaseTypeName(alias.type) : typeName;
+}
+
+/**
+ * Splits a comma separated list, ignoring commas nested in brackets
+ */
+export function splitTopLevel(text: string): Array<{ text: string; offset: number }> {
+  const parts: Array<{ text: string; offset: number }> = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i <= text.length; i++) {
+    const char = text[i];
+    if (char === '(' || char === '[' || char === '{') {
+      depth++;
+    } else if (char === ')' || char === ']' || char === '}') {
+      depth--;
+    } else if (i === text.length || (char === ',' && depth === 0)) {
+      const part = text.substring(start, i);
+      if (part.trim()) {
+        parts.push({ text: part, offset: start });
+      }
+      start = i + 1;
+    }
+  }
+  return parts;
+}
+
+/**
+ * Recognises a function, method, struct, type alias or variable declared at the top level
+ */
+function matchTopLevelDeclaration(
+  code: string,
+  source: string,
+  line: number,
+  codeLines: string[]
+): SourceDeclaration | undefined {
+  const fn = code.match(FUNCTION_REGEX);
+  if (fn) {
+    const [header, prefix, owner, name, typeParameters] = fn;
+    const openParen = header.length - 1;
+    const closeParen = findClosingParen(code, openParen);
+    const afterParams = closeParen === -1 ? '' : code.substring(closeParen + 1);
+    const returnType = afterParams.match(/^\s*->\s*([^{=]+?)\s*(?:[{=]|$)/);
+    const bodyStart = afterParams.search(/[{=]/);
+    const signatureEnd = closeParen === -1 ? code.length : closeParen + 1 + (bodyStart === -1 ? afterParams.length : bodyStart);
+
+    return {
+      name,
+      kind: owner ? 'method' : 'function',
+      line,
+      character: prefix.length + (owner ? owner.length + 1 : 0),
+      owner: owner || undefined,
+      typeParameters: typeParameters ? typeParameters.split(',').map(param => param.trim()).filter(Boolean) : undefined,
+      parameters: parseParameters(code.substring(openParen + 1, closeParen === -1 ? code.length : closeParen), line, openParen + 1),
+      returnType: returnType ? returnType[1] : undefined,
+      signature: source.substring(code.search(/\S/), signatureEnd).trim()
+    };
+  }
+
+  const struct = code.match(STRUCT_REGEX);
+  if (struct) {
+    return { name: struct[2], kind: 'struct', line, character: struct[1].length, signature: `struct ${struct[2]}` };
+  }
+
+  const alias = code.match(TYPE_ALIAS_REGEX);
+  if (alias) {
+    return {
+      name: alias[2],
+      kind: 'type',
+      line,
+      character: alias[1].length,
+      type: alias[3],
+      signature: `type ${alias[2]} = ${alias[3]}`
+    };
+  }
+
+  return matchVariable(code, line, { declarations: [], imports: [], codeLines });
+}
+
+/**
+ * Recognises `name := value` and `name: [mut] Type = value`
+ */
+export function matchVariable(code: string, line: number, outline: SourceOutline): SourceDeclaration | undefined {
+  const inferred = code.match(/^(\s*)([A-Za-z_]\w*)\s*:=\s*(.*)$/);
+  if (inferred) {
+    return {
+      name: inferred[2],
+      kind: 'variable',
+      line,
+      character: inferred[1].length,
+      type: inferExpressionType(inferred[3], outline),
+      mutable: false
+    };
+  }
+
+  const annotated = code.match(/^(\s*)([A-Za-z_]\w*)\s*:\s*(mut\s+)?([^=]+?)\s*=(?!=)/);
+  if (annotated) {
+    return {
+      name: annotated[2],
+      kind: 'variable',
+      line,
+      character: annotated[1].length,
+      type: annotated[4],
+      mutable: !!annotated[3]
+    };
+  }
+
+  return undefined;
+}
+
+/**
+ * Collects the `name: Type` fields of a struct from one line of its declaration
+ */
+function matchFields(code: string, line: number, struct: SourceDeclaration, isHeader: boolean): SourceDeclaration[] {
+  let start = 0;
+  let end = code.length;
+  if (isHeader) {
+    const brace = code.indexOf('{');
+    if (brace === -1) {
+      return [];
+    }
+    start = brace + 1;
+  }
+  const closing = code.indexOf('}', start);
+  if (closing !== -1) {
+    end = closing;
+  }
+
+  const fields: SourceDeclaration[] = [];
+  for (const part of splitTopLevel(code.substring(start, end))) {
+    const field = part.text.match(/^(\s*)([A-Za-z_]\w*)\s*:\s*(.+?)\s*$/);
+    if (field) {
+      fields.push({
+        name: field[2],
+        kind: 'field',
+        line,
+        character: start + part.offset + field[1].length,
+        type: field[3],
+        owner: struct.name
+      });
+    }
+  }
+  return fields;
+}
+
+function parseParameters(text: string, line: number, offset: number): SourceParameter[] {
+  return splitTopLevel(text).flatMap(part => {
+    const parameter = part.text.match(/^(\s*)([A-Za-z_]\w*)\s*(?::\s*(mut\s+)?(.+?))?\s*$/);
+    if (!parameter) {
+      return [];
+    }
+    return [{
+      name: parameter[2],
+      type: parameter[4],
+      line,
+      character: offset + part.offset + parameter[1].length,
+      mutable: !!parameter[3]
+    }];
+  });
+}
+
+function findClosingParen(code: string, openParen: number): number {
+  let depth = 0;
+  for (let i = openParen; i < code.length; i++) {
+    if (code[i] === '(') {
+      depth++;
+    } else if (code[i] === ')') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * `for i in 0..10` iterates ints; `for x in [1.0, 2.0]` iterates the array's element type
+ */
+export function inferLoopVariableType(code: string, outline: SourceOutline): string | undefined {
+  const iterable = code.match(/\bin\s+(.+?)\s*\{/);
+  if (!iterable) {
+    return undefined;
+  }
+  if (/\.\.=?/.test(iterable[1])) {
+    return 'int';
+  }
+  const type = inferExpressionType(iterable[1], outline);
+  const element = type && type.match(/^Array\[(.+)\]$/);
+  return element ? element[1] : undefined;
+}
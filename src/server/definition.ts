@@ -0,0 +1,135 @@
+import * as fs from 'fs';
+import { Location, LocationLink, Range } from 'vscode-languageserver/node';
+import { BUILTIN_SOURCE_SCHEME } from '../shared/builtinSource';
+import { CompilerDefinitionInfo, CompilerLocation, CompilerSymbolInfo } from './compilerInterface';
+import { BUILTIN_TYPES } from './language';
+
+// Names that can appear in a type annotation but have no declaration to jump to
+const BUILTIN_TYPE_NAMES = new Set([...BUILTIN_TYPES, 'fn', 'mut']);
+
+/**
+ * Converts a compiler location to an LSP range.
+ * When the compiler gives no end position, the range covers `nameLength` characters.
+ */
+export function compilerLocationToRange(location: CompilerLocation, nameLength = 0): Range {
+  const start = { line: location.line - 1, character: location.column };
+  const end = location.endLine !== undefined && location.endColumn !== undefined
+    ? { line: location.endLine - 1, character: location.endColumn }
+    : { line: start.line, character: start.character + nameLength };
+  return { start, end };
+}
+
+/**
+ * Builds the go-to-definition response for a compiler `--lsp-definition` result.
+ * `toUri` maps the paths reported by the compiler back to document URIs.
+ *
+ * With link support the full declaration becomes the peek range and the name
+ * the selection range; otherwise a plain location spanning the declaration is returned.
+ */
+export function definitionToLocations(
+  definition: CompilerDefinitionInfo,
+  toUri: (reportedPath?: string) => string,
+  linkSupport: boolean,
+  fallbackInfo?: CompilerSymbolInfo
+): Location[] | LocationLink[] | null {
+  if (!definition.success || !definition.result) {
+    return null;
+  }
+
+  const result = definition.result;
+
+  if (result.builtin || !result.location) {
+    const signature = result.signature || fallbackInfo?.result?.signature;
+    const documentation = result.documentation || fallbackInfo?.result?.documentation;
+    return [getBuiltinSourceLocation(result.name, result.kind, signature, documentation)];
+  }
+
+  const uri = toUri(result.location.file);
+  const nameRange = compilerLocationToRange(
+    { line: result.location.line, column: result.location.column },
+    result.name.length
+  );
+  const fullRange = compilerLocationToRange(result.location, result.name.length);
+
+  if (linkSupport) {
+    return [{
+      targetUri: uri,
+      targetRange: fullRange,
+      targetSelectionRange: nameRange
+    }];
+  }
+
+  return [{ uri, range: fullRange }];
+}
+
+/**
+ * Finds the position of the user-defined type named in a declaration's annotation,
+ * e.g. `Point` in `p: Point` or `points: Array[Point]`.
+ *
+ * Returns a 1-indexed line and 0-indexed column ready to be passed back to the compiler.
+ */
+export function findAnnotatedTypePosition(
+  lineText: string,
+  line: number,
+  nameColumn: number,
+  name: string
+): { line: number; column: number } | null {
+  const afterName = nameColumn + name.length;
+  const annotation = lineText.substring(afterName).match(/^\s*:(?!=)([^={]*)/);
+  if (!annotation) {
+    return null;
+  }
+
+  const annotationStart = afterName + annotation[0].length - annotation[1].length;
+  const identifierRegex = /[A-Za-z_]\w*/g;
+  let match: RegExpExecArray | null;
+  while ((match = identifierRegex.exec(annotation[1])) !== null) {
+    if (!BUILTIN_TYPE_NAMES.has(match[0])) {
+      return { line, column: annotationStart + match.index };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reads one line (0-indexed) of a file on disk
+ */
+export function readLineFromFile(filePath: string, line: number): string | null {
+  try {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    return line < lines.length ? lines[line] : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Describes a builtin in a virtual read-only document so go-to-definition has somewhere to land
+ */
+function getBuiltinSourceLocation(
+  name: string,
+  kind: string,
+  signature?: string,
+  documentation?: string
+): Location {
+  const lines = [`# Built-in ${kind}: ${name}`, '# Provided by the Volta runtime, no source available.'];
+  if (documentation) {
+    lines.push('#[doc]');
+    for (const docLine of documentation.split('\n')) {
+      lines.push(`# ${docLine}`);
+    }
+    lines.push('#[/doc]');
+  }
+  const declarationLine = lines.length;
+  lines.push(signature || name);
+
+  const fileName = `${name.replace(/[^\w.]/g, '_')}.vlt`;
+  return {
+    uri: `${BUILTIN_SOURCE_SCHEME}:/${fileName}?${encodeURIComponent(lines.join('\n') + '\n')}`,
+    range: {
+      start: { line: declarationLine, character: 0 },
+      end: { line: declarationLine, character: (signature || name).length }
+    }
+  };
+}
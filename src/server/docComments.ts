@@ -0,0 +1,420 @@
+import {
+  CodeAction,
+  CodeActionKind,
+  CompletionItem,
+  CompletionItemKind,
+  Diagnostic,
+  DiagnosticSeverity,
+  Position,
+  Range,
+  TextEdit
+} from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { SourceDeclaration, scanDeclarations } from './declarations';
+
+/**
+ * The contents of a `#[doc]` block, split by tag (docs/volta_spec.md)
+ */
+export interface DocComment {
+  /** Text before the first tag */
+  description: string;
+  parameters: Array<{ name: string; documentation: string }>;
+  fields: Array<{ name: string; documentation: string }>;
+  returns?: string;
+  example?: string;
+}
+
+/**
+ * Returns the text of the `#[doc]` block directly above a declaration (0-indexed line),
+ * without the `# ` prefixes, or undefined if there is none
+ */
+export function getDocCommentText(lines: string[], declarationLine: number): string | undefined {
+  const end = declarationLine - 1;
+  if (end < 0 || lines[end].trim() !== '#[/doc]') {
+    return undefined;
+  }
+
+  const content: string[] = [];
+  for (let line = end - 1; line >= 0; line--) {
+    const trimmed = lines[line].trim();
+    if (trimmed === '#[doc]') {
+      return content.reverse().join('\n');
+    }
+    if (!trimmed.startsWith('#')) {
+      return undefined;
+    }
+    content.push(trimmed.substring(1).replace(/^ /, ''));
+  }
+  return undefined;
+}
+
+/**
+ * Splits doc comment text into its description and `@param` / `@field` / `@returns` / `@example` tags
+ */
+export function parseDocComment(text: string): DocComment {
+  const doc: DocComment = { description: '', parameters: [], fields: [] };
+  const description: string[] = [];
+  const example: string[] = [];
+  let section: 'description' | 'example' | 'other' = 'description';
+
+  for (const line of text.split('\n')) {
+    const tag = line.trim().match(/^@(\w+)\s*(.*)$/);
+    if (!tag) {
+      if (section === 'description') {
+        description.push(line);
+      } else if (section === 'example') {
+        example.push(line);
+      }
+      continue;
+    }
+
+    const [, name, rest] = tag;
+    section = name === 'example' ? 'example' : 'other';
+    const named = rest.match(/^(\w+)\s*(?:-\s*)?(.*)$/);
+    if ((name === 'param' || name === 'field') && named) {
+      const entry = { name: named[1], documentation: named[2].trim() };
+      (name === 'param' ? doc.parameters : doc.fields).push(entry);
+    } else if (name === 'returns' || name === 'return') {
+      doc.returns = rest.trim();
+    } else if (name === 'example' && rest.trim()) {
+      example.push(rest.trim());
+    }
+  }
+
+  doc.description = description.join('\n').trim();
+  if (example.length > 0) {
+    // Examples are indented under the tag; drop the common indentation
+    const indent = Math.min(...example.filter(line => line.trim()).map(line => (line.match(/^\s*/) || [''])[0].length));
+    doc.example = example.map(line => line.substring(Math.min(indent, line.length))).join('\n').replace(/^\n+|\s+$/g, '');
+  }
+  return doc;
+}
+
+/**
+ * Renders a symbol's signature and documentation as markdown, in the layout used by hover
+ */
+export function formatSymbolDocumentation(
+  signature: string | undefined,
+  description: string | undefined,
+  parameters: Array<{ name: string; documentation: string }> = [],
+  returns?: string
+): string {
+  const parts: string[] = [];
+  if (signature) {
+    parts.push(`\`\`\`volta\n${signature}\n\`\`\``);
+  }
+  if (description) {
+    parts.push(description);
+  }
+
+  const paramsWithDocs = parameters.filter(param => param.documentation);
+  if (paramsWithDocs.length > 0) {
+    parts.push('**Parameters:**\n' + paramsWithDocs.map(param => `- \`${param.name}\`: ${param.documentation}`).join('\n'));
+  }
+  if (returns) {
+    parts.push(`**Returns:** ${returns}`);
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Where a `#[doc]` block sits: the lines of its markers, 0-indexed
+ */
+export interface DocBlock {
+  start: number;
+  /** Line of `#[/doc]`, or undefined while the block is not closed yet */
+  end?: number;
+}
+
+// Tags understood by the documentation tooling (docs/volta_spec.md)
+const DOC_TAGS: Array<{ name: string; detail: string }> = [
+  { name: 'param', detail: 'Documents a function parameter' },
+  { name: 'returns', detail: 'Documents the return value' },
+  { name: 'field', detail: 'Documents a struct field' },
+  { name: 'example', detail: 'Provides usage examples' },
+  { name: 'throws', detail: 'Documents potential errors' }
+];
+
+export const DOC_UNKNOWN_PARAM = 'doc-unknown-param';
+export const DOC_MISSING_PARAM = 'doc-missing-param';
+
+/**
+ * Finds the `#[doc]` block a line belongs to, markers included
+ */
+export function findDocBlock(lines: string[], line: number): DocBlock | undefined {
+  let start = -1;
+  for (let current = line; current >= 0; current--) {
+    const trimmed = lines[current].trim();
+    if (trimmed === '#[doc]') {
+      start = current;
+      break;
+    }
+    if (!trimmed.startsWith('#') || (trimmed === '#[/doc]' && current !== line)) {
+      return undefined;
+    }
+  }
+  if (start === -1) {
+    return undefined;
+  }
+
+  for (let current = start + 1; current < lines.length; current++) {
+    const trimmed = lines[current].trim();
+    if (trimmed === '#[/doc]') {
+      return current >= line ? { start, end: current } : undefined;
+    }
+    if (!trimmed.startsWith('#')) {
+      return { start };
+    }
+  }
+  return { start };
+}
+
+/**
+ * Warns about `@param` entries naming no parameter, and parameters without an `@param` entry
+ */
+export function checkDocComments(text: string): Diagnostic[] {
+  const lines = text.split(/\r?\n/);
+  const diagnostics: Diagnostic[] = [];
+
+  for (const declaration of scanDeclarations(text).declarations) {
+    if (declaration.kind !== 'function' && declaration.kind !== 'method') {
+      continue;
+    }
+    const block = findDocBlock(lines, declaration.line - 1);
+    if (!block || block.end !== declaration.line - 1) {
+      continue;
+    }
+
+    const parameters = (declaration.parameters || []).filter(parameter => parameter.name !== 'self');
+    const documented = new Set<string>();
+
+    for (const tag of findTags(lines, block, 'param')) {
+      documented.add(tag.name);
+      if (!parameters.some(parameter => parameter.name === tag.name)) {
+        diagnostics.push({
+          severity: DiagnosticSeverity.Warning,
+          range: tag.range,
+          message: `'${tag.name}' is not a parameter of '${declaration.name}'`,
+          source: 'volta',
+          code: DOC_UNKNOWN_PARAM
+        });
+      }
+    }
+
+    for (const parameter of parameters) {
+      if (!documented.has(parameter.name)) {
+        diagnostics.push({
+          severity: DiagnosticSeverity.Warning,
+          range: {
+            start: { line: parameter.line, character: parameter.character },
+            end: { line: parameter.line, character: parameter.character + parameter.name.length }
+          },
+          message: `Parameter '${parameter.name}' is not documented with @param`,
+          source: 'volta',
+          code: DOC_MISSING_PARAM
+        });
+      }
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Completions inside a `#[doc]` block: tag names after `@`, and after `@param` / `@field`
+ * the parameters or fields of the declaration below that are not documented yet.
+ * Returns null outside doc blocks.
+ */
+export function getDocTagCompletions(text: string, position: Position): CompletionItem[] | null {
+  const lines = text.split(/\r?\n/);
+  const block = findDocBlock(lines, position.line);
+  if (!block || position.line === block.start || position.line === block.end) {
+    return null;
+  }
+
+  const before = lines[position.line].substring(0, position.character);
+  if (/^\s*#\s*@\w*$/.test(before)) {
+    return DOC_TAGS.map(tag => ({ label: tag.name, kind: CompletionItemKind.Keyword, detail: tag.detail }));
+  }
+
+  const named = before.match(/^\s*#\s*@(param|field)\s+\w*$/);
+  if (!named) {
+    return [];
+  }
+
+  const declaration = getDocumentedDeclaration(text, block);
+  if (!declaration) {
+    return [];
+  }
+  const documented = new Set(findTags(lines, block, named[1]).map(tag => tag.name));
+  return getDocumentableNames(text, declaration, named[1])
+    .filter(entry => !documented.has(entry.name))
+    .map(entry => ({
+      label: entry.name,
+      kind: named[1] === 'param' ? CompletionItemKind.Variable : CompletionItemKind.Field,
+      detail: entry.type ? `${entry.name}: ${entry.type}` : undefined,
+      insertText: `${entry.name} - `
+    }));
+}
+
+/**
+ * Offers "Generate doc comment" on an undocumented `fn` or `struct`, and adds missing
+ * `@param` entries for the warnings of `checkDocComments`
+ */
+export function getDocCommentActions(
+  document: TextDocument,
+  range: Range,
+  diagnostics: Diagnostic[],
+  only?: string[]
+): CodeAction[] {
+  const wants = (kind: string) => !only || only.some(requested => kind === requested || kind.startsWith(`${requested}.`));
+  const text = document.getText();
+  const lines = text.split(/\r?\n/);
+  const outline = scanDeclarations(text);
+  const actions: CodeAction[] = [];
+
+  if (wants(CodeActionKind.RefactorRewrite)) {
+    const declaration = outline.declarations.find(candidate =>
+      candidate.line === range.start.line &&
+      (candidate.kind === 'function' || candidate.kind === 'method' || candidate.kind === 'struct')
+    );
+    if (declaration && getDocCommentText(lines, declaration.line) === undefined) {
+      const indent = (lines[declaration.line].match(/^\s*/) || [''])[0];
+      const stub = ['#[doc]', '# ', '#'];
+      for (const entry of getDocumentableNames(text, declaration, declaration.kind === 'struct' ? 'field' : 'param')) {
+        stub.push(`# @${declaration.kind === 'struct' ? 'field' : 'param'} ${entry.name} - `);
+      }
+      if (declaration.returnType) {
+        stub.push('# @returns ');
+      }
+      stub.push('#[/doc]');
+
+      actions.push({
+        title: 'Generate doc comment',
+        kind: CodeActionKind.RefactorRewrite,
+        edit: {
+          changes: {
+            [document.uri]: [TextEdit.insert({ line: declaration.line, character: 0 }, stub.map(line => indent + line + '\n').join(''))]
+          }
+        }
+      });
+    }
+  }
+
+  if (wants(CodeActionKind.QuickFix)) {
+    for (const diagnostic of diagnostics) {
+      const missing = diagnostic.code === DOC_MISSING_PARAM && diagnostic.message.match(/'(\w+)'/);
+      const block = missing ? findDocBlock(lines, diagnostic.range.start.line - 1) : undefined;
+      if (!missing || !block || block.end === undefined) {
+        continue;
+      }
+
+      actions.push({
+        title: `Add @param ${missing[1]} to the doc comment`,
+        kind: CodeActionKind.QuickFix,
+        diagnostics: [diagnostic],
+        isPreferred: true,
+        edit: { changes: { [document.uri]: [insertParamTag(lines, block, missing[1])] } }
+      });
+    }
+  }
+
+  return actions;
+}
+
+/**
+ * After Enter on a `#[doc]` line, closes the block with `#[/doc]` if nothing closes it yet
+ */
+export function closeDocBlockOnEnter(document: TextDocument, position: Position): TextEdit[] {
+  const lines = document.getText().split(/\r?\n/);
+  const previous = position.line - 1;
+  if (previous < 0 || lines[previous].trim() !== '#[doc]') {
+    return [];
+  }
+  const block = findDocBlock(lines, position.line);
+  if (!block || block.end !== undefined) {
+    return [];
+  }
+
+  const indent = (lines[previous].match(/^\s*/) || [''])[0];
+  // Insert below the cursor line so the cursor stays where it is
+  if (position.line + 1 < lines.length) {
+    return [TextEdit.insert({ line: position.line + 1, character: 0 }, `${indent}#[/doc]\n`)];
+  }
+  return [TextEdit.insert({ line: position.line, character: lines[position.line].length }, `\n${indent}#[/doc]`)];
+}
+
+/**
+ * The declaration a doc block documents: the line right after `#[/doc]`
+ */
+export function getDocumentedDeclaration(text: string, block: DocBlock): SourceDeclaration | undefined {
+  if (block.end === undefined) {
+    return undefined;
+  }
+  return scanDeclarations(text).declarations.find(declaration =>
+    declaration.line === block.end! + 1 &&
+    (declaration.kind === 'function' || declaration.kind === 'method' || declaration.kind === 'struct')
+  );
+}
+
+/**
+ * The `@param` or `@field` entries of a block, with the range of each name
+ */
+function findTags(lines: string[], block: DocBlock, tagName: string): Array<{ name: string; range: Range }> {
+  const tags: Array<{ name: string; range: Range }> = [];
+  const end = block.end ?? lines.length;
+  const regex = new RegExp(`^(\\s*#\\s*@${tagName}\\s+)(\\w+)`);
+  for (let line = block.start + 1; line < end; line++) {
+    const match = lines[line].match(regex);
+    if (match) {
+      tags.push({
+        name: match[2],
+        range: {
+          start: { line, character: match[1].length },
+          end: { line, character: match[1].length + match[2].length }
+        }
+      });
+    }
+  }
+  return tags;
+}
+
+/**
+ * The parameters of a function (without `self`) or the fields of a struct
+ */
+function getDocumentableNames(
+  text: string,
+  declaration: SourceDeclaration,
+  tagName: string
+): Array<{ name: string; type?: string }> {
+  if (tagName === 'field') {
+    return scanDeclarations(text).declarations
+      .filter(candidate => candidate.kind === 'field' && candidate.owner === declaration.name)
+      .map(field => ({ name: field.name, type: field.type }));
+  }
+  return (declaration.parameters || []).filter(parameter => parameter.name !== 'self');
+}
+
+/**
+ * Inserts `# @param name - ` after the existing `@param` entries, or before the first
+ * other tag, or at the end of the block
+ */
+function insertParamTag(lines: string[], block: DocBlock, name: string): TextEdit {
+  const end = block.end!;
+  let line = end;
+  let lastParam = -1;
+  for (let current = block.start + 1; current < end; current++) {
+    if (/^\s*#\s*@param\b/.test(lines[current])) {
+      lastParam = current;
+    } else if (lastParam === -1 && line === end && /^\s*#\s*@\w+/.test(lines[current])) {
+      line = current;
+    }
+  }
+  if (lastParam !== -1) {
+    line = lastParam + 1;
+  }
+
+  const indent = (lines[block.start].match(/^\s*/) || [''])[0];
+  return TextEdit.insert({ line, character: 0 }, `${indent}# @param ${name} - \n`);
+}
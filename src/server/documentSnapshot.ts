@@ -0,0 +1,169 @@
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+
+/**
+ * A document version the compiler can read, so queries see the live buffer rather
+ * than the last saved file.
+ *
+ * Saved `file:` documents are passed to the compiler as-is. Unsaved changes are copied to
+ * a hidden file next to the original, so its imports still resolve. `untitled:` buffers,
+ * other schemes and read-only directories fall back to a temp directory.
+ */
+export interface DocumentSnapshot {
+  /** Path handed to the compiler */
+  filePath: string;
+  /** URI of the document the snapshot was taken from */
+  uri: string;
+  version: number;
+}
+
+// Copies that have no directory of their own live in a per-process temp directory
+const snapshotRoot = path.join(os.tmpdir(), `volta-lsp-${process.pid}`);
+
+// Latest snapshot per document URI, reused while the document version is unchanged
+const snapshots: Map<string, DocumentSnapshot & { temporary: boolean }> = new Map();
+
+/**
+ * Converts a `file:` URI to a file system path, or returns null for other schemes
+ */
+export function uriToFilePath(uri: string): string | null {
+  if (!uri.startsWith('file:')) {
+    return null;
+  }
+  try {
+    return fileURLToPath(uri);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Converts a file system path to a `file:` URI
+ */
+export function filePathToUri(filePath: string): string {
+  return pathToFileURL(filePath).toString();
+}
+
+/**
+ * Returns a snapshot of the current version of a document, writing a temp copy if needed
+ */
+export async function getDocumentSnapshot(document: TextDocument): Promise<DocumentSnapshot> {
+  const existing = snapshots.get(document.uri);
+  if (existing && existing.version === document.version) {
+    return existing;
+  }
+
+  const text = document.getText();
+  const diskPath = uriToFilePath(document.uri);
+
+  if (diskPath && await readFileOrNull(diskPath) === text) {
+    releaseDocumentSnapshot(document.uri);
+    const snapshot = { filePath: diskPath, uri: document.uri, version: document.version, temporary: false };
+    snapshots.set(document.uri, snapshot);
+    return snapshot;
+  }
+
+  const tempPath = await writeTemporaryCopy(document.uri, diskPath, text);
+  const snapshot = { filePath: tempPath, uri: document.uri, version: document.version, temporary: true };
+  snapshots.set(document.uri, snapshot);
+  return snapshot;
+}
+
+/**
+ * Maps a path reported by the compiler back to a document URI.
+ * A missing path or the snapshot's own temp file means the snapshot's document.
+ */
+export function toDocumentUri(snapshot: DocumentSnapshot, reportedPath?: string): string {
+  if (!reportedPath || isSnapshotFile(snapshot, reportedPath)) {
+    return snapshot.uri;
+  }
+  return filePathToUri(path.resolve(reportedPath));
+}
+
+/**
+ * Checks whether a path reported by the compiler refers to the snapshot's document
+ */
+export function isSnapshotFile(snapshot: DocumentSnapshot, reportedPath?: string): boolean {
+  if (!reportedPath) {
+    return true;
+  }
+  const resolved = path.resolve(reportedPath);
+  return resolved === path.resolve(snapshot.filePath) || resolved === uriToFilePath(snapshot.uri);
+}
+
+/**
+ * Deletes the temp copy of a document, e.g. when it is closed
+ */
+export function releaseDocumentSnapshot(uri: string): void {
+  const snapshot = snapshots.get(uri);
+  snapshots.delete(uri);
+  if (snapshot && snapshot.temporary) {
+    fs.promises.unlink(snapshot.filePath).catch(() => {
+      // Ignore cleanup errors
+    });
+  }
+}
+
+/**
+ * Deletes every temp copy, so none is left next to the user's files when the server stops
+ */
+export function releaseAllDocumentSnapshots(): void {
+  for (const snapshot of snapshots.values()) {
+    if (snapshot.temporary) {
+      try {
+        fs.unlinkSync(snapshot.filePath);
+      } catch {
+        // Ignore cleanup errors
+      }
+    }
+  }
+  snapshots.clear();
+}
+
+/**
+ * Checks whether a path is a temp copy written next to a document, e.g. `.~4242.geometry.vlt`.
+ * File watchers report these like any other `.vlt` file.
+ */
+export function isTemporaryCopy(filePath: string): boolean {
+  return /^\.~\d+\./.test(path.basename(filePath));
+}
+
+/**
+ * Writes text to a temp file the compiler reads in place of a document: a hidden file in
+ * the document's own directory when it has one, otherwise in the temp directory.
+ * The name keeps the file name, so compiler messages still mention `geometry.vlt`.
+ */
+async function writeTemporaryCopy(uri: string, diskPath: string | null, text: string): Promise<string> {
+  if (diskPath) {
+    const siblingPath = path.join(path.dirname(diskPath), `.~${process.pid}.${path.basename(diskPath)}`);
+    try {
+      await fs.promises.writeFile(siblingPath, text, 'utf8');
+      return siblingPath;
+    } catch {
+      // A read-only directory; imports next to the file will not resolve
+    }
+  }
+
+  const hash = crypto.createHash('sha1').update(uri).digest('hex').substring(0, 12);
+  let baseName = diskPath ? path.basename(diskPath) : decodeURIComponent(uri.split(/[/:]/).pop() || 'untitled');
+  baseName = baseName.replace(/[^\w.-]/g, '_');
+  if (!baseName.endsWith('.vlt')) {
+    baseName += '.vlt';
+  }
+  const tempPath = path.join(snapshotRoot, hash, baseName);
+  await fs.promises.mkdir(path.dirname(tempPath), { recursive: true });
+  await fs.promises.writeFile(tempPath, text, 'utf8');
+  return tempPath;
+}
+
+async function readFileOrNull(filePath: string): Promise<string | null> {
+  try {
+    return await fs.promises.readFile(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
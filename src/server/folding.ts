@@ -0,0 +1,183 @@
+import { FoldingRange, FoldingRangeKind } from 'vscode-languageserver/node';
+import { toCodeLines } from '../shared/codeLines';
+
+interface OpenBracket {
+  line: number;
+  /** `{` of a `match` block, whose arms fold individually */
+  isMatch: boolean;
+  /** First line of the match arm being read */
+  armStart?: number;
+}
+
+const IMPORT_REGEX = /^\s*import\s+[A-Za-z_]/;
+
+/**
+ * Lists the foldable regions of a file: multi-line brackets, `match` arms,
+ * `#[doc]` blocks, `#[ ... ]#` comments, runs of `#` comments and runs of imports
+ */
+export function getFoldingRanges(text: string): FoldingRange[] {
+  const lines = text.split(/\r?\n/);
+  const codeLines = toCodeLines(text);
+
+  return [
+    ...getBracketRanges(codeLines),
+    ...getCommentRanges(lines, codeLines),
+    ...getImportRanges(lines)
+  ].sort((a, b) => a.startLine - b.startLine);
+}
+
+/**
+ * Folds every bracket that spans lines, keeping a closing bracket that starts
+ * its line visible, and every multi-line arm of a `match`
+ */
+function getBracketRanges(codeLines: string[]): FoldingRange[] {
+  const ranges: FoldingRange[] = [];
+  const stack: OpenBracket[] = [];
+  let lastCodeLine = 0;
+
+  const closeArm = (match: OpenBracket, endLine: number) => {
+    if (match.armStart !== undefined && endLine > match.armStart) {
+      ranges.push({ startLine: match.armStart, endLine });
+    }
+    match.armStart = undefined;
+  };
+
+  codeLines.forEach((code, line) => {
+    const top = stack[stack.length - 1];
+    // An arm starts at its `=>`; an arm whose body is a block folds with the block
+    if (top && top.isMatch && code.includes('=>')) {
+      closeArm(top, lastCodeLine);
+      if (!/\{\s*$/.test(code)) {
+        top.armStart = line;
+      }
+    }
+
+    for (let i = 0; i < code.length; i++) {
+      const char = code[i];
+      if (char === '{' || char === '(' || char === '[') {
+        stack.push({ line, isMatch: char === '{' && /\bmatch\b/.test(code.substring(0, i)) });
+      } else if ((char === '}' || char === ')' || char === ']') && stack.length > 0) {
+        const opened = stack.pop() as OpenBracket;
+        if (opened.isMatch) {
+          closeArm(opened, code.substring(0, i).trim() ? line : lastCodeLine);
+        }
+        const endLine = code.substring(0, i).trim() ? line : line - 1;
+        if (endLine > opened.line) {
+          ranges.push({ startLine: opened.line, endLine });
+        }
+      }
+    }
+
+    if (code.trim()) {
+      lastCodeLine = line;
+    }
+  });
+
+  return ranges;
+}
+
+/**
+ * Folds `#[doc]` blocks, `#[ ... ]#` comments and two or more consecutive `#` comment lines
+ */
+function getCommentRanges(lines: string[], codeLines: string[]): FoldingRange[] {
+  const ranges: FoldingRange[] = [];
+  let runStart = -1;
+
+  const endRun = (line: number) => {
+    if (runStart !== -1 && line - 1 > runStart) {
+      ranges.push({ startLine: runStart, endLine: line - 1, kind: FoldingRangeKind.Comment });
+    }
+    runStart = -1;
+  };
+
+  for (let line = 0; line < lines.length; line++) {
+    const trimmed = lines[line].trim();
+
+    if (trimmed === '#[doc]') {
+      endRun(line);
+      let end = line + 1;
+      while (end < lines.length && lines[end].trim().startsWith('#') && lines[end].trim() !== '#[/doc]') {
+        end++;
+      }
+      const closed = end < lines.length && lines[end].trim() === '#[/doc]';
+      const last = closed ? end : end - 1;
+      if (last > line) {
+        ranges.push({ startLine: line, endLine: last, kind: FoldingRangeKind.Comment });
+      }
+      line = last;
+      continue;
+    }
+
+    const blockStart = findBlockCommentStart(lines[line], codeLines[line]);
+    if (blockStart !== -1) {
+      endRun(line);
+      let end = line;
+      let from = blockStart + 2;
+      while (end < lines.length && lines[end].indexOf(']#', from) === -1) {
+        end++;
+        from = 0;
+      }
+      const last = Math.min(end, lines.length - 1);
+      if (last > line) {
+        ranges.push({ startLine: line, endLine: last, kind: FoldingRangeKind.Comment });
+      }
+      line = last;
+      continue;
+    }
+
+    if (trimmed.startsWith('#') && !codeLines[line].trim()) {
+      if (runStart === -1) {
+        runStart = line;
+      }
+    } else {
+      endRun(line);
+    }
+  }
+  endRun(lines.length);
+
+  return ranges;
+}
+
+/**
+ * Folds runs of two or more `import` lines; blank lines between them do not break a run
+ */
+function getImportRanges(lines: string[]): FoldingRange[] {
+  const ranges: FoldingRange[] = [];
+  let start = -1;
+  let last = -1;
+
+  lines.forEach((text, line) => {
+    if (IMPORT_REGEX.test(text)) {
+      if (start === -1) {
+        start = line;
+      }
+      last = line;
+    } else if (text.trim() && start !== -1) {
+      if (last > start) {
+        ranges.push({ startLine: start, endLine: last, kind: FoldingRangeKind.Imports });
+      }
+      start = -1;
+    }
+  });
+  if (start !== -1 && last > start) {
+    ranges.push({ startLine: start, endLine: last, kind: FoldingRangeKind.Imports });
+  }
+
+  return ranges;
+}
+
+/**
+ * Returns the column of a `#[` that opens a block comment, or -1.
+ * The code line has comments and string contents blanked but keeps the quotes,
+ * so a `#` with an even number of quotes before it is not inside a string.
+ */
+function findBlockCommentStart(source: string, code: string): number {
+  for (let i = source.indexOf('#'); i !== -1; i = source.indexOf('#', i + 1)) {
+    const quotes = (code.substring(0, i).match(/["']/g) || []).length;
+    if (quotes % 2 === 0 && code[i] === ' ') {
+      // The first comment on the line decides: `# see #[` is a line comment
+      return source.startsWith('#[', i) && !/^#\[\/?doc\]/.test(source.substring(i)) ? i : -1;
+    }
+  }
+  return -1;
+}
@@ -0,0 +1,491 @@
+import { FormattingOptions, Range, TextEdit } from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+
+/**
+ * A lexical token on one line of Volta source
+ */
+interface Token {
+  kind: 'identifier' | 'number' | 'string' | 'operator' | 'comment';
+  text: string;
+  /** Whitespace found before the token in the original source */
+  gap: string;
+}
+
+/**
+ * A formatted line plus what the blank-line pass needs to know about it
+ */
+interface FormattedLine {
+  text: string;
+  isBlank: boolean;
+  isComment: boolean;
+  /** A `fn` or `struct` declared at the top level */
+  isTopLevelDeclaration: boolean;
+  /** Closes the body of a top-level `fn` or `struct` */
+  endsTopLevelDeclaration: boolean;
+}
+
+interface OpenBracket {
+  text: string;
+  /** `{` of a struct literal such as `Point {` */
+  isStructLiteral: boolean;
+  /** Index of the line that opened it */
+  line: number;
+}
+
+// Longest operators first so `:=` wins over `:`
+const OPERATORS = [
+  '..=', '**', ':=', '->', '=>', '==', '!=', '<=', '>=', '+=', '-=', '*=', '/=', '..',
+  '+', '-', '*', '/', '%', '<', '>', '=', ':', ',', '.', '(', ')', '[', ']', '{', '}', '!', '?', ';', '&', '|', '@'
+];
+
+// Keywords that are followed by an expression rather than called like a function
+const CONTROL_KEYWORDS = new Set([
+  'if', 'else', 'while', 'for', 'in', 'match', 'return', 'and', 'or', 'not', 'import', 'struct', 'type', 'mut'
+]);
+
+// Statements whose `{` opens a block, never a struct literal
+const BLOCK_KEYWORDS = new Set(['fn', 'struct', 'if', 'else', 'while', 'for', 'match', 'type']);
+
+/**
+ * Formats a whole document.
+ * Returns a single edit replacing the text, or nothing if it is already formatted.
+ */
+export function formatDocument(document: TextDocument, options: FormattingOptions): TextEdit[] {
+  const text = document.getText();
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const lines = normalizeBlankLines(formatLines(text.split(/\r?\n/), options));
+  const formatted = lines.length > 0 ? lines.join(eol) + eol : '';
+
+  if (formatted === text) {
+    return [];
+  }
+
+  return [TextEdit.replace({ start: { line: 0, character: 0 }, end: document.positionAt(text.length) }, formatted)];
+}
+
+/**
+ * Formats the lines touched by a range. Blank lines are left alone so that
+ * every line keeps its position; only indentation and spacing change.
+ */
+export function formatRange(document: TextDocument, range: Range, options: FormattingOptions): TextEdit[] {
+  const lines = document.getText().split(/\r?\n/);
+  const formatted = formatLines(lines, options);
+  const edits: TextEdit[] = [];
+
+  const lastLine = range.end.character === 0 && range.end.line > range.start.line ? range.end.line - 1 : range.end.line;
+  for (let line = range.start.line; line <= Math.min(lastLine, lines.length - 1); line++) {
+    if (formatted[line].text !== lines[line]) {
+      edits.push(TextEdit.replace(
+        { start: { line, character: 0 }, end: { line, character: lines[line].length } },
+        formatted[line].text
+      ));
+    }
+  }
+
+  return edits;
+}
+
+/**
+ * Formats after typing: a `}` re-indents its own line, Enter tidies the line just finished
+ */
+export function formatOnType(
+  document: TextDocument,
+  position: { line: number; character: number },
+  typed: string,
+  options: FormattingOptions
+): TextEdit[] {
+  const line = typed === '\n' ? position.line - 1 : position.line;
+  if (line < 0) {
+    return [];
+  }
+  return formatRange(document, { start: { line, character: 0 }, end: { line, character: 0 } }, options);
+}
+
+/**
+ * Re-indents and re-spaces every line, one output line per input line
+ */
+function formatLines(lines: string[], options: FormattingOptions): FormattedLine[] {
+  const indentUnit = options.insertSpaces ? ' '.repeat(options.tabSize) : '\t';
+  const output: FormattedLine[] = [];
+  const brackets: OpenBracket[] = [];
+
+  let inBlockComment = false;
+  let inDocBlock = false;
+  let continuation = false;
+  let topLevelDeclarationOpen = false;
+  let lastCodeLine = -1;
+
+  for (let index = 0; index < lines.length; index++) {
+    const raw = lines[index];
+    const trimmed = raw.trim();
+    const depth = brackets.length;
+
+    // Multi-line `#[ ... ]#` comments are kept exactly as written
+    if (inBlockComment) {
+      output.push(commentLine(raw.replace(/\s+$/, '')));
+      if (trimmed.includes(']#')) {
+        inBlockComment = false;
+      }
+      continue;
+    }
+
+    if (trimmed === '') {
+      output.push({ text: '', isBlank: true, isComment: false, isTopLevelDeclaration: false, endsTopLevelDeclaration: false });
+      continue;
+    }
+
+    const indent = indentUnit.repeat(depth);
+
+    // `#[doc]` blocks: align every `#` with the block and keep the text after it
+    if (trimmed === '#[doc]' || trimmed === '#[/doc]') {
+      inDocBlock = trimmed === '#[doc]';
+      output.push(commentLine(indent + trimmed));
+      continue;
+    }
+    if (inDocBlock && trimmed.startsWith('#')) {
+      const content = trimmed.substring(1);
+      output.push(commentLine(indent + '#' + (content && !/^\s/.test(content) ? ' ' : '') + content));
+      continue;
+    }
+
+    const tokens = tokenize(trimmed);
+    const first = tokens[0];
+
+    if (first.kind === 'comment' && tokens.length === 1) {
+      if (first.text.startsWith('#[') && !first.text.includes(']#')) {
+        inBlockComment = true;
+      }
+      output.push(commentLine(indent + trimmed));
+      continue;
+    }
+
+    // Closing brackets at the start of a line sit at the outer level
+    let lineDepth = depth;
+    for (const token of tokens) {
+      if (token.kind === 'operator' && /^[)\]}]$/.test(token.text) && lineDepth > 0) {
+        lineDepth--;
+      } else {
+        break;
+      }
+    }
+
+    // Lines continuing an expression (`=>` at the end of the previous line, `.method()` chains)
+    const isContinuation = continuation || (first.kind === 'operator' && first.text === '.');
+    const lineIndent = indentUnit.repeat(lineDepth + (isContinuation ? 1 : 0));
+
+    const isTopLevelDeclaration = depth === 0 && first.kind === 'identifier' && (first.text === 'fn' || first.text === 'struct');
+    let endsTopLevelDeclaration = false;
+
+    // Walk the tokens, tracking brackets and adding a trailing comma to multi-line struct literals
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.kind !== 'operator') {
+        continue;
+      }
+
+      if (token.text === '(' || token.text === '[' || token.text === '{') {
+        const previous = i > 0 ? tokens[i - 1] : undefined;
+        brackets.push({
+          text: token.text,
+          isStructLiteral: token.text === '{' && previous !== undefined &&
+            previous.kind === 'identifier' && /^[A-Z]/.test(previous.text) && !BLOCK_KEYWORDS.has(first.text),
+          line: index
+        });
+        if (isTopLevelDeclaration && token.text === '{' && brackets.length === 1) {
+          topLevelDeclarationOpen = true;
+        }
+      } else if (token.text === ')' || token.text === ']' || token.text === '}') {
+        const opened = brackets.pop();
+        if (opened && opened.isStructLiteral && opened.line !== index && i === 0 && lastCodeLine > opened.line) {
+          addTrailingComma(output[lastCodeLine]);
+        }
+        if (brackets.length === 0 && token.text === '}' && topLevelDeclarationOpen) {
+          topLevelDeclarationOpen = false;
+          endsTopLevelDeclaration = true;
+        }
+      }
+    }
+
+    const codeTokens = tokens.filter(token => token.kind !== 'comment');
+    const lastToken = codeTokens[codeTokens.length - 1];
+    continuation = lastToken !== undefined && lastToken.kind === 'operator' && lastToken.text === '=>';
+
+    output.push({
+      text: lineIndent + printTokens(tokens),
+      isBlank: false,
+      isComment: false,
+      isTopLevelDeclaration,
+      endsTopLevelDeclaration
+    });
+    lastCodeLine = index;
+  }
+
+  return output;
+}
+
+/**
+ * Joins a line's tokens with the canonical spacing between them
+ */
+function printTokens(tokens: Token[]): string {
+  let text = '';
+  // Brackets opened on this line, to know whether a `:` is a slice inside `[...]`
+  const lineBrackets: boolean[] = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const previous = i > 0 ? tokens[i - 1] : undefined;
+    const beforePrevious = i > 1 ? tokens[i - 2] : undefined;
+    const insideIndex = lineBrackets.length > 0 && lineBrackets[lineBrackets.length - 1];
+
+    if (previous) {
+      text += spaceBetween(beforePrevious, previous, token, insideIndex);
+    }
+    text += token.text;
+
+    if (token.kind === 'operator') {
+      if (token.text === '[' || token.text === '(' || token.text === '{') {
+        lineBrackets.push(token.text === '[' && isCallable(previous));
+      } else if ((token.text === ']' || token.text === ')' || token.text === '}') && lineBrackets.length > 0) {
+        lineBrackets.pop();
+      }
+    }
+  }
+
+  return text;
+}
+
+/**
+ * The whitespace to print between two tokens
+ */
+function spaceBetween(beforePrevious: Token | undefined, previous: Token, next: Token, insideIndex: boolean): string {
+  if (next.kind === 'comment') {
+    return previous.kind === 'comment' ? ' ' : (next.gap.length > 0 ? next.gap.replace(/\t/g, ' ') : ' ');
+  }
+
+  const p = previous.kind === 'operator' ? previous.text : '';
+  const n = next.kind === 'operator' ? next.text : '';
+
+  if (p === '(' || p === '[') {
+    return '';
+  }
+  if (n === ')' || n === ']' || n === ',' || n === ';') {
+    return '';
+  }
+  if (p === ',' || p === ';') {
+    return ' ';
+  }
+  if (n === '.' || p === '.' || n === '..' || p === '..' || n === '..=' || p === '..=' || n === '?') {
+    return '';
+  }
+  if (n === '(') {
+    return isCallable(previous) || previous.text === 'fn' ? '' : ' ';
+  }
+  if (n === '[') {
+    return isCallable(previous) ? '' : ' ';
+  }
+  if (n === ':') {
+    return '';
+  }
+  if (p === ':') {
+    return insideIndex ? '' : ' ';
+  }
+  if (n === '{' || p === '{') {
+    return ' ';
+  }
+  if (n === '}') {
+    return p === '{' ? '' : ' ';
+  }
+  if (p === '!' || p === '@') {
+    return '';
+  }
+  if ((p === '-' || p === '+') && isUnary(beforePrevious)) {
+    return '';
+  }
+  return ' ';
+}
+
+/**
+ * A `-` or `+` is unary when nothing that ends an operand comes before it
+ */
+function isUnary(beforeOperator: Token | undefined): boolean {
+  if (!beforeOperator) {
+    return true;
+  }
+  if (beforeOperator.kind === 'operator') {
+    return beforeOperator.text !== ')' && beforeOperator.text !== ']' && beforeOperator.text !== '}';
+  }
+  return beforeOperator.kind === 'identifier' && CONTROL_KEYWORDS.has(beforeOperator.text);
+}
+
+/**
+ * Whether a token can be followed directly by `(` (a call) or `[` (indexing, generics)
+ */
+function isCallable(token: Token | undefined): boolean {
+  if (!token) {
+    return false;
+  }
+  if (token.kind === 'identifier') {
+    return !CONTROL_KEYWORDS.has(token.text) && token.text !== 'fn';
+  }
+  return token.kind === 'string' || (token.kind === 'operator' && (token.text === ')' || token.text === ']'));
+}
+
+/**
+ * Splits one trimmed line into tokens; everything from `#` on is a single comment token
+ */
+function tokenize(line: string): Token[] {
+  const tokens: Token[] = [];
+  let position = 0;
+
+  while (position < line.length) {
+    const start = position;
+    while (position < line.length && /\s/.test(line[position])) {
+      position++;
+    }
+    const gap = line.substring(start, position);
+    if (position >= line.length) {
+      break;
+    }
+
+    const rest = line.substring(position);
+    const char = line[position];
+
+    if (char === '#') {
+      // An inline `#[ ... ]#` comment may be followed by more code
+      const inlineBlock = rest.match(/^#\[(?!\/?doc\])[\s\S]*?\]#/);
+      if (inlineBlock && rest.length > inlineBlock[0].length && /\S/.test(rest.substring(inlineBlock[0].length))) {
+        tokens.push({ kind: 'comment', text: inlineBlock[0], gap });
+        position += inlineBlock[0].length;
+        continue;
+      }
+      tokens.push({ kind: 'comment', text: rest.replace(/\s+$/, ''), gap });
+      break;
+    }
+
+    if (char === '"' || char === '\'') {
+      let end = position + 1;
+      while (end < line.length && line[end] !== char) {
+        end += line[end] === '\\' ? 2 : 1;
+      }
+      tokens.push({ kind: 'string', text: line.substring(position, Math.min(end + 1, line.length)), gap });
+      position = end + 1;
+      continue;
+    }
+
+    const number = rest.match(/^\d+(\.\d+)?([eE][-+]?\d+)?/);
+    if (number) {
+      tokens.push({ kind: 'number', text: number[0], gap });
+      position += number[0].length;
+      continue;
+    }
+
+    const identifier = rest.match(/^[A-Za-z_]\w*/);
+    if (identifier) {
+      tokens.push({ kind: 'identifier', text: identifier[0], gap });
+      position += identifier[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => rest.startsWith(op)) || char;
+    tokens.push({ kind: 'operator', text: operator, gap });
+    position += operator.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Appends `,` to the code part of a line, before any trailing comment
+ */
+function addTrailingComma(line: FormattedLine): void {
+  const tokens = tokenize(line.text.trim());
+  const code = tokens.filter(token => token.kind !== 'comment');
+  const last = code[code.length - 1];
+  if (!last || (last.kind === 'operator' && (last.text === ',' || last.text === '{'))) {
+    return;
+  }
+
+  const comment = tokens.find(token => token.kind === 'comment');
+  if (!comment) {
+    line.text += ',';
+    return;
+  }
+  const commentStart = line.text.lastIndexOf(comment.text);
+  const codePart = line.text.substring(0, commentStart).replace(/\s+$/, '');
+  line.text = codePart + ',' + line.text.substring(codePart.length);
+}
+
+/**
+ * Separates top-level `fn` and `struct` declarations with a blank line and
+ * trims runs of blank lines (two at most at the top level, one inside blocks)
+ */
+function normalizeBlankLines(lines: FormattedLine[]): string[] {
+  const result: FormattedLine[] = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+
+    if (line.isBlank) {
+      if (result.length === 0) {
+        continue;
+      }
+      const trailingBlanks = countTrailingBlanks(result);
+      const maxBlanks = /^\s/.test(nextNonBlank(lines, index)?.text || '') ? 1 : 2;
+      if (trailingBlanks < maxBlanks) {
+        result.push(line);
+      }
+      continue;
+    }
+
+    const previous = result[result.length - 1];
+    if (previous && !previous.isBlank) {
+      // A declaration (with its doc comment) starts after a blank line,
+      // and code following a declaration's closing brace is set apart too
+      const startsDeclaration = line.isTopLevelDeclaration && !previous.isComment ||
+        line.isComment && !/^\s/.test(line.text) && !previous.isComment && startsDocumentedDeclaration(lines, index);
+      if (startsDeclaration || previous.endsTopLevelDeclaration) {
+        result.push({ text: '', isBlank: true, isComment: false, isTopLevelDeclaration: false, endsTopLevelDeclaration: false });
+      }
+    }
+
+    result.push(line);
+  }
+
+  while (result.length > 0 && result[result.length - 1].isBlank) {
+    result.pop();
+  }
+
+  return result.map(line => line.text);
+}
+
+/**
+ * Whether the comment lines starting at `index` lead straight into a top-level declaration
+ */
+function startsDocumentedDeclaration(lines: FormattedLine[], index: number): boolean {
+  let line = index;
+  while (line < lines.length && lines[line].isComment) {
+    line++;
+  }
+  return line < lines.length && lines[line].isTopLevelDeclaration;
+}
+
+function countTrailingBlanks(lines: FormattedLine[]): number {
+  let count = 0;
+  for (let i = lines.length - 1; i >= 0 && lines[i].isBlank; i--) {
+    count++;
+  }
+  return count;
+}
+
+function nextNonBlank(lines: FormattedLine[], index: number): FormattedLine | undefined {
+  for (let i = index + 1; i < lines.length; i++) {
+    if (!lines[i].isBlank) {
+      return lines[i];
+    }
+  }
+  return undefined;
+}
+
+function commentLine(text: string): FormattedLine {
+  return { text, isBlank: false, isComment: true, isTopLevelDeclaration: false, endsTopLevelDeclaration: false };
+}
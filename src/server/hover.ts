@@ -0,0 +1,69 @@
+import { Hover, MarkupKind, Position } from 'vscode-languageserver/node';
+import { SourceDeclaration, getVariablesInScope, scanDeclarations } from './declarations';
+import { formatSymbolDocumentation, getDocCommentText, parseDocComment } from './docComments';
+import { getWordRangeAtPosition } from './language';
+
+/**
+ * Builds a hover from the source text alone, for when the compiler is not available:
+ * the declaration's signature plus its parsed `#[doc]` block
+ */
+export function getLocalHover(text: string, position: Position): Hover | null {
+  const wordRange = getWordRangeAtPosition(text, position);
+  if (!wordRange) {
+    return null;
+  }
+
+  const lines = text.split(/\r?\n/);
+  const name = lines[position.line].substring(wordRange.start.character, wordRange.end.character);
+  const isMember = /\.\s*$/.test(lines[position.line].substring(0, wordRange.start.character));
+  const outline = scanDeclarations(text);
+
+  const declaration = isMember
+    ? outline.declarations.find(candidate => candidate.name === name && (candidate.kind === 'method' || candidate.kind === 'field'))
+    : getVariablesInScope(outline, position).find(candidate => candidate.name === name) ||
+      outline.declarations.find(candidate =>
+        candidate.name === name && candidate.kind !== 'method' && candidate.kind !== 'field' && candidate.kind !== 'variable'
+      );
+  if (!declaration) {
+    return null;
+  }
+
+  return {
+    contents: { kind: MarkupKind.Markdown, value: describeDeclaration(declaration, outline.declarations, lines) },
+    range: wordRange
+  };
+}
+
+/**
+ * Renders a declaration in the layout of the compiler-backed hover
+ */
+function describeDeclaration(declaration: SourceDeclaration, declarations: SourceDeclaration[], lines: string[]): string {
+  if (declaration.kind === 'variable' || declaration.kind === 'parameter' || declaration.kind === 'field') {
+    let markdown = declaration.type
+      ? `**${declaration.name}**: \`${declaration.type}\``
+      : `**${declaration.name}**`;
+
+    // Fields are documented by the `@field` tags of their struct
+    if (declaration.kind === 'field') {
+      const struct = declarations.find(candidate => candidate.kind === 'struct' && candidate.name === declaration.owner);
+      const structDoc = struct && getDocCommentText(lines, struct.line);
+      const field = structDoc !== undefined && parseDocComment(structDoc).fields.find(entry => entry.name === declaration.name);
+      if (field && field.documentation) {
+        markdown += `\n\n${field.documentation}`;
+      }
+    }
+    return markdown;
+  }
+
+  const docText = getDocCommentText(lines, declaration.line);
+  const doc = docText !== undefined ? parseDocComment(docText) : undefined;
+  let markdown = formatSymbolDocumentation(declaration.signature, doc?.description, doc?.parameters, doc?.returns);
+
+  if (doc && doc.fields.length > 0) {
+    markdown += '\n\n**Fields:**\n' + doc.fields.map(field => `- \`${field.name}\`: ${field.documentation}`).join('\n');
+  }
+  if (doc && doc.example) {
+    markdown += `\n\n**Example:**\n\`\`\`volta\n${doc.example}\n\`\`\``;
+  }
+  return markdown;
+}
@@ -0,0 +1,117 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { scanDeclarations } from './declarations';
+import { getModuleCandidates } from './imports';
+import { CORE_MODULES } from './language';
+import { findVoltaFiles } from './workspaceFiles';
+
+/**
+ * Which workspace files import which, built from their `import` statements.
+ *
+ * `import geometry` may refer to `geometry.vlt` next to the importing file or in any
+ * module search root of its workspace folder. Every candidate is recorded, so a module
+ * that is created later is connected to the files that were already importing it.
+ */
+export class ImportGraph {
+  // Candidate module paths imported by each file
+  private imports = new Map<string, string[]>();
+  // Files importing each candidate module path
+  private importers = new Map<string, Set<string>>();
+
+  constructor(private readonly getSearchRoots: (filePath: string) => string[]) {}
+
+  /**
+   * Reads the imports of every `.vlt` file under a workspace folder
+   */
+  addFolder(folderPath: string): void {
+    for (const filePath of findVoltaFiles(folderPath)) {
+      this.updateFile(filePath);
+    }
+  }
+
+  removeFolder(folderPath: string): void {
+    for (const filePath of Array.from(this.imports.keys())) {
+      if (isInside(filePath, folderPath)) {
+        this.removeFile(filePath);
+      }
+    }
+  }
+
+  /**
+   * Records the imports of a file, from its text when it is open and from disk otherwise
+   */
+  updateFile(filePath: string, text?: string): void {
+    if (text === undefined) {
+      try {
+        text = fs.readFileSync(filePath, 'utf8');
+      } catch {
+        this.removeFile(filePath);
+        return;
+      }
+    }
+
+    this.removeFile(filePath);
+    const candidates = scanDeclarations(text).imports
+      .filter(imported => !CORE_MODULES.includes(imported.module))
+      .flatMap(imported => getModuleCandidates(imported.module, filePath, this.getSearchRoots(filePath)));
+    this.imports.set(filePath, candidates);
+    for (const candidate of candidates) {
+      let importers = this.importers.get(candidate);
+      if (!importers) {
+        importers = new Set();
+        this.importers.set(candidate, importers);
+      }
+      importers.add(filePath);
+    }
+  }
+
+  /**
+   * Reads every known file again, after the module search roots changed
+   */
+  refresh(): void {
+    for (const filePath of Array.from(this.imports.keys())) {
+      this.updateFile(filePath);
+    }
+  }
+
+  /**
+   * Forgets the imports of a file. Files importing it still depend on it.
+   */
+  removeFile(filePath: string): void {
+    for (const candidate of this.imports.get(filePath) || []) {
+      const importers = this.importers.get(candidate);
+      importers?.delete(filePath);
+      if (importers && importers.size === 0) {
+        this.importers.delete(candidate);
+      }
+    }
+    this.imports.delete(filePath);
+  }
+
+  /**
+   * Every file that imports a file, directly or through other files, nearest first
+   */
+  getDependents(filePath: string): string[] {
+    const dependents: string[] = [];
+    const seen = new Set([filePath]);
+    const pending = [filePath];
+
+    while (pending.length > 0) {
+      const current = pending.shift()!;
+      for (const importer of this.importers.get(current) || []) {
+        if (!seen.has(importer)) {
+          seen.add(importer);
+          dependents.push(importer);
+          pending.push(importer);
+        }
+      }
+    }
+
+    return dependents;
+  }
+}
+
+function isInside(filePath: string, folderPath: string): boolean {
+  const relative = path.relative(folderPath, filePath);
+  return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
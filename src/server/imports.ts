@@ -0,0 +1,222 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  CodeAction,
+  CodeActionKind,
+  Diagnostic,
+  DiagnosticSeverity,
+  DiagnosticTag,
+  DocumentLink,
+  Range,
+  TextEdit
+} from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { scanDeclarations } from './declarations';
+import { filePathToUri } from './documentSnapshot';
+import { CORE_MODULES } from './language';
+
+export const UNRESOLVED_IMPORT = 'unresolved-import';
+export const UNUSED_IMPORT = 'unused-import';
+
+/**
+ * A `.vlt` file that can be imported by its name
+ */
+export interface ModuleFile {
+  name: string;
+  filePath: string;
+}
+
+/**
+ * The files `import name` may refer to, in search order: next to the importing file,
+ * then in each module search root
+ */
+export function getModuleCandidates(module: string, fromFile: string, searchRoots: string[]): string[] {
+  const fileName = `${module}.vlt`;
+  const directories = [path.dirname(fromFile), ...searchRoots];
+  return Array.from(new Set(directories.map(directory => path.join(directory, fileName))));
+}
+
+/**
+ * The file an import refers to, or undefined when no candidate exists
+ */
+export function resolveModule(module: string, fromFile: string, searchRoots: string[]): string | undefined {
+  return getModuleCandidates(module, fromFile, searchRoots).find(candidate => {
+    try {
+      return fs.statSync(candidate).isFile();
+    } catch {
+      return false;
+    }
+  });
+}
+
+/**
+ * Every module a file can import besides the standard library, nearest first
+ */
+export function listModules(fromFile: string, searchRoots: string[]): ModuleFile[] {
+  const modules = new Map<string, ModuleFile>();
+  for (const directory of [path.dirname(fromFile), ...searchRoots]) {
+    let entries: fs.Dirent[];
+    try {
+      entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    for (const entry of entries) {
+      const name = entry.name.replace(/\.vlt$/, '');
+      const filePath = path.join(directory, entry.name);
+      if (entry.isFile() && name !== entry.name && /^[A-Za-z_]\w*$/.test(name) && filePath !== fromFile && !modules.has(name)) {
+        modules.set(name, { name, filePath });
+      }
+    }
+  }
+  return Array.from(modules.values());
+}
+
+/**
+ * Reports imports that resolve to no file, and imports that nothing uses. A module counts
+ * as used through `module.name`, or when one of its top-level declarations is used.
+ * Without a file path (an unsaved document) only standard library imports are checked.
+ */
+export function checkImports(
+  text: string,
+  filePath: string | null,
+  searchRoots: string[],
+  getModuleExports: (modulePath: string) => string[]
+): Diagnostic[] {
+  const outline = scanDeclarations(text);
+  const importLines = new Set(outline.imports.map(imported => imported.line));
+  const code = outline.codeLines.filter((_, line) => !importLines.has(line)).join('\n');
+  const diagnostics: Diagnostic[] = [];
+  const seen = new Set<string>();
+
+  for (const imported of outline.imports) {
+    const range = getImportRange(imported);
+    if (seen.has(imported.module)) {
+      diagnostics.push(unusedImport(range, `'${imported.module}' is already imported`));
+      continue;
+    }
+    seen.add(imported.module);
+
+    const isCore = CORE_MODULES.includes(imported.module);
+    const modulePath = !isCore && filePath ? resolveModule(imported.module, filePath, searchRoots) : undefined;
+    if (!isCore && filePath && !modulePath) {
+      diagnostics.push({
+        severity: DiagnosticSeverity.Error,
+        range,
+        message: `Cannot find module '${imported.module}'`,
+        source: 'volta',
+        code: UNRESOLVED_IMPORT
+      });
+      continue;
+    }
+    if (!isCore && !modulePath) {
+      continue;
+    }
+
+    const exported = modulePath ? getModuleExports(modulePath) : [];
+    const used = new RegExp(`\\b${imported.module}\\s*\\.`).test(code) ||
+      exported.some(name => new RegExp(`\\b${name}\\b`).test(code));
+    if (!used) {
+      diagnostics.push(unusedImport(range, `'${imported.module}' is imported but never used`));
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Makes each imported module name a link to its file, or to the standard library documentation
+ */
+export function getImportLinks(
+  text: string,
+  filePath: string | null,
+  searchRoots: string[],
+  standardLibraryDocs: string
+): DocumentLink[] {
+  const links: DocumentLink[] = [];
+  for (const imported of scanDeclarations(text).imports) {
+    const range = getImportRange(imported);
+    if (CORE_MODULES.includes(imported.module)) {
+      links.push({ range, target: standardLibraryDocs, tooltip: `Open the documentation of the '${imported.module}' module` });
+      continue;
+    }
+    const modulePath = filePath ? resolveModule(imported.module, filePath, searchRoots) : undefined;
+    if (modulePath) {
+      links.push({ range, target: filePathToUri(modulePath), tooltip: `Open ${path.basename(modulePath)}` });
+    }
+  }
+  return links;
+}
+
+/**
+ * "Organize Imports": puts the imports in one sorted block where the first import was,
+ * standard library modules first, and drops duplicates. Undefined when they are already in order.
+ */
+export function getOrganizeImportsAction(document: TextDocument): CodeAction | undefined {
+  const lines = document.getText().split(/\r?\n/);
+  const outline = scanDeclarations(document.getText());
+  if (outline.imports.length === 0) {
+    return undefined;
+  }
+
+  // The first line of each module keeps its trailing comment
+  const byModule = new Map<string, string>();
+  for (const imported of outline.imports) {
+    if (!byModule.has(imported.module)) {
+      byModule.set(imported.module, lines[imported.line].trim());
+    }
+  }
+  const sorted = Array.from(byModule.keys()).sort((a, b) => {
+    const coreA = CORE_MODULES.includes(a);
+    const coreB = CORE_MODULES.includes(b);
+    return coreA !== coreB ? (coreA ? -1 : 1) : a.localeCompare(b);
+  });
+  const block = sorted.map(module => byModule.get(module) as string);
+
+  const current = outline.imports.map(imported => lines[imported.line].trim());
+  const contiguous = outline.imports.every((imported, i) => i === 0 || imported.line === outline.imports[i - 1].line + 1);
+  if (contiguous && current.join('\n') === block.join('\n')) {
+    return undefined;
+  }
+
+  const [first, ...rest] = outline.imports;
+  const edits: TextEdit[] = [
+    TextEdit.replace({ start: { line: first.line, character: 0 }, end: { line: first.line, character: lines[first.line].length } }, block.join('\n'))
+  ];
+  for (const imported of rest) {
+    edits.push(TextEdit.del({ start: { line: imported.line, character: 0 }, end: { line: imported.line + 1, character: 0 } }));
+  }
+
+  return {
+    title: 'Organize Imports',
+    kind: CodeActionKind.SourceOrganizeImports,
+    edit: { changes: { [document.uri]: edits } }
+  };
+}
+
+/**
+ * The names a module file declares at the top level
+ */
+export function getTopLevelNames(text: string): string[] {
+  return scanDeclarations(text).declarations
+    .filter(declaration => declaration.kind !== 'method' && declaration.kind !== 'field' && declaration.kind !== 'parameter')
+    .map(declaration => declaration.name);
+}
+
+function getImportRange(imported: { module: string; line: number; character: number }): Range {
+  return {
+    start: { line: imported.line, character: imported.character },
+    end: { line: imported.line, character: imported.character + imported.module.length }
+  };
+}
+
+function unusedImport(range: Range, message: string): Diagnostic {
+  return {
+    severity: DiagnosticSeverity.Hint,
+    range,
+    message,
+    source: 'volta',
+    code: UNUSED_IMPORT,
+    tags: [DiagnosticTag.Unnecessary]
+  };
+}
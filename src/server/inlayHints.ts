@@ -0,0 +1,222 @@
+import { InlayHint, InlayHintKind, InlayHintLabelPart, Location, Position, Range } from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { SourceOutline, inferExpressionType, inferLoopVariableType, scanDeclarations, splitTopLevel } from './declarations';
+import { BUILTIN_TYPES } from './language';
+import { SignatureSource, chooseSignature, findSignatures, toSignatureInformation } from './signatureHelp';
+
+/**
+ * The `volta.inlayHints.*` settings
+ */
+export interface InlayHintSettings {
+  /** `: int` after `name := value` and loop variables */
+  variableTypes: boolean;
+  /** `x:` before the arguments of a call */
+  parameterNames: boolean;
+}
+
+/**
+ * Attached to type hints so that `inlayHint/resolve` can link the type names to their declarations
+ */
+export interface InlayHintData {
+  uri: string;
+}
+
+export interface InlayHintOptions {
+  settings: InlayHintSettings;
+  /** Asks the compiler for the type of the binding at a position (0-indexed) */
+  resolveType: (position: Position) => Promise<string | undefined>;
+  /** Signatures of functions declared in other files */
+  otherFiles: (name: string) => SignatureSource[];
+}
+
+const INFERRED_REGEX = /^(\s*)([A-Za-z_]\w*)\s*:=\s*(.*)$/;
+const FOR_REGEX = /^(\s*for\s+)([A-Za-z_]\w*)\s+in\b/;
+
+// Same callee shape as signature help: `add(`, `p.distance(`, `math.sqrt(`, `identity[T](`
+const CALLEE_REGEX = /(?:([A-Za-z_]\w*)\s*\.\s*)?([A-Za-z_]\w*)\s*(?:\[[^\]]*\])?\s*$/;
+const NON_CALL_KEYWORDS = new Set(['fn', 'if', 'while', 'for', 'in', 'match', 'return', 'and', 'or', 'not', 'else']);
+
+/**
+ * Lists the type and parameter name hints for the lines of a range
+ */
+export async function getInlayHints(document: TextDocument, range: Range, options: InlayHintOptions): Promise<InlayHint[]> {
+  const outline = scanDeclarations(document.getText());
+  const hints: InlayHint[] = [];
+
+  if (options.settings.variableTypes) {
+    hints.push(...await getTypeHints(document.uri, outline, range, options.resolveType));
+  }
+  if (options.settings.parameterNames) {
+    hints.push(...getParameterHints(document.getText(), outline, range, options.otherFiles));
+  }
+
+  return hints.sort((a, b) => a.position.line - b.position.line || a.position.character - b.position.character);
+}
+
+/**
+ * Links the user-defined type names of a type hint to their declarations.
+ * Built-in types have no declaration to go to.
+ */
+export function resolveInlayHint(hint: InlayHint, findType: (name: string) => Location | undefined): InlayHint {
+  if (typeof hint.label === 'string') {
+    return hint;
+  }
+
+  for (const part of hint.label) {
+    if (/^[A-Za-z_]\w*$/.test(part.value) && !BUILTIN_TYPES.includes(part.value)) {
+      const location = findType(part.value);
+      if (location) {
+        part.location = location;
+      }
+    }
+  }
+  return hint;
+}
+
+/**
+ * `: Type` after every binding whose type is inferred, preferring the compiler's type
+ */
+async function getTypeHints(
+  uri: string,
+  outline: SourceOutline,
+  range: Range,
+  resolveType: InlayHintOptions['resolveType']
+): Promise<InlayHint[]> {
+  const bindings: Array<{ position: Position; localType: () => string | undefined }> = [];
+  for (let line = range.start.line; line <= range.end.line && line < outline.codeLines.length; line++) {
+    const code = outline.codeLines[line];
+    const inferred = code.match(INFERRED_REGEX);
+    if (inferred) {
+      bindings.push({
+        position: { line, character: inferred[1].length },
+        localType: () => inferExpressionType(inferred[3], outline)
+      });
+    }
+    const loop = code.match(FOR_REGEX);
+    if (loop) {
+      bindings.push({
+        position: { line, character: loop[1].length },
+        localType: () => inferLoopVariableType(code, outline)
+      });
+    }
+  }
+
+  const types = await Promise.all(bindings.map(async binding => (await resolveType(binding.position)) || binding.localType()));
+
+  const hints: InlayHint[] = [];
+  bindings.forEach((binding, i) => {
+    const type = types[i];
+    if (!type) {
+      return;
+    }
+    const name = (outline.codeLines[binding.position.line].substring(binding.position.character).match(/^\w+/) || [''])[0];
+    const data: InlayHintData = { uri };
+    hints.push({
+      position: { line: binding.position.line, character: binding.position.character + name.length },
+      label: toLabelParts(type),
+      kind: InlayHintKind.Type,
+      data
+    });
+  });
+  return hints;
+}
+
+/**
+ * `name:` before each argument of the calls that start in a range. An argument that is
+ * already the parameter's name, and the argument of a one-parameter function, get no hint.
+ */
+function getParameterHints(
+  text: string,
+  outline: SourceOutline,
+  range: Range,
+  otherFiles: InlayHintOptions['otherFiles']
+): InlayHint[] {
+  const lines = text.split(/\r?\n/);
+  const code = outline.codeLines.join('\n');
+  const lineStarts = [0];
+  for (const codeLine of outline.codeLines) {
+    lineStarts.push(lineStarts[lineStarts.length - 1] + codeLine.length + 1);
+  }
+  const positionAt = (offset: number): Position => {
+    let line = 0;
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) {
+      line++;
+    }
+    return { line, character: offset - lineStarts[line] };
+  };
+
+  const hints: InlayHint[] = [];
+  const first = lineStarts[range.start.line] ?? code.length;
+  const last = lineStarts[range.end.line + 1] ?? code.length;
+
+  for (let open = code.indexOf('(', first); open !== -1 && open < last; open = code.indexOf('(', open + 1)) {
+    const before = code.substring(code.lastIndexOf('\n', open - 1) + 1, open);
+    const callee = before.match(CALLEE_REGEX);
+    if (!callee || NON_CALL_KEYWORDS.has(callee[2]) || /\bfn\s+(?:[A-Za-z_]\w*\.)?[A-Za-z_]\w*\s*(?:\[[^\]]*\])?\s*$/.test(before)) {
+      continue;
+    }
+    // Calls still being typed get their hints once they are closed
+    const close = findClosingParen(code, open);
+    if (close === -1) {
+      continue;
+    }
+    const args = splitTopLevel(code.substring(open + 1, close));
+    if (args.length === 0) {
+      continue;
+    }
+
+    const calleePosition = positionAt(open - callee[0].length);
+    const call = { callee: callee[2], receiver: callee[1], calleePosition, activeParameter: args.length - 1 };
+    let sources = findSignatures(outline, lines, call);
+    if (sources.length === 0 && !call.receiver) {
+      sources = otherFiles(call.callee);
+    }
+    if (sources.length === 0) {
+      continue;
+    }
+
+    const signatures = sources.map(toSignatureInformation);
+    const signature = signatures[chooseSignature(signatures, call.activeParameter)];
+    const names = (signature.parameters || []).map(parameter => typeof parameter.label === 'string'
+      ? parameter.label
+      : signature.label.substring(parameter.label[0], parameter.label[1])
+    ).map(label => (label.match(/^[A-Za-z_]\w*/) || [''])[0]);
+    if (names.length < 2) {
+      continue;
+    }
+
+    args.forEach((arg, i) => {
+      const name = names[i];
+      const value = arg.text.trim();
+      if (!name || value === name || value.endsWith(`.${name}`)) {
+        return;
+      }
+      hints.push({
+        position: positionAt(open + 1 + arg.offset + (arg.text.length - arg.text.trimStart().length)),
+        label: `${name}:`,
+        kind: InlayHintKind.Parameter,
+        paddingRight: true
+      });
+    });
+  }
+  return hints;
+}
+
+/**
+ * Splits `Array[Point]` into `: `, `Array`, `[`, `Point`, `]` so each name can link to its declaration
+ */
+function toLabelParts(type: string): InlayHintLabelPart[] {
+  return [{ value: ': ' }, ...type.split(/([A-Za-z_]\w*)/).filter(Boolean).map(value => ({ value }))];
+}
+
+function findClosingParen(code: string, open: number): number {
+  let depth = 0;
+  for (let i = open; i < code.length; i++) {
+    if (code[i] === '(') {
+      depth++;
+    } else if (code[i] === ')' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
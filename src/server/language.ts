@@ -0,0 +1,76 @@
+import { Position, Range } from 'vscode-languageserver/node';
+
+/**
+ * Reserved words from the language specification (docs/volta_spec.md)
+ */
+export const VOLTA_KEYWORDS = [
+  'fn', 'return', 'if', 'else', 'while', 'for', 'in', 'match', 'struct', 'import',
+  'mut', 'type', 'true', 'false', 'Some', 'None', 'and', 'or', 'not'
+];
+
+/**
+ * Types provided by the language itself
+ */
+export const BUILTIN_TYPES = ['int', 'float', 'bool', 'str', 'Array', 'Matrix', 'Option'];
+
+/**
+ * Modules from the standard library (docs/volta_spec.md)
+ */
+export const CORE_MODULES = ['math', 'array', 'matrix', 'io', 'random', 'stats'];
+
+const IDENTIFIER_REGEX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Checks whether a string is a valid Volta identifier
+ */
+export function isIdentifier(name: string): boolean {
+  return IDENTIFIER_REGEX.test(name);
+}
+
+/**
+ * Finds the identifier touching a position, if any
+ */
+export function getWordRangeAtPosition(text: string, position: Position): Range | null {
+  const lineText = text.split('\n')[position.line];
+  if (lineText === undefined) {
+    return null;
+  }
+
+  let start = position.character;
+  let end = position.character;
+  while (start > 0 && /\w/.test(lineText[start - 1])) {
+    start--;
+  }
+  while (end < lineText.length && /\w/.test(lineText[end])) {
+    end++;
+  }
+
+  if (start === end || /\d/.test(lineText[start])) {
+    return null;
+  }
+
+  return {
+    start: { line: position.line, character: start },
+    end: { line: position.line, character: end }
+  };
+}
+
+/**
+ * Guesses the type of a simple literal initializer
+ */
+export function inferLiteralType(initializer: string): string | undefined {
+  const value = initializer.trim().replace(/\s+#.*$/, '');
+  if (/^-?\d+$/.test(value)) {
+    return 'int';
+  }
+  if (/^-?\d+\.\d*([eE][-+]?\d+)?$/.test(value)) {
+    return 'float';
+  }
+  if (/^".*"$/.test(value)) {
+    return 'str';
+  }
+  if (value === 'true' || value === 'false') {
+    return 'bool';
+  }
+  return undefined;
+}
@@ -0,0 +1,109 @@
+import { DocumentHighlight, DocumentHighlightKind, Location } from 'vscode-languageserver/node';
+import { CompilerLocation, CompilerReferenceInfo } from './compilerInterface';
+import { compilerLocationToRange } from './definition';
+
+// `x = ...`, `x += ...` etc., but not `x == ...`
+const ASSIGNMENT_REGEX = /^\s*(=(?!=)|\+=|-=|\*=|\/=)/;
+
+/**
+ * Returns the name as written at each use. The compiler reports methods qualified,
+ * e.g. `Point.distance`, while a call spells only `distance`.
+ */
+export function getUnqualifiedName(symbol: string): string {
+  return symbol.split('.').pop() || symbol;
+}
+
+/**
+ * Converts a `--lsp-references` result to LSP locations across the workspace
+ */
+export function referencesToLocations(
+  references: CompilerReferenceInfo,
+  toUri: (reportedPath?: string) => string,
+  includeDeclaration: boolean
+): Location[] {
+  if (!references.success || !references.result) {
+    return [];
+  }
+
+  const { symbol, definition } = references.result;
+  const nameLength = getUnqualifiedName(symbol).length;
+  const locations: Location[] = [];
+
+  if (includeDeclaration && definition) {
+    locations.push(toLocation(definition, toUri, nameLength));
+  }
+
+  for (const reference of references.result.references) {
+    locations.push(toLocation(reference, toUri, nameLength));
+  }
+
+  return locations;
+}
+
+/**
+ * Highlights the uses of a symbol within one file.
+ * Assignments are writes, the declaration is plain text and every other use is a read.
+ */
+export function referencesToHighlights(
+  references: CompilerReferenceInfo,
+  isCurrentFile: (reportedPath?: string) => boolean,
+  text: string
+): DocumentHighlight[] {
+  if (!references.success || !references.result) {
+    return [];
+  }
+
+  const { symbol, definition } = references.result;
+  const lines = text.split('\n');
+  const highlights: DocumentHighlight[] = [];
+
+  if (definition && isCurrentFile(definition.file)) {
+    const lineText = lines[definition.line - 1] || '';
+    highlights.push({
+      range: compilerLocationToRange(
+        { line: definition.line, column: definition.column },
+        getNameLength(lineText, definition.column, symbol)
+      ),
+      kind: DocumentHighlightKind.Text
+    });
+  }
+
+  for (const reference of references.result.references) {
+    if (!isCurrentFile(reference.file)) {
+      continue;
+    }
+
+    const lineText = lines[reference.line - 1] || '';
+    const nameLength = getNameLength(lineText, reference.column, symbol);
+    const afterName = lineText.substring(reference.column + nameLength);
+
+    highlights.push({
+      range: compilerLocationToRange(reference, nameLength),
+      kind: ASSIGNMENT_REGEX.test(afterName) ? DocumentHighlightKind.Write : DocumentHighlightKind.Read
+    });
+  }
+
+  return highlights;
+}
+
+/**
+ * Length of the identifier at a column, or of the unqualified symbol when none starts there
+ */
+function getNameLength(lineText: string, column: number, symbol: string): number {
+  const identifier = lineText.substring(column).match(/^[A-Za-z_]\w*/);
+  return identifier ? identifier[0].length : getUnqualifiedName(symbol).length;
+}
+
+/**
+ * Converts a compiler location to an LSP location
+ */
+function toLocation(
+  location: CompilerLocation,
+  toUri: (reportedPath?: string) => string,
+  nameLength: number
+): Location {
+  return {
+    uri: toUri(location.file),
+    range: compilerLocationToRange({ line: location.line, column: location.column }, nameLength)
+  };
+}
@@ -0,0 +1,175 @@
+import { Range, TextEdit } from 'vscode-languageserver/node';
+import { CompilerDocumentSymbol, CompilerLocation, CompilerReferenceInfo } from './compilerInterface';
+import { getVariablesInScope, scanDeclarations } from './declarations';
+import { compilerLocationToRange } from './definition';
+import { getUnqualifiedName } from './references';
+import { BUILTIN_TYPES, VOLTA_KEYWORDS, isIdentifier } from './language';
+
+/**
+ * Checks that a new symbol name is usable, returning an error message if it is not
+ */
+export function validateNewName(newName: string): string | null {
+  if (!isIdentifier(newName)) {
+    return `'${newName}' is not a valid Volta identifier.`;
+  }
+  if (VOLTA_KEYWORDS.includes(newName)) {
+    return `'${newName}' is a reserved keyword.`;
+  }
+  if (BUILTIN_TYPES.includes(newName)) {
+    return `'${newName}' is a built-in type.`;
+  }
+  return null;
+}
+
+/**
+ * Groups the definition and every reference of a symbol into text edits per document URI
+ */
+export function buildRenameEdits(
+  references: CompilerReferenceInfo,
+  toUri: (reportedPath?: string) => string,
+  newName: string
+): Map<string, TextEdit[]> {
+  const editsByUri = new Map<string, TextEdit[]>();
+  if (!references.success || !references.result) {
+    return editsByUri;
+  }
+
+  const { symbol, definition } = references.result;
+  const nameLength = getUnqualifiedName(symbol).length;
+  const locations: CompilerLocation[] = [...references.result.references];
+  if (definition) {
+    locations.push(definition);
+  }
+
+  const seen = new Set<string>();
+  for (const location of locations) {
+    const uri = toUri(location.file);
+    const key = `${uri}:${location.line}:${location.column}`;
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+
+    const edits = editsByUri.get(uri) || [];
+    edits.push({
+      range: compilerLocationToRange({ line: location.line, column: location.column }, nameLength),
+      newText: newName
+    });
+    editsByUri.set(uri, edits);
+  }
+
+  return editsByUri;
+}
+
+/**
+ * Checks whether `newName` is already declared in the scope that declares the renamed symbol.
+ *
+ * The scope is the innermost `--lsp-symbols` node enclosing the definition: the file for
+ * top-level symbols, the struct for fields, the function for parameters and locals.
+ * Inside functions, the scanned declarations also cover locals the compiler does not list:
+ * those visible at the definition and those in the function's own block.
+ */
+export function findScopeCollision(
+  symbols: CompilerDocumentSymbol[],
+  definition: CompilerLocation,
+  newName: string,
+  text: string
+): boolean {
+  let siblings = symbols;
+  let scope: CompilerDocumentSymbol | undefined;
+
+  for (;;) {
+    const container = siblings.find(symbol =>
+      encloses(symbol.location, definition) &&
+      !(symbol.location.line === definition.line && symbol.location.column === definition.column)
+    );
+    if (!container) {
+      break;
+    }
+    scope = container;
+    siblings = container.children || [];
+  }
+
+  if (siblings.some(symbol => symbol.name === newName)) {
+    return true;
+  }
+
+  if (scope && scope.kind === 'function' && scope.location.endLine !== undefined) {
+    const outline = scanDeclarations(text);
+    const firstLine = scope.location.line - 1;
+    const lastLine = scope.location.endLine - 1;
+    const positions = [
+      { line: definition.line - 1, character: definition.column },
+      { line: lastLine, character: 0 }
+    ];
+    return positions.some(position => getVariablesInScope(outline, position).some(variable =>
+      variable.name === newName && firstLine <= variable.line && variable.line <= lastLine
+    ));
+  }
+
+  return false;
+}
+
+/**
+ * Renames `@param` / `@field` tags in the `#[doc]` block attached to the declaration
+ * that owns a parameter or field. `definitionLine` is 1-indexed, as reported by the compiler.
+ */
+export function findDocTagEdits(
+  text: string,
+  definitionLine: number,
+  kind: string,
+  oldName: string,
+  newName: string
+): TextEdit[] {
+  const tag = kind === 'parameter' ? '@param' : kind === 'field' ? '@field' : null;
+  if (!tag) {
+    return [];
+  }
+
+  const lines = text.split('\n');
+
+  // Walk up from the parameter or field to the `fn` / `struct` line that owns it
+  let ownerLine = definitionLine - 1;
+  while (ownerLine >= 0 && !/^\s*(fn|struct)\b/.test(lines[ownerLine])) {
+    ownerLine--;
+  }
+  if (ownerLine < 0) {
+    return [];
+  }
+
+  // The doc block must end right above the declaration
+  let docEnd = ownerLine - 1;
+  while (docEnd >= 0 && lines[docEnd].trim() === '') {
+    docEnd--;
+  }
+  if (docEnd < 0 || lines[docEnd].trim() !== '#[/doc]') {
+    return [];
+  }
+
+  const edits: TextEdit[] = [];
+  const tagRegex = new RegExp(`^(\\s*#\\s*${tag}\\s+)${oldName}\\b`);
+  for (let line = docEnd - 1; line >= 0 && lines[line].trim() !== '#[doc]'; line--) {
+    const match = lines[line].match(tagRegex);
+    if (match) {
+      const range: Range = {
+        start: { line, character: match[1].length },
+        end: { line, character: match[1].length + oldName.length }
+      };
+      edits.push({ range, newText: newName });
+    }
+  }
+
+  return edits;
+}
+
+/**
+ * Checks whether a compiler location with an end position contains another location
+ */
+function encloses(outer: CompilerLocation, inner: CompilerLocation): boolean {
+  if (outer.endLine === undefined || outer.endColumn === undefined) {
+    return false;
+  }
+  const afterStart = inner.line > outer.line || (inner.line === outer.line && inner.column >= outer.column);
+  const beforeEnd = inner.line < outer.endLine || (inner.line === outer.endLine && inner.column < outer.endColumn);
+  return afterStart && beforeEnd;
+}
@@ -0,0 +1,317 @@
+import { Position, SelectionRange } from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { toCodeLines } from '../shared/codeLines';
+import { findDocBlock } from './docComments';
+
+interface BracketPair {
+  open: number;
+  close: number;
+  char: string;
+}
+
+/**
+ * Builds the expand-selection steps for each position, innermost first:
+ * word, expression, operator expression, argument, argument list, statement, block, function, file.
+ */
+export function getSelectionRanges(document: TextDocument, positions: Position[]): SelectionRange[] {
+  const text = document.getText();
+  const code = toCodeText(text);
+  const pairs = findBracketPairs(code);
+
+  return positions.map(position => {
+    const offset = document.offsetAt(position);
+    const spans = collectSpans(document, code, pairs, offset)
+      .sort((a, b) => (a[1] - a[0]) - (b[1] - b[0]));
+
+    // Keep a chain where every step contains the one before
+    let selection: SelectionRange | undefined;
+    const chain: Array<[number, number]> = [];
+    for (const span of spans) {
+      const previous = chain[chain.length - 1];
+      if (previous && (span[0] > previous[0] || span[1] < previous[1] || (span[0] === previous[0] && span[1] === previous[1]))) {
+        continue;
+      }
+      chain.push(span);
+    }
+    for (let i = chain.length - 1; i >= 0; i--) {
+      selection = {
+        range: { start: document.positionAt(chain[i][0]), end: document.positionAt(chain[i][1]) },
+        parent: selection
+      };
+    }
+
+    return selection || { range: { start: position, end: position } };
+  });
+}
+
+/**
+ * Lists every span around an offset that expand-selection may stop at
+ */
+function collectSpans(document: TextDocument, code: string, pairs: BracketPair[], offset: number): Array<[number, number]> {
+  const spans: Array<[number, number]> = [];
+  const add = (start: number, end: number): [number, number] | undefined => {
+    while (start < end && /\s/.test(code[start])) {
+      start++;
+    }
+    while (end > start && /\s/.test(code[end - 1])) {
+      end--;
+    }
+    if (start < end && start <= offset && offset <= end) {
+      spans.push([start, end]);
+      return [start, end];
+    }
+    return undefined;
+  };
+
+  // The whole expression of a statement: `a + b` in `return a + b`, the value of a binding, a condition
+  const addStatementExpression = ([start, end]: [number, number]) => {
+    const expression = findStatementExpression(code, pairs, offset, start, end);
+    if (expression) {
+      add(...expression);
+    }
+  };
+
+  // The word, then the expression it is part of: `p.distance(q)`, `items[0].name`
+  let wordStart = offset;
+  let wordEnd = offset;
+  while (wordStart > 0 && /\w/.test(code[wordStart - 1])) {
+    wordStart--;
+  }
+  while (wordEnd < code.length && /\w/.test(code[wordEnd])) {
+    wordEnd++;
+  }
+  if (wordEnd > wordStart) {
+    add(wordStart, wordEnd);
+    const [expressionStart, expressionEnd] = extendExpression(code, pairs, wordStart, wordEnd);
+    add(expressionStart, expressionEnd);
+  }
+
+  // Each enclosing bracket, innermost first
+  const enclosing = pairs
+    .filter(pair => pair.open < offset && offset <= pair.close)
+    .sort((a, b) => b.open - a.open);
+  for (const pair of enclosing) {
+    if (pair.char === '{') {
+      const statement = findStatement(code, offset, pair.open + 1, pair.close);
+      addStatementExpression(statement);
+      add(...statement);
+    } else {
+      add(...findListItem(code, offset, pair.open + 1, pair.close));
+    }
+    add(pair.open + 1, pair.close);
+    add(pair.open, pair.close + 1);
+    // The call or index expression as a whole: `add(a, b)`, `p.distance(q).x`, `numbers[1:3]`
+    const callee = code.substring(0, pair.open).match(/\w+$/);
+    if (callee && pair.char !== '{') {
+      add(...extendExpression(code, pairs, pair.open - callee[0].length, pair.open));
+    }
+  }
+
+  // The top-level statement, e.g. a whole function, then with its `#[doc]` block
+  const topLevel = findStatement(code, offset, 0, code.length);
+  addStatementExpression(topLevel);
+  const statement = add(...topLevel);
+  const docStart = statement && findDocBlockStart(document, statement[0]);
+  if (statement && docStart !== undefined) {
+    // Comments are blank in the code text, so this span is not trimmed
+    spans.push([docStart, statement[1]]);
+  }
+
+  add(0, code.length);
+  return spans;
+}
+
+/**
+ * Grows a word over member access, calls and indexing on either side
+ */
+function extendExpression(code: string, pairs: BracketPair[], start: number, end: number): [number, number] {
+  const closeAt = new Map(pairs.map(pair => [pair.open, pair.close]));
+  const openAt = new Map(pairs.map(pair => [pair.close, pair.open]));
+
+  while (code[start - 1] === '.' && code[start - 2] !== '.') {
+    let before = start - 1;
+    if (openAt.has(before - 1) && (code[before - 1] === ')' || code[before - 1] === ']')) {
+      before = openAt.get(before - 1) as number;
+    }
+    while (before > 0 && /\w/.test(code[before - 1])) {
+      before--;
+    }
+    if (before === start - 1) {
+      break;
+    }
+    start = before;
+  }
+
+  for (;;) {
+    if ((code[end] === '(' || code[end] === '[') && closeAt.has(end)) {
+      end = (closeAt.get(end) as number) + 1;
+    } else if (code[end] === '.' && code[end + 1] !== '.' && /\w/.test(code[end + 1] || '')) {
+      end++;
+      while (end < code.length && /\w/.test(code[end])) {
+        end++;
+      }
+    } else {
+      break;
+    }
+  }
+
+  return [start, end];
+}
+
+/**
+ * Finds the statement around an offset among the lines of a block. Brackets keep
+ * a statement going across lines, and so does a line starting with `.method`.
+ */
+function findStatement(code: string, offset: number, start: number, end: number): [number, number] {
+  let depth = 0;
+  let statementStart = start;
+  for (let i = start; i < end; i++) {
+    const char = code[i];
+    if (char === '(' || char === '[' || char === '{') {
+      depth++;
+    } else if (char === ')' || char === ']' || char === '}') {
+      depth--;
+    } else if (char === '\n' && depth === 0 && !startsWithMemberAccess(code, i + 1)) {
+      if (offset <= i) {
+        return [statementStart, i];
+      }
+      statementStart = i + 1;
+    }
+  }
+  return [statementStart, end];
+}
+
+/**
+ * Finds the expression around an offset in a statement: what follows its `return`, `if`, `while`
+ * or `for ... in`, or the right side of its `=`, `:=` or `=>`, up to the statement's block.
+ * Nothing is found on the left of an assignment, in a nested block, or in a declaration.
+ */
+function findStatementExpression(
+  code: string,
+  pairs: BracketPair[],
+  offset: number,
+  start: number,
+  end: number
+): [number, number] | undefined {
+  const closeAt = new Map(pairs.map(pair => [pair.open, pair.close]));
+  let depth = 0;
+  let expressionStart = start;
+  let expressionEnd = end;
+  for (let i = start; i < end; i++) {
+    const char = code[i];
+    if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (depth > 0) {
+      continue;
+    } else if (char === '{' && closeAt.has(i)) {
+      const close = closeAt.get(i) as number;
+      // A struct literal like `Point { x: 1.0 }` is part of the expression
+      if (/\b[A-Z][a-z]\w*\s*$/.test(code.substring(start, i))) {
+        i = close;
+        continue;
+      }
+      if (offset <= i) {
+        expressionEnd = i;
+        break;
+      }
+      if (offset <= close) {
+        return undefined;
+      }
+      expressionStart = close + 1;
+      i = close;
+    } else if (char === ',') {
+      if (offset <= i) {
+        expressionEnd = i;
+        break;
+      }
+      expressionStart = i + 1;
+    } else if (char === '=') {
+      // `==`, `!=`, `<=` and `>=` compare rather than assign
+      if (code[i + 1] === '=' || /[=!<>]/.test(code[i - 1])) {
+        i += code[i + 1] === '=' ? 1 : 0;
+        continue;
+      }
+      const valueStart = code[i + 1] === '>' ? i + 2 : i + 1;
+      if (offset < valueStart) {
+        return undefined;
+      }
+      expressionStart = valueStart;
+    }
+  }
+
+  const statement = code.substring(expressionStart, expressionEnd);
+  if (/^\s*(?:fn|struct|type|import)\b/.test(statement)) {
+    return undefined;
+  }
+  const keywords = statement.match(/^\s*(?:(?:return|else|if|while|match)\b\s*|for\s+\w+\s+in\b\s*)*/);
+  return [expressionStart + (keywords ? keywords[0].length : 0), expressionEnd];
+}
+
+/**
+ * Finds the comma separated item around an offset in a bracket's contents
+ */
+function findListItem(code: string, offset: number, start: number, end: number): [number, number] {
+  let depth = 0;
+  let itemStart = start;
+  for (let i = start; i < end; i++) {
+    const char = code[i];
+    if (char === '(' || char === '[' || char === '{') {
+      depth++;
+    } else if (char === ')' || char === ']' || char === '}') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      if (offset <= i) {
+        return [itemStart, i];
+      }
+      itemStart = i + 1;
+    }
+  }
+  return [itemStart, end];
+}
+
+function findBracketPairs(code: string): BracketPair[] {
+  const pairs: BracketPair[] = [];
+  const stack: Array<{ open: number; char: string }> = [];
+  for (let i = 0; i < code.length; i++) {
+    const char = code[i];
+    if (char === '(' || char === '[' || char === '{') {
+      stack.push({ open: i, char });
+    } else if ((char === ')' || char === ']' || char === '}') && stack.length > 0) {
+      const opened = stack.pop() as { open: number; char: string };
+      pairs.push({ open: opened.open, close: i, char: opened.char });
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Checks whether the line starting at an offset continues a method chain
+ */
+function startsWithMemberAccess(code: string, lineStart: number): boolean {
+  const lineEnd = code.indexOf('\n', lineStart);
+  return /^\s*\./.test(code.substring(lineStart, lineEnd === -1 ? code.length : lineEnd));
+}
+
+/**
+ * Returns the offset of the `#[doc]` block that ends right above the line an offset is on
+ */
+function findDocBlockStart(document: TextDocument, offset: number): number | undefined {
+  const line = document.positionAt(offset).line;
+  if (line === 0) {
+    return undefined;
+  }
+  const block = findDocBlock(document.getText().split(/\r?\n/), line - 1);
+  return block && block.end === line - 1 ? document.offsetAt({ line: block.start, character: 0 }) : undefined;
+}
+
+/**
+ * The text with comments and string contents blanked out, line breaks included,
+ * so offsets match the document's
+ */
+function toCodeText(text: string): string {
+  const codeLines = toCodeLines(text);
+  const breaks = text.match(/\r?\n/g) || [];
+  return codeLines.map((line, i) => line + (breaks[i] || '')).join('');
+}
@@ -0,0 +1,376 @@
+import { SemanticTokensBuilder, SemanticTokensEdit, SemanticTokensLegend } from 'vscode-languageserver/node';
+import { BUILTIN_METHODS, BUILTIN_STATIC_FUNCTIONS, GLOBAL_FUNCTIONS } from './builtins';
+import { CompilerDocumentSymbol } from './compilerInterface';
+import { SourceDeclaration, matchVariable, scanDeclarations, splitTopLevel } from './declarations';
+import { BUILTIN_TYPES, CORE_MODULES, VOLTA_KEYWORDS } from './language';
+
+type TokenType = 'namespace' | 'type' | 'struct' | 'typeParameter' | 'parameter' | 'variable' | 'property' | 'function' | 'method';
+type TokenModifier = 'declaration' | 'readonly' | 'mutable' | 'defaultLibrary';
+
+const TOKEN_TYPES: TokenType[] = [
+  'namespace', 'type', 'struct', 'typeParameter', 'parameter', 'variable', 'property', 'function', 'method'
+];
+
+// `mutable` is not a standard modifier; package.json declares it for the client
+const TOKEN_MODIFIERS: TokenModifier[] = ['declaration', 'readonly', 'mutable', 'defaultLibrary'];
+
+export const SEMANTIC_TOKENS_LEGEND: SemanticTokensLegend = {
+  tokenTypes: TOKEN_TYPES,
+  tokenModifiers: TOKEN_MODIFIERS
+};
+
+interface SymbolClass {
+  type: TokenType;
+  modifiers: TokenModifier[];
+}
+
+// Statements whose `{` opens a block, never a struct literal
+const BLOCK_KEYWORDS = new Set(['fn', 'struct', 'if', 'else', 'while', 'for', 'match', 'type']);
+
+const LAMBDA_REGEX = /\bfn\s*\(/g;
+const FOR_REGEX = /^(\s*for\s+)([A-Za-z_]\w*)\s+in\b/;
+
+/**
+ * Classifies every identifier of a file for semantic highlighting.
+ *
+ * Declarations come from the compiler's `--lsp-symbols` output when there is one, so
+ * its kinds and `mut` flags win; the source scan places the tokens and resolves each use
+ * to the declaration in scope, which also keeps highlighting alive while the file does
+ * not compile.
+ */
+export function computeSemanticTokens(text: string, compilerSymbols: CompilerDocumentSymbol[] = []): number[] {
+  const outline = scanDeclarations(text);
+  const fromCompiler = indexCompilerSymbols(compilerSymbols);
+
+  const resolve = (declaration: { name: string; kind: string; line: number; mutable?: boolean }): SymbolClass => {
+    const symbol = fromCompiler.get(`${declaration.line}:${declaration.name}`);
+    if (symbol) {
+      return classify(symbol.kind, symbol.name, symbol.mutable ?? declaration.mutable);
+    }
+    return classify(declaration.kind, declaration.name, declaration.mutable);
+  };
+
+  // Names visible everywhere in the file, and the tokens where they are declared
+  const globals = new Map<string, SymbolClass>();
+  const declarationSites = new Map<string, SymbolClass>();
+  const functionsByLine = new Map<number, SourceDeclaration>();
+
+  for (const declaration of outline.declarations) {
+    const symbol = resolve(declaration);
+    declarationSites.set(`${declaration.line}:${declaration.character}`, asDeclaration(symbol));
+    if (declaration.kind === 'function' || declaration.kind === 'method') {
+      functionsByLine.set(declaration.line, declaration);
+      for (const parameter of declaration.parameters || []) {
+        const parameterSymbol = resolve({ ...parameter, kind: 'parameter' });
+        declarationSites.set(`${parameter.line}:${parameter.character}`, asDeclaration(parameterSymbol));
+      }
+    }
+    if (declaration.kind !== 'method' && declaration.kind !== 'field') {
+      globals.set(declaration.name, symbol);
+    }
+  }
+  // Top-level symbols the compiler reports that the scan did not recognise
+  for (const symbol of compilerSymbols) {
+    if (!globals.has(symbol.name) && !symbol.name.includes('.')) {
+      globals.set(symbol.name, classify(symbol.kind, symbol.name, symbol.mutable));
+    }
+  }
+  for (const imported of outline.imports) {
+    const module: SymbolClass = {
+      type: 'namespace',
+      modifiers: CORE_MODULES.includes(imported.module) ? ['defaultLibrary'] : []
+    };
+    globals.set(imported.module, module);
+    declarationSites.set(`${imported.line}:${imported.character}`, module);
+  }
+
+  const userMethods = new Set(outline.declarations.filter(d => d.kind === 'method').map(d => d.name));
+  const builder = new SemanticTokensBuilder();
+  const braces: boolean[] = [];
+  let scopes: Array<Map<string, SymbolClass>> = [new Map()];
+  let enclosing: SourceDeclaration | undefined;
+
+  outline.codeLines.forEach((code, line) => {
+    const header = functionsByLine.get(line);
+    if (header) {
+      enclosing = header;
+      scopes = [parameterScope(header, resolve)];
+    }
+
+    // Locals declared on this line become visible from the next one
+    const lineScope = new Map<string, SymbolClass>();
+    const localSites = new Map<number, SymbolClass>();
+    const declaringScope = scopes[scopes.length - 1];
+    let local: { name: string; symbol: SymbolClass } | undefined;
+
+    const variable = header ? undefined : matchVariable(code, line, outline);
+    if (variable && !declarationSites.has(`${line}:${variable.character}`)) {
+      local = { name: variable.name, symbol: resolve(variable) };
+      localSites.set(variable.character, asDeclaration(local.symbol));
+    }
+    const loop = code.match(FOR_REGEX);
+    if (loop) {
+      local = { name: loop[2], symbol: resolve({ name: loop[2], kind: 'variable', line }) };
+      localSites.set(loop[1].length, asDeclaration(local.symbol));
+    }
+    for (const parameter of findLambdaParameters(code)) {
+      const symbol = resolve({ ...parameter, kind: 'parameter', line });
+      lineScope.set(parameter.name, symbol);
+      localSites.set(parameter.character, asDeclaration(symbol));
+    }
+
+    const lookup = (name: string): SymbolClass | undefined => {
+      if (lineScope.has(name)) {
+        return lineScope.get(name);
+      }
+      for (let i = scopes.length - 1; i >= 0; i--) {
+        const symbol = scopes[i].get(name);
+        if (symbol) {
+          return symbol;
+        }
+      }
+      return globals.get(name);
+    };
+
+    let i = 0;
+    while (i < code.length) {
+      const char = code[i];
+      if (char === '{') {
+        braces.push(isStructLiteralBrace(code, i));
+        scopes.push(new Map());
+        i++;
+        continue;
+      }
+      if (char === '}') {
+        braces.pop();
+        if (scopes.length > 1) {
+          scopes.pop();
+        }
+        i++;
+        continue;
+      }
+      if (!/[A-Za-z_]/.test(char) || (i > 0 && /\w/.test(code[i - 1]))) {
+        i++;
+        continue;
+      }
+
+      const end = i + (code.substring(i).match(/^\w+/) as RegExpMatchArray)[0].length;
+      const name = code.substring(i, end);
+      const symbol = localSites.get(i) ||
+        declarationSites.get(`${line}:${i}`) ||
+        classifyUse(name, code, i, end, braces[braces.length - 1] === true, lookup, userMethods);
+      if (symbol) {
+        builder.push(line, i, name.length, TOKEN_TYPES.indexOf(symbol.type), encodeModifiers(symbol.modifiers));
+      }
+      i = end;
+    }
+
+    if (local) {
+      // A loop variable belongs to the block its line opens
+      const scope = loop && scopes[scopes.length - 1] !== declaringScope ? scopes[scopes.length - 1] : declaringScope;
+      scope.set(local.name, local.symbol);
+    }
+    if (enclosing && line >= (enclosing.endLine ?? enclosing.line)) {
+      enclosing = undefined;
+      scopes = [new Map()];
+    }
+  });
+
+  return builder.build().data;
+}
+
+/**
+ * Describes the change from one token array to another as a single edit
+ * covering everything between their common prefix and suffix
+ */
+export function diffSemanticTokens(previous: number[], current: number[]): SemanticTokensEdit[] {
+  let start = 0;
+  while (start < previous.length && start < current.length && previous[start] === current[start]) {
+    start++;
+  }
+  if (start === previous.length && start === current.length) {
+    return [];
+  }
+
+  let end = 0;
+  while (
+    end < previous.length - start && end < current.length - start &&
+    previous[previous.length - 1 - end] === current[current.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  return [{
+    start,
+    deleteCount: previous.length - start - end,
+    data: current.slice(start, current.length - end)
+  }];
+}
+
+/**
+ * Classifies an identifier that is not a declaration: a member after `.`,
+ * a field in a struct literal, a name in scope, or a built-in
+ */
+function classifyUse(
+  name: string,
+  code: string,
+  start: number,
+  end: number,
+  inStructLiteral: boolean,
+  lookup: (name: string) => SymbolClass | undefined,
+  userMethods: Set<string>
+): SymbolClass | undefined {
+  if (VOLTA_KEYWORDS.includes(name)) {
+    return undefined;
+  }
+
+  const before = code.substring(0, start);
+  const after = code.substring(end);
+  const isCall = /^\s*\(/.test(after);
+
+  // `a.b`, but not the range `0..b`
+  if (/(?:^|[^.])\.\s*$/.test(before)) {
+    const receiver = (before.match(/([A-Za-z_]\w*)\s*\.\s*$/) || [])[1];
+    const receiverSymbol = receiver !== undefined ? lookup(receiver) : undefined;
+    if (receiver !== undefined && (receiverSymbol ? receiverSymbol.type === 'namespace' : CORE_MODULES.includes(receiver))) {
+      return { type: 'function', modifiers: CORE_MODULES.includes(receiver) ? ['defaultLibrary'] : [] };
+    }
+    if (isCall) {
+      return { type: 'method', modifiers: !userMethods.has(name) && isBuiltinMethod(name) ? ['defaultLibrary'] : [] };
+    }
+    return { type: 'property', modifiers: [] };
+  }
+
+  // `x:` directly inside `Point { ... }`
+  if (inStructLiteral && /^\s*:(?!=)/.test(after)) {
+    return { type: 'property', modifiers: [] };
+  }
+
+  const symbol = lookup(name);
+  if (symbol) {
+    return symbol;
+  }
+  if (GLOBAL_FUNCTIONS.some(fn => fn.name === name) && (isCall || !BUILTIN_TYPES.includes(name))) {
+    return { type: 'function', modifiers: ['defaultLibrary'] };
+  }
+  if (BUILTIN_TYPES.includes(name)) {
+    return { type: 'type', modifiers: ['defaultLibrary'] };
+  }
+  if (CORE_MODULES.includes(name)) {
+    return { type: 'namespace', modifiers: ['defaultLibrary'] };
+  }
+  return undefined;
+}
+
+/**
+ * Maps a compiler or scanner declaration kind to a token.
+ * Variables and parameters are `readonly` unless they are declared `mut`.
+ */
+function classify(kind: string, name: string, mutable?: boolean): SymbolClass {
+  switch (kind) {
+    case 'function':
+      // The compiler names methods `Point.distance`
+      return { type: name.includes('.') ? 'method' : 'function', modifiers: [] };
+    case 'method':
+      return { type: 'method', modifiers: [] };
+    case 'struct':
+      return { type: 'struct', modifiers: [] };
+    case 'field':
+      return { type: 'property', modifiers: [] };
+    case 'type':
+      return { type: 'type', modifiers: [] };
+    case 'module':
+      return { type: 'namespace', modifiers: [] };
+    case 'parameter':
+      return { type: 'parameter', modifiers: [mutable ? 'mutable' : 'readonly'] };
+    case 'variable':
+    default:
+      return { type: 'variable', modifiers: [mutable ? 'mutable' : 'readonly'] };
+  }
+}
+
+function asDeclaration(symbol: SymbolClass): SymbolClass {
+  return { type: symbol.type, modifiers: [...symbol.modifiers, 'declaration'] };
+}
+
+/**
+ * The parameters and type parameters of a function, visible throughout its body
+ */
+function parameterScope(
+  declaration: SourceDeclaration,
+  resolve: (declaration: { name: string; kind: string; line: number; mutable?: boolean }) => SymbolClass
+): Map<string, SymbolClass> {
+  const scope = new Map<string, SymbolClass>();
+  for (const typeParameter of declaration.typeParameters || []) {
+    scope.set(typeParameter, { type: 'typeParameter', modifiers: [] });
+  }
+  for (const parameter of declaration.parameters || []) {
+    scope.set(parameter.name, resolve({ ...parameter, kind: 'parameter' }));
+  }
+  return scope;
+}
+
+/**
+ * Finds the named parameters of the lambdas on a line, e.g. `x` in `fn(x: int) -> int = x * 2`.
+ * Function types such as `fn(int) -> int` have none.
+ */
+function findLambdaParameters(code: string): Array<{ name: string; character: number; mutable: boolean }> {
+  const parameters: Array<{ name: string; character: number; mutable: boolean }> = [];
+  for (const match of code.matchAll(LAMBDA_REGEX)) {
+    const open = (match.index as number) + match[0].length - 1;
+    let depth = 0;
+    let close = open;
+    for (; close < code.length; close++) {
+      if (code[close] === '(') {
+        depth++;
+      } else if (code[close] === ')' && --depth === 0) {
+        break;
+      }
+    }
+
+    for (const part of splitTopLevel(code.substring(open + 1, close))) {
+      const parameter = part.text.match(/^(\s*)([A-Za-z_]\w*)\s*:\s*(mut\s+)?/);
+      if (parameter) {
+        parameters.push({
+          name: parameter[2],
+          character: open + 1 + part.offset + parameter[1].length,
+          mutable: !!parameter[3]
+        });
+      }
+    }
+  }
+  return parameters;
+}
+
+/**
+ * Checks whether the `{` at an index opens a struct literal such as `Point {`
+ */
+function isStructLiteralBrace(code: string, index: number): boolean {
+  const firstWord = (code.match(/^\s*\}?\s*([A-Za-z_]\w*)/) || [])[1];
+  return /\b[A-Z]\w*\s*$/.test(code.substring(0, index)) && !(firstWord && BLOCK_KEYWORDS.has(firstWord));
+}
+
+function isBuiltinMethod(name: string): boolean {
+  return [...Object.values(BUILTIN_METHODS), ...Object.values(BUILTIN_STATIC_FUNCTIONS)]
+    .some(methods => methods.some(method => method.name === name));
+}
+
+/**
+ * Flattens the `--lsp-symbols` tree into a map keyed by 0-indexed line and name
+ */
+function indexCompilerSymbols(
+  symbols: CompilerDocumentSymbol[],
+  index = new Map<string, CompilerDocumentSymbol>()
+): Map<string, CompilerDocumentSymbol> {
+  for (const symbol of symbols) {
+    index.set(`${symbol.location.line - 1}:${symbol.name.split('.').pop()}`, symbol);
+    if (symbol.children) {
+      indexCompilerSymbols(symbol.children, index);
+    }
+  }
+  return index;
+}
+
+function encodeModifiers(modifiers: TokenModifier[]): number {
+  return modifiers.reduce((bits, modifier) => bits | (1 << TOKEN_MODIFIERS.indexOf(modifier)), 0);
+}
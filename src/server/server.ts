@@ -2,33 +2,112 @@ import {
   createConnection,
   TextDocuments,
   Diagnostic,
-  DiagnosticSeverity,
   ProposedFeatures,
   InitializeParams,
   DidChangeConfigurationNotification,
   CompletionItem,
-  CompletionItemKind,
-  TextDocumentPositionParams,
   TextDocumentSyncKind,
   InitializeResult,
+  FileChangeType,
+  CodeAction,
+  CodeActionKind,
+  CancellationTokenSource,
+  ErrorCodes,
+  ResponseError,
+  TextDocumentEdit,
+  TextEdit,
+  WorkspaceEdit,
+  SymbolInformation,
+  WorkspaceFolder,
   SignatureHelp,
-  SignatureInformation,
-  ParameterInformation
+  SemanticTokens,
+  SemanticTokensDelta,
+  CancellationToken,
+  InlayHint,
+  Location,
+  FoldingRange,
+  SelectionRange,
+  DocumentDiagnosticReport,
+  DocumentDiagnosticReportKind,
+  LSPErrorCodes,
+  WorkspaceDiagnosticReport,
+  WorkspaceDocumentDiagnosticReport,
+  DocumentLink,
+  CallHierarchyItem,
+  CallHierarchyIncomingCall,
+  CallHierarchyOutgoingCall
 } from 'vscode-languageserver/node';
 
 import {
   TextDocument
 } from 'vscode-languageserver-textdocument';
 
-import { spawn } from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
 import * as path from 'path';
-import { findVoltaCompiler, getCompilerNotFoundMessage } from './compilerPath';
+import { expandConfiguredPath, findVoltaCompiler, getCompilerNotFoundMessage } from '../shared/compilerPath';
+import { CompilerCapabilities, compareVersions, probeCompiler } from './compilerCapabilities';
+import { PROJECT_FILE_NAME, createExcludeMatcher, readProjectFile } from '../shared/projectConfig';
+import { COMPILER_STATUS_NOTIFICATION, CompilerStatus } from '../shared/compilerStatus';
 import { runVoltaCompiler } from './voltaCompiler';
-import { getSymbolInfoFromCompiler } from './compilerInterface';
+import { configureCompilerProcesses, setCompilerProcessLogger, stopCompilerDaemon, stopCompilerDaemons } from './compilerProcess';
+import {
+  CompilerDocumentSymbol,
+  CompilerReferenceInfo,
+  getDefinitionFromCompiler,
+  getDocumentSymbolsFromCompiler,
+  getReferencesFromCompiler,
+  getSignatureHelpFromCompiler,
+  getSymbolInfoFromCompiler
+} from './compilerInterface';
+import { Call, CallSite, classifyReference, findCallSites, findFunctionDeclaration, groupCalls, toCallHierarchyItem, toFileItem } from './callHierarchy';
+import { FIX_ALL_KIND, getQuickFixActions } from './codeActions';
+import { CompletionData, getCompletionItems, resolveCompletionItem } from './completion';
+import { SourceOutline, findEnclosingFunction, scanDeclarations } from './declarations';
+import {
+  compilerLocationToRange,
+  definitionToLocations,
+  findAnnotatedTypePosition,
+  readLineFromFile
+} from './definition';
+import {
+  checkDocComments,
+  closeDocBlockOnEnter,
+  formatSymbolDocumentation,
+  getDocCommentActions,
+  getDocCommentText
+} from './docComments';
+import { getFoldingRanges } from './folding';
+import { formatDocument, formatOnType, formatRange } from './formatter';
+import {
+  filePathToUri,
+  getDocumentSnapshot,
+  isSnapshotFile,
+  isTemporaryCopy,
+  releaseAllDocumentSnapshots,
+  releaseDocumentSnapshot,
+  toDocumentUri,
+  uriToFilePath
+} from './documentSnapshot';
+import { getLocalHover } from './hover';
+import { InlayHintData, getInlayHints, resolveInlayHint } from './inlayHints';
+import { getWordRangeAtPosition } from './language';
+import { getUnqualifiedName, referencesToHighlights, referencesToLocations } from './references';
+import { buildRenameEdits, findDocTagEdits, findScopeCollision, validateNewName } from './rename';
+import { ImportGraph } from './importGraph';
+import { checkImports, getImportLinks, getOrganizeImportsAction, getTopLevelNames, listModules } from './imports';
+import { getSelectionRanges } from './selectionRanges';
+import { SEMANTIC_TOKENS_LEGEND, computeSemanticTokens, diffSemanticTokens } from './semanticTokens';
+import { SignatureSource, findCallSite, fromCompilerSignatureHelp, getLocalSignatureHelp } from './signatureHelp';
+import { toDocumentSymbols, toSymbolKind } from './symbols';
+import { DiagnosticResultIds, DiagnosticsScope, runWithPool } from './workspaceDiagnostics';
+import { findVoltaFiles } from './workspaceFiles';
+import { WorkspaceSymbolIndex } from './workspaceIndex';
 
 // Create a connection for the server using Node's IPC as a transport
 // Also include all preview / proposed LSP features
 const connection = createConnection(ProposedFeatures.all);
+setCompilerProcessLogger(message => connection.console.log(message));
 
 // Create a simple text document manager that syncs documents with VSCode
 const documents: TextDocuments<TextDocument> = new TextDocuments(TextDocument);
@@ -36,13 +115,76 @@ const documents: TextDocuments<TextDocument> = new TextDocuments(TextDocument);
 let hasConfigurationCapability = false;
 let hasWorkspaceFolderCapability = false;
 let hasDiagnosticRelatedInformationCapability = false;
+let hasDefinitionLinkCapability = false;
+let hasChangeAnnotationCapability = false;
+let hasSnippetCapability = false;
+let hasSemanticTokensRefreshCapability = false;
+let hasInlayHintRefreshCapability = false;
+let hasPullDiagnosticsCapability = false;
+let hasDiagnosticRefreshCapability = false;
+
+// The compiler for files outside every workspace folder, from the workspace-level `volta.compilerPath`
+let defaultCompilerPath: string | null = null;
+
+/**
+ * What applies to the files of one workspace folder: its `volta.*` settings, overridden
+ * by whatever its project file declares
+ */
+interface FolderConfig {
+  folderPath: string;
+  compilerPath: string | null;
+  minimumCompilerVersion: string;
+  // Directories searched for `import name`
+  moduleSearchRoots: string[];
+  compilerFlags: string[];
+  exclude: string[];
+  isExcluded: (filePath: string) => boolean;
+}
+
+// Configuration per workspace folder path, filled in by `resolveProjects`
+const folderConfigs: Map<string, FolderConfig> = new Map();
+
+// What probing each compiler in use found, and the queue of pending resolutions
+const compilerCapabilities: Map<string, CompilerCapabilities> = new Map();
+let projectResolution: Promise<void> = Promise.resolve();
+let projectsResolved = false;
+
+// Warnings shown by the last resolution (missing or outdated compilers, invalid project files), so each shows once
+let shownWarnings = new Set<string>();
+
+// Where the server may persist caches such as the symbol index
+let storagePath = path.join(os.tmpdir(), 'volta-lsp');
+
+// Workspace folders open in the client
+let workspaceFolders: WorkspaceFolder[] = [];
+
+// Symbol index per workspace folder path
+const workspaceIndexes: Map<string, WorkspaceSymbolIndex> = new Map();
+
+// Which workspace files import which, so dependents are revalidated when a module changes
+const importGraph = new ImportGraph(getModuleSearchRoots);
 
-// Path to the Volta compiler (will be resolved dynamically)
-let voltaCompilerPath: string | null = null;
+// Standard library imports link to the language specification shipped with the extension
+const STANDARD_LIBRARY_DOCS = getStandardLibraryDocs();
+
+// Maximum number of results returned for a workspace symbol query
+const MAX_WORKSPACE_SYMBOLS = 500;
+
+// Last semantic tokens per document URI, reused while the document version is unchanged
+const semanticTokensCache: Map<string, { version: number; tokens: SemanticTokens }> = new Map();
+let semanticTokensResultId = 0;
+
+// Types of inferred bindings per document URI, keyed by position, while the document version is unchanged
+const inlayHintTypeCache: Map<string, { version: number; types: Map<string, string | undefined> }> = new Map();
 
 connection.onInitialize((params: InitializeParams) => {
   const capabilities = params.capabilities;
 
+  if (params.initializationOptions && params.initializationOptions.storagePath) {
+    storagePath = params.initializationOptions.storagePath;
+  }
+  workspaceFolders = params.workspaceFolders || [];
+
   // Does the client support the `workspace/configuration` request?
   hasConfigurationCapability = !!(
     capabilities.workspace && !!capabilities.workspace.configuration
@@ -55,26 +197,117 @@ connection.onInitialize((params: InitializeParams) => {
     capabilities.textDocument.publishDiagnostics &&
     capabilities.textDocument.publishDiagnostics.relatedInformation
   );
+  hasDefinitionLinkCapability = !!(
+    capabilities.textDocument &&
+    capabilities.textDocument.definition &&
+    capabilities.textDocument.definition.linkSupport
+  );
+  hasChangeAnnotationCapability = !!(
+    capabilities.workspace &&
+    capabilities.workspace.workspaceEdit &&
+    capabilities.workspace.workspaceEdit.documentChanges &&
+    capabilities.workspace.workspaceEdit.changeAnnotationSupport
+  );
+  hasSnippetCapability = !!(
+    capabilities.textDocument &&
+    capabilities.textDocument.completion &&
+    capabilities.textDocument.completion.completionItem &&
+    capabilities.textDocument.completion.completionItem.snippetSupport
+  );
+  hasSemanticTokensRefreshCapability = !!(
+    capabilities.workspace &&
+    capabilities.workspace.semanticTokens &&
+    capabilities.workspace.semanticTokens.refreshSupport
+  );
+  hasInlayHintRefreshCapability = !!(
+    capabilities.workspace &&
+    capabilities.workspace.inlayHint &&
+    capabilities.workspace.inlayHint.refreshSupport
+  );
+  // Does the client ask for diagnostics (`textDocument/diagnostic`) instead of waiting for them?
+  hasPullDiagnosticsCapability = !!(
+    capabilities.textDocument &&
+    capabilities.textDocument.diagnostic
+  );
+  hasDiagnosticRefreshCapability = !!(
+    capabilities.workspace &&
+    capabilities.workspace.diagnostics &&
+    capabilities.workspace.diagnostics.refreshSupport
+  );
 
   const result: InitializeResult = {
     capabilities: {
       textDocumentSync: TextDocumentSyncKind.Incremental,
       // Tell the client that this server supports code completion
       completionProvider: {
-        resolveProvider: true
+        resolveProvider: true,
+        triggerCharacters: ['.', ':', '@']
       },
       // Tell the client that this server supports hover
       hoverProvider: true,
       // Tell the client that this server supports go-to-definition
       definitionProvider: true,
+      // Tell the client that this server supports go-to-type-definition
+      typeDefinitionProvider: true,
+      // Tell the client that this server supports the outline view and breadcrumbs
+      documentSymbolProvider: true,
+      // Tell the client that this server supports find all references
+      referencesProvider: true,
+      // Tell the client that this server highlights other uses of the symbol under the cursor
+      documentHighlightProvider: true,
+      // Tell the client that this server supports workspace symbol search (Ctrl+T)
+      workspaceSymbolProvider: true,
+      // Tell the client that this server offers quick fixes and doc comment generation
+      codeActionProvider: {
+        codeActionKinds: [CodeActionKind.QuickFix, CodeActionKind.RefactorRewrite, CodeActionKind.SourceOrganizeImports, FIX_ALL_KIND]
+      },
+      // Tell the client that this server supports rename, and validates the position first
+      renameProvider: {
+        prepareProvider: true
+      },
+      // Tell the client that this server formats whole documents, selections and while typing
+      documentFormattingProvider: true,
+      documentRangeFormattingProvider: true,
+      documentOnTypeFormattingProvider: {
+        firstTriggerCharacter: '}',
+        moreTriggerCharacter: ['\n']
+      },
       // Tell the client that this server supports signature help
       signatureHelpProvider: {
         triggerCharacters: ['(', ','],
-        retriggerCharacters: [',']
-      }
+        retriggerCharacters: [',', ')']
+      },
+      // Tell the client that this server supports semantic highlighting, including edits to the last result
+      semanticTokensProvider: {
+        legend: SEMANTIC_TOKENS_LEGEND,
+        full: { delta: true }
+      },
+      // Tell the client that this server shows inferred types and parameter names inline
+      inlayHintProvider: {
+        resolveProvider: true
+      },
+      // Tell the client that this server knows the foldable regions, including comments and imports
+      foldingRangeProvider: true,
+      // Tell the client that this server supports expand and shrink selection
+      selectionRangeProvider: true,
+      // Tell the client that this server makes imported module names clickable
+      documentLinkProvider: {
+        resolveProvider: false
+      },
+      // Tell the client that this server shows the callers and callees of functions and methods
+      callHierarchyProvider: true
     }
   };
 
+  if (hasPullDiagnosticsCapability) {
+    // Tell the client to pull diagnostics, for open files and for the whole workspace
+    result.capabilities.diagnosticProvider = {
+      identifier: 'volta',
+      interFileDependencies: true,
+      workspaceDiagnostics: true
+    };
+  }
+
   if (hasWorkspaceFolderCapability) {
     result.capabilities.workspace = {
       workspaceFolders: {
@@ -92,31 +325,326 @@ connection.onInitialized(() => {
     connection.client.register(DidChangeConfigurationNotification.type, undefined);
   }
   if (hasWorkspaceFolderCapability) {
-    connection.workspace.onDidChangeWorkspaceFolders(_event => {
+    connection.workspace.onDidChangeWorkspaceFolders(event => {
       connection.console.log('Workspace folder change event received.');
+      workspaceFolders = workspaceFolders
+        .filter(folder => !event.removed.some(removed => removed.uri === folder.uri))
+        .concat(event.added);
+      for (const folder of event.removed) {
+        const folderPath = uriToFilePath(folder.uri);
+        if (folderPath) {
+          workspaceIndexes.get(folderPath)?.flush();
+          workspaceIndexes.delete(folderPath);
+          importGraph.removeFolder(folderPath);
+        }
+      }
+      for (const folder of event.added) {
+        const folderPath = uriToFilePath(folder.uri);
+        if (folderPath) {
+          importGraph.addFolder(folderPath);
+        }
+      }
+      // New folders bring their own settings and project files, and a
+      // `${workspaceFolder}` compiler path may now point elsewhere
+      queueProjectResolution();
     });
   }
 
-  // Initialize compiler path
-  voltaCompilerPath = findVoltaCompiler(globalSettings.compilerPath);
-  if (!voltaCompilerPath) {
-    connection.window.showErrorMessage(getCompilerNotFoundMessage());
-    connection.console.log('Volta compiler not found!');
-  } else {
-    connection.console.log(`Volta compiler found at: ${voltaCompilerPath}`);
+  updateCompilerProcessSettings()
+    .catch(error => connection.console.log(`Failed to apply the compiler process settings: ${error}`));
+  updateDiagnosticsSettings()
+    .catch(error => connection.console.log(`Failed to apply the diagnostics settings: ${error}`));
+
+  for (const folder of workspaceFolders) {
+    const folderPath = uriToFilePath(folder.uri);
+    if (folderPath) {
+      importGraph.addFolder(folderPath);
+    }
   }
+  queueProjectResolution();
 });
 
+/**
+ * Resolves the compilers and folder settings after any resolution already in progress
+ */
+function queueProjectResolution(): void {
+  projectResolution = projectResolution
+    .then(resolveProjects)
+    .catch(error => connection.console.log(`Failed to resolve the Volta projects: ${error}`));
+}
+
+/**
+ * Reads the settings and the `volta.json` project file of every workspace folder and
+ * finds each folder's compiler. Compilers not seen before are probed for their version
+ * and `--lsp-*` commands, and whatever depended on a changed compiler, search root,
+ * flag or exclusion is recomputed. The client shows each folder's compiler in the status bar.
+ */
+async function resolveProjects(): Promise<void> {
+  const settings: Partial<VoltaSettings> = hasConfigurationCapability
+    ? (await connection.workspace.getConfiguration('volta')) || {}
+    : globalSettings;
+  const folderPaths = workspaceFolders
+    .map(folder => uriToFilePath(folder.uri))
+    .filter((folderPath): folderPath is string => !!folderPath);
+  const warnings = new Set<string>();
+
+  const compilerPath = findVoltaCompiler(settings.compilerPath ?? defaultSettings.compilerPath, folderPaths);
+  const configs: FolderConfig[] = [];
+  for (const folder of workspaceFolders) {
+    const folderPath = uriToFilePath(folder.uri);
+    if (!folderPath) {
+      continue;
+    }
+    const folderSettings: Partial<VoltaSettings> = hasConfigurationCapability
+      ? (await connection.workspace.getConfiguration({ scopeUri: folder.uri, section: 'volta' })) || {}
+      : globalSettings;
+    const project = readProjectFile(folderPath);
+    if (project.error) {
+      warnings.add(project.error);
+    }
+
+    // A project file's paths are relative to its own folder
+    const folderCompilerPath = project.config.compilerPath !== undefined
+      ? findVoltaCompiler(project.config.compilerPath, [folderPath])
+      : findVoltaCompiler(folderSettings.compilerPath ?? defaultSettings.compilerPath, [folderPath, ...folderPaths]);
+    const searchPaths = project.config.moduleSearchPaths ?? folderSettings.moduleSearchPaths ?? defaultSettings.moduleSearchPaths;
+    const exclude = project.config.exclude || [];
+    configs.push({
+      folderPath,
+      compilerPath: folderCompilerPath,
+      minimumCompilerVersion: (folderSettings.minimumCompilerVersion ?? defaultSettings.minimumCompilerVersion).trim(),
+      moduleSearchRoots: searchPaths.flatMap(searchPath => expandConfiguredPath(searchPath, [folderPath])),
+      compilerFlags: project.config.compilerFlags || [],
+      exclude,
+      isExcluded: createExcludeMatcher(folderPath, exclude)
+    });
+  }
+
+  const compilersChanged = !projectsResolved || compilerPath !== defaultCompilerPath ||
+    configs.some(config => folderConfigs.get(config.folderPath)?.compilerPath !== config.compilerPath);
+  const rootsChanged = configs.some(config => {
+    const previous = folderConfigs.get(config.folderPath);
+    return !previous || previous.moduleSearchRoots.join('\n') !== config.moduleSearchRoots.join('\n');
+  });
+  const checksChanged = configs.some(config => {
+    const previous = folderConfigs.get(config.folderPath);
+    return !previous || previous.compilerFlags.join('\n') !== config.compilerFlags.join('\n') ||
+      previous.exclude.join('\n') !== config.exclude.join('\n');
+  });
+
+  // Indexes built with another compiler or other exclusions are rebuilt
+  for (const config of configs) {
+    const previous = folderConfigs.get(config.folderPath);
+    if (previous && (previous.compilerPath !== config.compilerPath || previous.exclude.join('\n') !== config.exclude.join('\n'))) {
+      workspaceIndexes.get(config.folderPath)?.flush();
+      workspaceIndexes.delete(config.folderPath);
+    }
+  }
+
+  defaultCompilerPath = compilerPath;
+  folderConfigs.clear();
+  configs.forEach(config => folderConfigs.set(config.folderPath, config));
+  projectsResolved = true;
+
+  // Without folders the default compiler is the one every file uses
+  const usedCompilers = configs.length > 0 ? configs.map(config => config.compilerPath) : [compilerPath];
+  if (usedCompilers.includes(null)) {
+    warnings.add('compiler-not-found');
+  }
+  if (compilersChanged) {
+    await useCompilers([compilerPath, ...usedCompilers]);
+  }
+  if (rootsChanged) {
+    importGraph.refresh();
+  }
+  buildWorkspaceIndexes();
+  if (compilersChanged || rootsChanged || checksChanged) {
+    revalidateAll();
+  }
+
+  // Each folder reports its own compiler; files outside every folder use the default one
+  const statuses: CompilerStatus[] = workspaceFolders
+    .filter(folder => folderConfigs.has(uriToFilePath(folder.uri) || ''))
+    .map(folder => {
+      const config = folderConfigs.get(uriToFilePath(folder.uri) as string) as FolderConfig;
+      return getCompilerStatus(config.compilerPath, config.minimumCompilerVersion, warnings, folder.uri);
+    });
+  statuses.push(getCompilerStatus(
+    compilerPath,
+    (settings.minimumCompilerVersion ?? defaultSettings.minimumCompilerVersion).trim(),
+    warnings
+  ));
+
+  for (const warning of warnings) {
+    if (shownWarnings.has(warning)) {
+      continue;
+    }
+    if (warning === 'compiler-not-found') {
+      connection.window.showErrorMessage(getCompilerNotFoundMessage());
+    } else {
+      connection.window.showWarningMessage(warning);
+    }
+  }
+  shownWarnings = warnings;
+  statuses.forEach(status => connection.sendNotification(COMPILER_STATUS_NOTIFICATION, status));
+}
+
+/**
+ * Switches to a new set of compilers: probes the ones not seen before, stops the daemons
+ * of the ones no longer used and drops everything computed with the old ones
+ */
+async function useCompilers(compilerPaths: Array<string | null>): Promise<void> {
+  const inUse = new Set(compilerPaths.filter((compilerPath): compilerPath is string => !!compilerPath));
+  for (const compilerPath of Array.from(compilerCapabilities.keys())) {
+    if (!inUse.has(compilerPath)) {
+      compilerCapabilities.delete(compilerPath);
+      stopCompilerDaemon(compilerPath);
+    }
+  }
+
+  for (const compilerPath of inUse) {
+    if (compilerCapabilities.has(compilerPath)) {
+      continue;
+    }
+    connection.console.log(`Volta compiler found at: ${compilerPath}`);
+    const capabilities = await probeCompiler(compilerPath);
+    compilerCapabilities.set(compilerPath, capabilities);
+    connection.console.log(`Volta compiler version: ${capabilities.version || 'unknown'}`);
+    if (capabilities.unsupportedCommands.length > 0) {
+      connection.console.log(`Compiler does not support ${capabilities.unsupportedCommands.join(', ')}; the features using them are turned off`);
+    }
+  }
+  if (compilerPaths.includes(null)) {
+    connection.console.log('Volta compiler not found!');
+  }
+
+  // Tokens and types computed without the compiler (or with the old one) are stale
+  semanticTokensCache.clear();
+  inlayHintTypeCache.clear();
+  if (hasSemanticTokensRefreshCapability) {
+    connection.languages.semanticTokens.refresh();
+  }
+}
+
+/**
+ * What the status bar shows for a compiler, adding a warning when it is older than the minimum version
+ */
+function getCompilerStatus(
+  compilerPath: string | null,
+  minimumVersion: string,
+  warnings: Set<string>,
+  folderUri?: string
+): CompilerStatus {
+  const capabilities = compilerPath ? compilerCapabilities.get(compilerPath) : undefined;
+  const version = capabilities?.version;
+  const outdated = !!(compilerPath && minimumVersion && (!version || compareVersions(version, minimumVersion) < 0));
+  if (outdated) {
+    warnings.add(version
+      ? `The Volta compiler at ${compilerPath} is version ${version}, older than the required ${minimumVersion} (volta.minimumCompilerVersion). Some features may not work.`
+      : `Could not determine the version of the Volta compiler at ${compilerPath}; volta.minimumCompilerVersion requires ${minimumVersion}.`);
+  }
+
+  return {
+    path: compilerPath,
+    version,
+    unsupportedCommands: capabilities?.unsupportedCommands || [],
+    outdated,
+    folderUri
+  };
+}
+
+/**
+ * Creates and builds a symbol index for every workspace folder that lacks one
+ */
+function buildWorkspaceIndexes(): void {
+  for (const config of folderConfigs.values()) {
+    const { folderPath, compilerPath } = config;
+    if (!compilerPath || workspaceIndexes.has(folderPath)) {
+      continue;
+    }
+
+    const index = new WorkspaceSymbolIndex(folderPath, storagePath, message => connection.console.log(message), config.isExcluded);
+    workspaceIndexes.set(folderPath, index);
+    index.build(compilerPath).catch(error => {
+      connection.console.log(`Failed to build symbol index for ${folderPath}: ${error}`);
+    });
+  }
+}
+
+/**
+ * The configuration of the innermost workspace folder containing a file
+ */
+function getFolderConfig(filePath: string): FolderConfig | undefined {
+  let best: FolderConfig | undefined;
+  for (const config of folderConfigs.values()) {
+    const relative = path.relative(config.folderPath, filePath);
+    if (!relative.startsWith('..') && !path.isAbsolute(relative) && (!best || config.folderPath.length > best.folderPath.length)) {
+      best = config;
+    }
+  }
+  return best;
+}
+
+/**
+ * The compiler for a document: its workspace folder's, or the default one outside every folder
+ */
+function getCompilerPath(uri: string): string | null {
+  const filePath = uriToFilePath(uri);
+  const config = filePath ? getFolderConfig(filePath) : undefined;
+  return config ? config.compilerPath : defaultCompilerPath;
+}
+
+/**
+ * Whether the project file of a file's folder leaves it out of workspace-wide features
+ */
+function isExcludedFile(filePath: string): boolean {
+  return !!getFolderConfig(filePath)?.isExcluded(filePath);
+}
+
+/**
+ * Finds the symbol index of the workspace folder containing a file
+ */
+function getWorkspaceIndexForFile(filePath: string): WorkspaceSymbolIndex | undefined {
+  for (const index of workspaceIndexes.values()) {
+    if (index.contains(filePath)) {
+      return index;
+    }
+  }
+  return undefined;
+}
+
 // The Volta settings
 interface VoltaSettings {
   maxNumberOfProblems: number;
   compilerPath: string;
+  compilerTimeout: number;
+  maxCompilerProcesses: number;
+  minimumCompilerVersion: string;
+  moduleSearchPaths: string[];
+  inlayHints: {
+    variableTypes: boolean;
+    parameterNames: boolean;
+  };
+  diagnostics: {
+    scope: DiagnosticsScope;
+  };
 }
 
 // The global settings, used when the `workspace/configuration` request is not supported
 const defaultSettings: VoltaSettings = {
   maxNumberOfProblems: 1000,
-  compilerPath: 'volta'
+  compilerPath: 'volta',
+  compilerTimeout: 10000,
+  maxCompilerProcesses: 4,
+  minimumCompilerVersion: '',
+  moduleSearchPaths: ['.'],
+  inlayHints: {
+    variableTypes: true,
+    parameterNames: true
+  },
+  diagnostics: {
+    scope: 'openFiles'
+  }
 };
 let globalSettings: VoltaSettings = defaultSettings;
 
@@ -133,21 +661,108 @@ connection.onDidChangeConfiguration(change => {
     );
   }
 
-  // Re-resolve compiler path with new settings
-  const oldPath = voltaCompilerPath;
-  voltaCompilerPath = findVoltaCompiler(globalSettings.compilerPath);
-  if (!voltaCompilerPath) {
-    connection.window.showErrorMessage(getCompilerNotFoundMessage());
-  } else {
-    connection.console.log(`Volta compiler found at: ${voltaCompilerPath}`);
-  }
+  updateCompilerProcessSettings()
+    .catch(error => connection.console.log(`Failed to apply the compiler process settings: ${error}`));
+  updateDiagnosticsSettings()
+    .catch(error => connection.console.log(`Failed to apply the diagnostics settings: ${error}`));
 
-  // Only revalidate if compiler path actually changed
-  if (oldPath !== voltaCompilerPath) {
-    documents.all().forEach(validateTextDocument);
+  // Re-resolve the compilers and folder settings; everything is revalidated only if they changed
+  queueProjectResolution();
+
+  // The `volta.inlayHints.*` toggles may have changed
+  if (hasInlayHintRefreshCapability) {
+    connection.languages.inlayHint.refresh();
   }
 });
 
+/**
+ * Applies the compiler timeout and process limit, which are shared by all documents
+ */
+async function updateCompilerProcessSettings(): Promise<void> {
+  const settings: Partial<VoltaSettings> = hasConfigurationCapability
+    ? (await connection.workspace.getConfiguration('volta')) || {}
+    : globalSettings;
+
+  configureCompilerProcesses({
+    timeoutMs: settings.compilerTimeout ?? defaultSettings.compilerTimeout,
+    maxProcesses: settings.maxCompilerProcesses ?? defaultSettings.maxCompilerProcesses
+  });
+}
+
+/**
+ * Applies `volta.diagnostics.scope`, checking the files that are not open or forgetting their diagnostics
+ */
+async function updateDiagnosticsSettings(): Promise<void> {
+  const settings: Partial<VoltaSettings> = hasConfigurationCapability
+    ? (await connection.workspace.getConfiguration('volta')) || {}
+    : globalSettings;
+
+  const previousScope = diagnosticsScope;
+  diagnosticsScope = settings.diagnostics?.scope ?? defaultSettings.diagnostics.scope;
+  workspaceMaxProblems = settings.maxNumberOfProblems ?? defaultSettings.maxNumberOfProblems;
+  workspaceCheckLimit = settings.maxCompilerProcesses ?? defaultSettings.maxCompilerProcesses;
+
+  if (hasPullDiagnosticsCapability) {
+    // The problem limit may have changed too, so no earlier result can be reused
+    diagnosticResultIds.invalidateAll();
+    diagnosticReports.clear();
+    refreshDiagnostics();
+  } else if (diagnosticsScope !== previousScope) {
+    if (diagnosticsScope === 'workspace') {
+      checkWorkspace();
+    } else {
+      clearWorkspaceDiagnostics();
+    }
+  }
+}
+
+/**
+ * The module search roots of the workspace folder containing a file. Until the
+ * folder's settings are read, its root is its only search root.
+ */
+function getModuleSearchRoots(filePath: string): string[] {
+  let best: WorkspaceFolder | undefined;
+  let bestPath = '';
+  for (const folder of workspaceFolders) {
+    const folderPath = uriToFilePath(folder.uri);
+    if (!folderPath || folderPath.length <= bestPath.length) {
+      continue;
+    }
+    const relative = path.relative(folderPath, filePath);
+    if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+      best = folder;
+      bestPath = folderPath;
+    }
+  }
+  return best ? folderConfigs.get(bestPath)?.moduleSearchRoots || [bestPath] : [];
+}
+
+/**
+ * The language specification's standard library section, or its copy on GitHub
+ * when the extension was installed without the docs
+ */
+function getStandardLibraryDocs(): string {
+  const specPath = path.resolve(__dirname, '..', '..', 'docs', 'volta_spec.md');
+  try {
+    const line = fs.readFileSync(specPath, 'utf8').split(/\r?\n/).findIndex(text => text.startsWith('## Standard Library'));
+    return `${filePathToUri(specPath)}#L${line + 1}`;
+  } catch {
+    return 'https://github.com/antonio-dimeglio/vscode-volta/blob/main/docs/volta_spec.md#standard-library-modules';
+  }
+}
+
+/**
+ * The top-level names of a module, from its open document or from disk
+ */
+function getModuleExports(modulePath: string): string[] {
+  const document = documents.get(filePathToUri(modulePath));
+  try {
+    return getTopLevelNames(document ? document.getText() : fs.readFileSync(modulePath, 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
 function getDocumentSettings(resource: string): Thenable<VoltaSettings> {
   if (!hasConfigurationCapability) {
     return Promise.resolve(globalSettings);
@@ -166,12 +781,29 @@ function getDocumentSettings(resource: string): Thenable<VoltaSettings> {
 // Only keep settings for open documents
 documents.onDidClose(e => {
   documentSettings.delete(e.document.uri);
+  releaseDocumentSnapshot(e.document.uri);
+  semanticTokensCache.delete(e.document.uri);
+  inlayHintTypeCache.delete(e.document.uri);
   // Clear validation timer for closed document
   const timer = validationTimers.get(e.document.uri);
   if (timer) {
     clearTimeout(timer);
     validationTimers.delete(e.document.uri);
   }
+  releasePendingPulls(e.document.uri);
+  // Stop any validation still running for it
+  validationCancellations.get(e.document.uri)?.cancel();
+  validationCancellations.delete(e.document.uri);
+  runningReports.delete(e.document.uri);
+  publishedDiagnostics.delete(e.document.uri);
+  // A file deleted while it was open keeps its diagnostics until it is closed
+  const filePath = uriToFilePath(e.document.uri);
+  if (filePath && !fs.existsSync(filePath)) {
+    connection.sendDiagnostics({ uri: e.document.uri, diagnostics: [] });
+  } else if (filePath) {
+    // Its unsaved edits are gone, so the workspace check reports the file as saved
+    checkWorkspaceFiles([filePath]);
+  }
 });
 
 // Track which documents have been validated at least once
@@ -180,10 +812,36 @@ const validatedDocuments = new Set<string>();
 // Debounce validation to avoid running on every keystroke
 const validationTimers = new Map<string, NodeJS.Timeout>();
 
+// Diagnostic pulls waiting for a document's validation timer to fire
+const pendingPulls = new Map<string, Array<() => void>>();
+
+// The in-flight validation of each document, cancelled when a newer one starts
+const validationCancellations = new Map<string, CancellationTokenSource>();
+
+// The diagnostics last sent for each document, used by "Fix all" code actions
+const publishedDiagnostics = new Map<string, Diagnostic[]>();
+
+// The `volta.diagnostics.scope` setting, and the workspace-wide values used for files that are not open
+let diagnosticsScope: DiagnosticsScope = defaultSettings.diagnostics.scope;
+let workspaceMaxProblems = defaultSettings.maxNumberOfProblems;
+let workspaceCheckLimit = defaultSettings.maxCompilerProcesses;
+
+// Result IDs for pull diagnostics, and the last result computed for each file
+const diagnosticResultIds = new DiagnosticResultIds();
+const diagnosticReports = new Map<string, { resultId: string; diagnostics: Diagnostic[] }>();
+
+// The check running for each open document's pulled diagnostics, shared by every pull for the same text
+const runningReports = new Map<string, { resultId: string; report: Promise<{ resultId: string; diagnostics: Diagnostic[] } | null> }>();
+
+// Files that are not open and got diagnostics pushed by a workspace check, and the checks running
+const workspaceDiagnosticUris = new Set<string>();
+const workspaceChecks = new Set<CancellationTokenSource>();
+
 // When a document is opened, validate it immediately (only once)
 documents.onDidOpen(change => {
   const uri = change.document.uri;
-  if (!validatedDocuments.has(uri)) {
+  // Clients that pull diagnostics ask for them when a document opens
+  if (!hasPullDiagnosticsCapability && !validatedDocuments.has(uri)) {
     validatedDocuments.add(uri);
     validateTextDocument(change.document);
   }
@@ -201,102 +859,518 @@ documents.onDidChangeContent(change => {
 
   // Set new timer to validate after 1000ms of no changes (increased from 500ms)
   const timer = setTimeout(() => {
-    validateTextDocument(change.document);
+    if (!hasPullDiagnosticsCapability) {
+      validateTextDocument(change.document);
+    }
     validationTimers.delete(uri);
+    releasePendingPulls(uri);
+    // Keep the imports of the edited file current; its dependents are revalidated once it is saved
+    const filePath = uriToFilePath(uri);
+    if (filePath) {
+      importGraph.updateFile(filePath, change.document.getText());
+    }
   }, 1000);
 
   validationTimers.set(uri, timer);
 });
 
 /**
- * Validates a Volta document by calling the C++ compiler
+ * Resolves once the validation timer of a document fires, i.e. once typing pauses
+ */
+function waitForValidationTimer(uri: string): Promise<void> {
+  return new Promise(resolve => {
+    const waiting = pendingPulls.get(uri) || [];
+    waiting.push(resolve);
+    pendingPulls.set(uri, waiting);
+  });
+}
+
+function releasePendingPulls(uri: string): void {
+  pendingPulls.get(uri)?.forEach(resolve => resolve());
+  pendingPulls.delete(uri);
+}
+
+/**
+ * Validates an open Volta document and pushes its diagnostics
  */
 async function validateTextDocument(textDocument: TextDocument): Promise<void> {
   const text = textDocument.getText();
+  const version = textDocument.version;
   const settings = await getDocumentSettings(textDocument.uri);
 
   connection.console.log(`Validating document: ${textDocument.uri}`);
 
-  // Check if compiler is available
-  if (!voltaCompilerPath) {
-    connection.console.log('Compiler not available, skipping validation');
-    return;
-  }
+  // A newer validation supersedes any that is still running
+  validationCancellations.get(textDocument.uri)?.cancel();
+  const cancellation = new CancellationTokenSource();
+  validationCancellations.set(textDocument.uri, cancellation);
 
   try {
-    // Call the Volta compiler
-    const result = await runVoltaCompiler(voltaCompilerPath, text, textDocument.uri);
-
-    // Send the diagnostics to VSCode
-    connection.sendDiagnostics({ uri: textDocument.uri, diagnostics: result.diagnostics });
+    const diagnostics = await computeDiagnostics(textDocument.uri, text, settings.maxNumberOfProblems, cancellation.token);
 
-    if (result.success) {
-      connection.console.log(`✓ Document validated successfully: ${textDocument.uri}`);
-    } else {
-      connection.console.log(`✗ Document has ${result.diagnostics.length} error(s): ${textDocument.uri}`);
+    // Drop results that arrive after the document changed or closed
+    const current = documents.get(textDocument.uri);
+    if (!diagnostics || !current || current.version !== version) {
+      connection.console.log(`Dropping stale diagnostics for ${textDocument.uri} (version ${version})`);
+      return;
     }
+
+    connection.sendDiagnostics({ uri: textDocument.uri, version, diagnostics });
+    publishedDiagnostics.set(textDocument.uri, diagnostics);
+    // The open document now reports for the file instead of the workspace check
+    workspaceDiagnosticUris.delete(textDocument.uri);
   } catch (error) {
     connection.console.log(`Error validating document: ${error}`);
+  } finally {
+    if (validationCancellations.get(textDocument.uri) === cancellation) {
+      validationCancellations.delete(textDocument.uri);
+    }
+    cancellation.dispose();
   }
 }
 
-connection.onDidChangeWatchedFiles(_change => {
-  // Monitored files have change in VSCode
-  connection.console.log('We received a file change event');
-});
+/**
+ * Checks the text of a Volta file with the C++ compiler and the local `#[doc]` checks,
+ * capped at the configured number of problems. Returns null when the run was cancelled.
+ */
+async function computeDiagnostics(
+  uri: string,
+  text: string,
+  maxNumberOfProblems: number,
+  token: CancellationToken
+): Promise<Diagnostic[] | null> {
+  // #[doc] blocks and imports are checked locally, with or without the compiler
+  const filePath = uriToFilePath(uri);
+  const docDiagnostics = [
+    ...checkImports(text, filePath, filePath ? getModuleSearchRoots(filePath) : [], getModuleExports),
+    ...checkDocComments(text)
+  ];
 
-// Hover handler - show symbol information on hover
-connection.onHover(async (params) => {
-  if (!voltaCompilerPath) {
-    return null;
+  // Check if compiler is available
+  const compilerPath = getCompilerPath(uri);
+  if (!compilerPath) {
+    connection.console.log('Compiler not available, only checking doc comments and imports');
+    return docDiagnostics.slice(0, maxNumberOfProblems);
   }
 
-  const document = documents.get(params.textDocument.uri);
-  if (!document) {
+  // Call the Volta compiler, with the flags from the folder's project file
+  const result = await runVoltaCompiler(compilerPath, text, uri, {
+    token,
+    relatedInformation: hasDiagnosticRelatedInformationCapability,
+    compilerFlags: filePath ? getFolderConfig(filePath)?.compilerFlags : undefined
+  });
+  if (result.cancelled) {
     return null;
   }
 
-  // Convert URI to file path
-  const filePath = params.textDocument.uri.replace('file://', '');
+  if (result.success) {
+    connection.console.log(`✓ Document validated successfully: ${uri}`);
+  } else {
+    connection.console.log(`✗ Document has ${result.diagnostics.length} error(s): ${uri}`);
+  }
+  return [...result.diagnostics, ...docDiagnostics].slice(0, maxNumberOfProblems);
+}
 
-  // LSP uses 0-indexed lines, compiler uses 1-indexed
-  const line = params.position.line + 1;
-  const column = params.position.character;
+/**
+ * Brings every diagnostic up to date after the compiler or the settings changed
+ */
+function revalidateAll(): void {
+  if (hasPullDiagnosticsCapability) {
+    diagnosticResultIds.invalidateAll();
+    diagnosticReports.clear();
+    refreshDiagnostics();
+    return;
+  }
+  documents.all().forEach(validateTextDocument);
+  checkWorkspace();
+}
 
-  connection.console.log(`Hover request at ${filePath}:${line}:${column}`);
+/**
+ * Asks a client that pulls diagnostics to pull them again
+ */
+function refreshDiagnostics(): void {
+  if (hasDiagnosticRefreshCapability) {
+    connection.languages.diagnostics.refresh();
+  }
+}
 
-  try {
-    const symbolInfo = await getSymbolInfoFromCompiler(
-      voltaCompilerPath,
-      filePath,
-      line,
-      column
-    );
+/**
+ * Every `.vlt` file in the workspace folders that their project files do not exclude
+ */
+function listWorkspaceFiles(): string[] {
+  return workspaceFolders
+    .map(folder => uriToFilePath(folder.uri))
+    .filter((folderPath): folderPath is string => !!folderPath)
+    .flatMap(folderPath => findVoltaFiles(folderPath, folderConfigs.get(folderPath)?.isExcluded));
+}
 
-    if (symbolInfo.success && symbolInfo.result) {
-      const info = symbolInfo.result;
+/**
+ * Restarts the check of every workspace file that is not open
+ */
+function checkWorkspace(): void {
+  for (const check of workspaceChecks) {
+    check.cancel();
+  }
+  const files = listWorkspaceFiles();
+  // Files excluded or removed since the last check lose the diagnostics it pushed
+  const uris = new Set(files.map(filePathToUri));
+  for (const uri of workspaceDiagnosticUris) {
+    if (!uris.has(uri) && !documents.get(uri)) {
+      connection.sendDiagnostics({ uri, diagnostics: [] });
+      workspaceDiagnosticUris.delete(uri);
+    }
+  }
+  checkWorkspaceFiles(files);
+}
 
-      // Format as markdown
-      let markdown = `**${info.name}**: \`${info.type}\`\n\n`;
-      markdown += `\`\`\`volta\n${info.signature}\n\`\`\``;
+/**
+ * Checks files that are not open and pushes their diagnostics, a few at a time. Used when
+ * `volta.diagnostics.scope` is `workspace` and the client does not pull diagnostics.
+ */
+async function checkWorkspaceFiles(filePaths: string[]): Promise<void> {
+  if (hasPullDiagnosticsCapability || diagnosticsScope !== 'workspace') {
+    return;
+  }
 
-      // Add documentation if present
-      if (info.documentation) {
-        markdown += `\n\n${info.documentation}`;
-      }
+  const files = filePaths.filter(filePath => {
+    const uri = filePathToUri(filePath);
+    return !documents.get(uri) && !isExcludedFile(filePath) && !!getCompilerPath(uri);
+  });
+  if (files.length === 0) {
+    return;
+  }
 
-      // Add parameter documentation if present
-      if (info.parameters && info.parameters.length > 0) {
-        const paramsWithDocs = info.parameters.filter(p => p.documentation);
-        if (paramsWithDocs.length > 0) {
-          markdown += `\n\n**Parameters:**\n`;
-          for (const param of paramsWithDocs) {
-            markdown += `- \`${param.name}\`: ${param.documentation}\n`;
-          }
-        }
+  connection.console.log(`Checking ${files.length} workspace file(s)`);
+  const cancellation = new CancellationTokenSource();
+  workspaceChecks.add(cancellation);
+  try {
+    await runWithPool(files, workspaceCheckLimit, async filePath => {
+      const uri = filePathToUri(filePath);
+      let text: string;
+      try {
+        text = await fs.promises.readFile(filePath, 'utf8');
+      } catch {
+        return;
       }
-
-      // Add return documentation if present
+      const diagnostics = await computeDiagnostics(uri, text, workspaceMaxProblems, cancellation.token);
+      // The file may have been opened, or the scope changed, while it was checked
+      if (diagnostics && !documents.get(uri) && diagnosticsScope === 'workspace') {
+        connection.sendDiagnostics({ uri, diagnostics });
+        workspaceDiagnosticUris.add(uri);
+      }
+    }, cancellation.token);
+  } catch (error) {
+    connection.console.log(`Error checking workspace files: ${error}`);
+  } finally {
+    workspaceChecks.delete(cancellation);
+    cancellation.dispose();
+  }
+}
+
+/**
+ * Stops the workspace checks and removes the diagnostics they pushed
+ */
+function clearWorkspaceDiagnostics(): void {
+  for (const check of workspaceChecks) {
+    check.cancel();
+  }
+  for (const uri of workspaceDiagnosticUris) {
+    connection.sendDiagnostics({ uri, diagnostics: [] });
+  }
+  workspaceDiagnosticUris.clear();
+}
+
+// Pull diagnostics for an open document; an unchanged result ID skips the compiler
+connection.languages.diagnostics.on(async (params, token): Promise<DocumentDiagnosticReport> => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return { kind: DocumentDiagnosticReportKind.Full, items: [] };
+  }
+
+  // After edits, wait for typing to pause like pushed diagnostics do; the first pull is answered right away
+  const uri = document.uri;
+  if (params.previousResultId !== undefined && validationTimers.has(uri)) {
+    await waitForValidationTimer(uri);
+  }
+  const current = documents.get(uri);
+  if (!current) {
+    return { kind: DocumentDiagnosticReportKind.Full, items: [] };
+  }
+  if (token.isCancellationRequested) {
+    throw new ResponseError(LSPErrorCodes.ServerCancelled, 'Diagnostics were cancelled', { retriggerRequest: true });
+  }
+
+  const resultId = diagnosticResultIds.forText(uri, current.getText());
+  if (resultId === params.previousResultId) {
+    return { kind: DocumentDiagnosticReportKind.Unchanged, resultId };
+  }
+
+  const report = await getDiagnosticReport(current, resultId);
+  if (!report) {
+    throw new ResponseError(LSPErrorCodes.ServerCancelled, 'Diagnostics were cancelled', { retriggerRequest: true });
+  }
+
+  publishedDiagnostics.set(uri, report.diagnostics);
+  return { kind: DocumentDiagnosticReportKind.Full, resultId, items: report.diagnostics };
+});
+
+/**
+ * The pulled diagnostics of an open document: the last result when its text is unchanged,
+ * the check already running for that text, or a new check that cancels any older one.
+ * A pull cancelled by the client leaves the check running for the pull that replaces it.
+ */
+function getDiagnosticReport(
+  document: TextDocument,
+  resultId: string
+): Promise<{ resultId: string; diagnostics: Diagnostic[] } | null> {
+  const uri = document.uri;
+  const cached = diagnosticReports.get(uri);
+  if (cached && cached.resultId === resultId) {
+    return Promise.resolve(cached);
+  }
+  const running = runningReports.get(uri);
+  if (running && running.resultId === resultId) {
+    return running.report;
+  }
+
+  validationCancellations.get(uri)?.cancel();
+  const cancellation = new CancellationTokenSource();
+  validationCancellations.set(uri, cancellation);
+  const text = document.getText();
+
+  const report = (async () => {
+    try {
+      const settings = await getDocumentSettings(uri);
+      const diagnostics = await computeDiagnostics(uri, text, settings.maxNumberOfProblems, cancellation.token);
+      if (!diagnostics) {
+        return null;
+      }
+      const computed = { resultId, diagnostics };
+      diagnosticReports.set(uri, computed);
+      return computed;
+    } finally {
+      if (runningReports.get(uri)?.resultId === resultId) {
+        runningReports.delete(uri);
+      }
+      if (validationCancellations.get(uri) === cancellation) {
+        validationCancellations.delete(uri);
+      }
+      cancellation.dispose();
+    }
+  })();
+  runningReports.set(uri, { resultId, report });
+  return report;
+}
+
+// Pull diagnostics for the files that are not open, when `volta.diagnostics.scope` is `workspace`
+connection.languages.diagnostics.onWorkspace(async (params, token): Promise<WorkspaceDiagnosticReport> => {
+  const previousResultIds = new Map(params.previousResultIds.map(previous => [previous.uri, previous.value]));
+  const items: WorkspaceDocumentDiagnosticReport[] = [];
+  const reported = new Set<string>();
+
+  const files = diagnosticsScope === 'workspace'
+    ? listWorkspaceFiles().filter(filePath => !!getCompilerPath(filePathToUri(filePath)))
+    : [];
+  await runWithPool(files, workspaceCheckLimit, async filePath => {
+    const uri = filePathToUri(filePath);
+    const resultId = diagnosticResultIds.forFile(uri, filePath);
+    // Open documents are pulled on their own
+    if (!resultId || documents.get(uri)) {
+      return;
+    }
+    reported.add(uri);
+
+    if (resultId === previousResultIds.get(uri)) {
+      items.push({ kind: DocumentDiagnosticReportKind.Unchanged, uri, version: null, resultId });
+      return;
+    }
+
+    let report = diagnosticReports.get(uri);
+    if (!report || report.resultId !== resultId) {
+      let text: string;
+      try {
+        text = await fs.promises.readFile(filePath, 'utf8');
+      } catch {
+        return;
+      }
+      const diagnostics = await computeDiagnostics(uri, text, workspaceMaxProblems, token);
+      if (!diagnostics) {
+        return;
+      }
+      report = { resultId, diagnostics };
+      diagnosticReports.set(uri, report);
+    }
+    items.push({ kind: DocumentDiagnosticReportKind.Full, uri, version: null, resultId, items: report.diagnostics });
+  }, token);
+
+  // Files that were deleted, or are no longer checked, lose their diagnostics
+  for (const uri of previousResultIds.keys()) {
+    if (!reported.has(uri) && !documents.get(uri)) {
+      items.push({ kind: DocumentDiagnosticReportKind.Full, uri, version: null, items: [] });
+      diagnosticReports.delete(uri);
+    }
+  }
+
+  return { items };
+});
+
+connection.onDidChangeWatchedFiles(change => {
+  // Monitored files have change in VSCode
+  connection.console.log('We received a file change event');
+
+  const changedFiles: string[] = [];
+  for (const event of change.changes) {
+    const filePath = uriToFilePath(event.uri);
+    // Temp copies of open documents are written and deleted by the server itself
+    if (!filePath || isTemporaryCopy(filePath)) {
+      continue;
+    }
+    // A workspace folder's project file changes the settings of the whole folder
+    if (path.basename(filePath) === PROJECT_FILE_NAME) {
+      if (workspaceFolders.some(folder => uriToFilePath(folder.uri) === path.dirname(filePath))) {
+        queueProjectResolution();
+      }
+      continue;
+    }
+    changedFiles.push(filePath);
+
+    if (event.type === FileChangeType.Deleted) {
+      importGraph.removeFile(filePath);
+      diagnosticReports.delete(event.uri);
+      workspaceDiagnosticUris.delete(event.uri);
+      // Nothing is left to report problems about, unless the file is still open
+      if (!documents.get(event.uri)) {
+        connection.sendDiagnostics({ uri: event.uri, diagnostics: [] });
+        publishedDiagnostics.delete(event.uri);
+      }
+    } else {
+      importGraph.updateFile(filePath, documents.get(event.uri)?.getText());
+    }
+
+    const index = getWorkspaceIndexForFile(filePath);
+    if (!index) {
+      continue;
+    }
+    const compilerPath = getCompilerPath(event.uri);
+    if (event.type === FileChangeType.Deleted) {
+      index.removeFile(filePath);
+    } else if (compilerPath) {
+      index.updateFile(compilerPath, filePath).catch(error => {
+        connection.console.log(`Failed to re-index ${filePath}: ${error}`);
+      });
+    }
+  }
+
+  if (changedFiles.length > 0) {
+    revalidateDependents(changedFiles);
+  }
+});
+
+/**
+ * Revalidates the files that import any of the changed files, directly or transitively.
+ * With a workspace scope, changed files that are not open are checked again too.
+ */
+function revalidateDependents(filePaths: string[]): void {
+  const dependents = Array.from(new Set(filePaths.flatMap(filePath => importGraph.getDependents(filePath))));
+
+  if (hasPullDiagnosticsCapability) {
+    // Their text is unchanged, so their result IDs must change for the client to get new results
+    dependents.forEach(dependent => diagnosticResultIds.invalidate(filePathToUri(dependent)));
+    refreshDiagnostics();
+    return;
+  }
+
+  for (const dependent of dependents) {
+    const document = documents.get(filePathToUri(dependent));
+    if (document) {
+      connection.console.log(`Revalidating ${dependent}, which depends on a changed file`);
+      validateTextDocument(document);
+    }
+  }
+  checkWorkspaceFiles([...filePaths, ...dependents].filter(filePath => fs.existsSync(filePath)));
+}
+
+// Workspace symbol handler - fuzzy search over the persistent symbol index
+connection.onWorkspaceSymbol(async (params): Promise<SymbolInformation[]> => {
+  connection.console.log(`Workspace symbol request: "${params.query}"`);
+
+  const indexes = Array.from(workspaceIndexes.values());
+  await Promise.all(indexes.map(index => index.whenReady()));
+
+  const matches = indexes
+    .flatMap(index => index.search(params.query))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_WORKSPACE_SYMBOLS);
+
+  return matches.map(({ filePath, symbol }) => ({
+    name: symbol.name,
+    kind: toSymbolKind(symbol.kind, symbol.name),
+    containerName: symbol.containerName || path.basename(filePath),
+    location: {
+      uri: filePathToUri(filePath),
+      range: {
+        start: { line: symbol.line - 1, character: symbol.column },
+        end: { line: symbol.line - 1, character: symbol.column + symbol.name.length }
+      }
+    }
+  }));
+});
+
+// Hover handler - show symbol information on hover
+connection.onHover(async (params, token) => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return null;
+  }
+  const compilerPath = getCompilerPath(document.uri);
+
+  // Without the compiler, read the declaration and its #[doc] block from the source
+  if (!compilerPath) {
+    return getLocalHover(document.getText(), params.position);
+  }
+
+  const snapshot = await getDocumentSnapshot(document);
+  const filePath = snapshot.filePath;
+
+  // LSP uses 0-indexed lines, compiler uses 1-indexed
+  const line = params.position.line + 1;
+  const column = params.position.character;
+
+  connection.console.log(`Hover request at ${filePath}:${line}:${column}`);
+
+  try {
+    const symbolInfo = await getSymbolInfoFromCompiler(
+      compilerPath,
+      filePath,
+      line,
+      column,
+      { token }
+    );
+
+    if (symbolInfo.success && symbolInfo.result) {
+      const info = symbolInfo.result;
+
+      // Format as markdown
+      let markdown = `**${info.name}**: \`${info.type}\`\n\n`;
+      markdown += `\`\`\`volta\n${info.signature}\n\`\`\``;
+
+      // Add documentation if present
+      if (info.documentation) {
+        markdown += `\n\n${info.documentation}`;
+      }
+
+      // Add parameter documentation if present
+      if (info.parameters && info.parameters.length > 0) {
+        const paramsWithDocs = info.parameters.filter(p => p.documentation);
+        if (paramsWithDocs.length > 0) {
+          markdown += `\n\n**Parameters:**\n`;
+          for (const param of paramsWithDocs) {
+            markdown += `- \`${param.name}\`: ${param.documentation}\n`;
+          }
+        }
+      }
+
+      // Add return documentation if present
       if (info.returnDoc) {
         markdown += `\n\n**Returns:** ${info.returnDoc}`;
       }
@@ -309,7 +1383,11 @@ connection.onHover(async (params) => {
       };
     }
 
-    return null;
+    // The compiler could not answer, e.g. because the file does not parse yet
+    if (symbolInfo.error && symbolInfo.error.code === 'CANCELLED') {
+      return null;
+    }
+    return getLocalHover(document.getText(), params.position);
   } catch (error) {
     connection.console.log(`Hover error: ${error}`);
     return null;
@@ -317,225 +1395,992 @@ connection.onHover(async (params) => {
 });
 
 // Go to definition handler
-connection.onDefinition(async (params) => {
-  if (!voltaCompilerPath) {
-    return null;
-  }
-
+connection.onDefinition(async (params, token) => {
   const document = documents.get(params.textDocument.uri);
   if (!document) {
     return null;
   }
+  const compilerPath = getCompilerPath(document.uri);
+  if (!compilerPath) {
+    return null;
+  }
 
-  const filePath = params.textDocument.uri.replace('file://', '');
+  const snapshot = await getDocumentSnapshot(document);
+  const filePath = snapshot.filePath;
   const line = params.position.line + 1;
   const column = params.position.character;
 
   connection.console.log(`Definition request at ${filePath}:${line}:${column}`);
 
   try {
-    const symbolInfo = await getSymbolInfoFromCompiler(
-      voltaCompilerPath,
+    const definition = await getDefinitionFromCompiler(
+      compilerPath,
       filePath,
       line,
-      column
+      column,
+      { token }
     );
 
-    if (symbolInfo.success && symbolInfo.result) {
-      // For now, return the same location (definition at declaration)
-      // In the future, you could implement proper definition lookup in the compiler
-      return {
-        uri: params.textDocument.uri,
-        range: {
-          start: params.position,
-          end: params.position
-        }
-      };
+    if (!definition.success || !definition.result) {
+      connection.console.log(`No definition found: ${definition.error?.message}`);
+      return null;
     }
 
-    return null;
+    // Builtins have no source, so fetch their signature to describe them
+    let fallbackInfo;
+    if (definition.result.builtin && !definition.result.signature) {
+      fallbackInfo = await getSymbolInfoFromCompiler(compilerPath, filePath, line, column, { token });
+    }
+
+    return definitionToLocations(
+      definition,
+      reportedPath => toDocumentUri(snapshot, reportedPath),
+      hasDefinitionLinkCapability,
+      fallbackInfo
+    );
   } catch (error) {
     connection.console.log(`Definition error: ${error}`);
     return null;
   }
 });
 
-// Signature help handler - show function parameters while typing
-connection.onSignatureHelp(async (params): Promise<SignatureHelp | null> => {
-  if (!voltaCompilerPath) {
-    return null;
-  }
-
+// Go to type definition handler - jump from `p: Point` to `struct Point`
+connection.onTypeDefinition(async (params, token) => {
   const document = documents.get(params.textDocument.uri);
   if (!document) {
     return null;
   }
+  const compilerPath = getCompilerPath(document.uri);
+  if (!compilerPath) {
+    return null;
+  }
 
-  const filePath = params.textDocument.uri.replace('file://', '');
-  const text = document.getText();
-  const lines = text.split('\n');
-
-  // Get current position
-  const line = params.position.line;
+  const snapshot = await getDocumentSnapshot(document);
+  const filePath = snapshot.filePath;
+  const line = params.position.line + 1;
   const column = params.position.character;
-  const currentLine = lines[line];
-  const textBeforeCursor = currentLine.substring(0, column);
 
-  connection.console.log(`Signature help request at line ${line}, column ${column}`);
-  connection.console.log(`Text before cursor: "${textBeforeCursor}"`);
+  connection.console.log(`Type definition request at ${filePath}:${line}:${column}`);
+
+  try {
+    // First find the declaration of the symbol under the cursor
+    const declaration = await getDefinitionFromCompiler(
+      compilerPath,
+      filePath,
+      line,
+      column,
+      { token }
+    );
+
+    if (!declaration.success || !declaration.result || !declaration.result.location) {
+      return null;
+    }
+
+    const { name, kind, location } = declaration.result;
+
+    // Types are their own type definition
+    if (kind === 'struct' || kind === 'type') {
+      return definitionToLocations(
+        declaration,
+        reportedPath => toDocumentUri(snapshot, reportedPath),
+        hasDefinitionLinkCapability
+      );
+    }
+
+    // Then look up the type named in its annotation
+    const declarationFile = location.file || filePath;
+    const declarationLine = isSnapshotFile(snapshot, declarationFile)
+      ? document.getText().split('\n')[location.line - 1]
+      : readLineFromFile(declarationFile, location.line - 1);
+    if (declarationLine === undefined || declarationLine === null) {
+      return null;
+    }
+
+    const typePosition = findAnnotatedTypePosition(declarationLine, location.line, location.column, name);
+    if (!typePosition) {
+      connection.console.log(`No user-defined type annotation found for ${name}`);
+      return null;
+    }
+
+    const typeDefinition = await getDefinitionFromCompiler(
+      compilerPath,
+      declarationFile,
+      typePosition.line,
+      typePosition.column,
+      { token }
+    );
 
-  // Find the opening '(' before cursor
-  const openParenIndex = textBeforeCursor.lastIndexOf('(');
-  if (openParenIndex === -1) {
-    connection.console.log('No opening paren found');
+    return definitionToLocations(
+      typeDefinition,
+      reportedPath => toDocumentUri(snapshot, reportedPath),
+      hasDefinitionLinkCapability
+    );
+  } catch (error) {
+    connection.console.log(`Type definition error: ${error}`);
     return null;
   }
+});
 
-  // Find function name before '('
-  const beforeParen = textBeforeCursor.substring(0, openParenIndex).trim();
-  const functionNameMatch = beforeParen.match(/(\w+)$/);
-  if (!functionNameMatch) {
-    connection.console.log('No function name found');
+// Document symbol handler - feeds the outline, breadcrumbs and sticky scroll
+connection.onDocumentSymbol(async (params, token) => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return null;
+  }
+  const compilerPath = getCompilerPath(document.uri);
+  if (!compilerPath) {
     return null;
   }
 
-  const functionName = functionNameMatch[1];
-  connection.console.log(`Found function call: ${functionName}`);
+  const snapshot = await getDocumentSnapshot(document);
+  const filePath = snapshot.filePath;
+
+  connection.console.log(`Document symbol request for ${filePath}`);
 
-  // Search for function definition in the file
-  let functionDefLine = -1;
-  let functionDefColumn = -1;
-  for (let i = 0; i < lines.length; i++) {
-    const fnMatch = lines[i].match(/fn\s+(\w+)\s*\(/);
-    if (fnMatch && fnMatch[1] === functionName) {
-      functionDefLine = i + 1;  // Convert to 1-indexed
-      functionDefColumn = lines[i].indexOf('fn') + 3;  // Position at function name
-      break;
+  try {
+    const symbolList = await getDocumentSymbolsFromCompiler(compilerPath, filePath, { token });
+
+    if (!symbolList.success || !symbolList.result) {
+      connection.console.log(`Failed to get document symbols: ${symbolList.error?.message}`);
+      return null;
     }
+
+    return toDocumentSymbols(symbolList.result.symbols);
+  } catch (error) {
+    connection.console.log(`Document symbol error: ${error}`);
+    return null;
   }
+});
 
-  if (functionDefLine === -1) {
-    connection.console.log(`Function definition for ${functionName} not found`);
+// Find all references handler
+connection.onReferences(async (params, token) => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return null;
+  }
+  const compilerPath = getCompilerPath(document.uri);
+  if (!compilerPath) {
     return null;
   }
 
-  connection.console.log(`Found function definition at line ${functionDefLine}, column ${functionDefColumn}`);
+  const snapshot = await getDocumentSnapshot(document);
+  const filePath = snapshot.filePath;
+  const line = params.position.line + 1;
+  const column = params.position.character;
+
+  connection.console.log(`References request at ${filePath}:${line}:${column}`);
 
   try {
-    // Get symbol info for the function definition
-    const symbolInfo = await getSymbolInfoFromCompiler(
-      voltaCompilerPath,
-      filePath,
-      functionDefLine,
-      functionDefColumn
-    );
+    const references = await getReferencesFromCompiler(compilerPath, filePath, line, column, { token });
 
-    if (!symbolInfo.success || !symbolInfo.result || !symbolInfo.result.parameters) {
-      connection.console.log('Failed to get symbol info or no parameters');
+    if (!references.success) {
+      connection.console.log(`Failed to find references: ${references.error?.message}`);
       return null;
     }
 
-    const result = symbolInfo.result;
-
-    // Build parameter information
-    const parameters: ParameterInformation[] = (result.parameters || []).map(param => ({
-      label: param.name,
-      documentation: param.documentation || undefined
-    }));
-
-    // Build signature label
-    const paramLabels = (result.parameters || []).map(p => p.name).join(', ');
-    const signatureLabel = `${result.name}(${paramLabels})`;
+    return referencesToLocations(
+      references,
+      reportedPath => toDocumentUri(snapshot, reportedPath),
+      params.context.includeDeclaration
+    );
+  } catch (error) {
+    connection.console.log(`References error: ${error}`);
+    return null;
+  }
+});
 
-    connection.console.log(`Built signature: ${signatureLabel}`);
+// Document highlight handler - marks reads and writes of the symbol in the current file
+connection.onDocumentHighlight(async (params, token) => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return null;
+  }
+  const compilerPath = getCompilerPath(document.uri);
+  if (!compilerPath) {
+    return null;
+  }
 
-    // Create signature information
-    const signature: SignatureInformation = {
-      label: signatureLabel,
-      documentation: result.documentation || undefined,
-      parameters: parameters
-    };
+  const snapshot = await getDocumentSnapshot(document);
+  const filePath = snapshot.filePath;
+  const line = params.position.line + 1;
+  const column = params.position.character;
 
-    // Determine which parameter we're currently at
-    // Count commas before cursor
-    const textInCall = textBeforeCursor.substring(openParenIndex + 1);
-    const commaCount = (textInCall.match(/,/g) || []).length;
-    const activeParameter = Math.min(commaCount, parameters.length - 1);
+  try {
+    const references = await getReferencesFromCompiler(compilerPath, filePath, line, column, { token });
 
-    connection.console.log(`Active parameter: ${activeParameter} (comma count: ${commaCount})`);
+    if (!references.success) {
+      return null;
+    }
 
-    return {
-      signatures: [signature],
-      activeSignature: 0,
-      activeParameter: activeParameter >= 0 ? activeParameter : 0
-    };
+    return referencesToHighlights(
+      references,
+      reportedPath => isSnapshotFile(snapshot, reportedPath),
+      document.getText()
+    );
   } catch (error) {
-    connection.console.log(`Signature help error: ${error}`);
+    connection.console.log(`Document highlight error: ${error}`);
     return null;
   }
 });
 
-// This handler provides the initial list of completion items
-connection.onCompletion(
-  (_textDocumentPosition: TextDocumentPositionParams): CompletionItem[] => {
-    // Return basic keyword completions for now
+// Code action handler - quick fixes for common compiler errors
+connection.onCodeAction(async (params, token): Promise<CodeAction[]> => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return [];
+  }
+  const compilerPath = getCompilerPath(document.uri);
+
+  // Inferred declarations need their type to become `x: mut T = ...`
+  const resolveType = async (position: { line: number; character: number }) => {
+    if (!compilerPath) {
+      return undefined;
+    }
+    const snapshot = await getDocumentSnapshot(document);
+    const symbolInfo = await getSymbolInfoFromCompiler(
+      compilerPath,
+      snapshot.filePath,
+      position.line + 1,
+      position.character,
+      { token }
+    );
+    return symbolInfo.success && symbolInfo.result ? symbolInfo.result.type : undefined;
+  };
+
+  try {
+    const actions = await getQuickFixActions(
+      document,
+      params.context.diagnostics,
+      publishedDiagnostics.get(document.uri) || [],
+      resolveType,
+      params.context.only
+    );
+    const only = params.context.only;
+    const organizeImports = !only || only.some(kind => CodeActionKind.SourceOrganizeImports.startsWith(kind))
+      ? getOrganizeImportsAction(document)
+      : undefined;
     return [
-      {
-        label: 'fn',
-        kind: CompletionItemKind.Keyword,
-        data: 1
-      },
-      {
-        label: 'if',
-        kind: CompletionItemKind.Keyword,
-        data: 2
-      },
-      {
-        label: 'else',
-        kind: CompletionItemKind.Keyword,
-        data: 3
-      },
-      {
-        label: 'while',
-        kind: CompletionItemKind.Keyword,
-        data: 4
-      },
-      {
-        label: 'for',
-        kind: CompletionItemKind.Keyword,
-        data: 5
-      },
-      {
-        label: 'return',
-        kind: CompletionItemKind.Keyword,
-        data: 6
-      },
-      {
-        label: 'match',
-        kind: CompletionItemKind.Keyword,
-        data: 7
-      }
+      ...actions,
+      ...getDocCommentActions(document, params.range, params.context.diagnostics, only),
+      ...(organizeImports ? [organizeImports] : [])
     ];
+  } catch (error) {
+    connection.console.log(`Code action error: ${error}`);
+    return [];
   }
-);
+});
 
-// This handler resolves additional information for the item selected in the completion list
-connection.onCompletionResolve(
-  (item: CompletionItem): CompletionItem => {
-    if (item.data === 1) {
-      item.detail = 'Function declaration';
-      item.documentation = 'Creates a new function';
-    } else if (item.data === 2) {
-      item.detail = 'If statement';
-      item.documentation = 'Conditional execution';
-    }
-    return item;
+// Identifies the doc comment edits of a rename so the client previews them
+const DOC_TAG_ANNOTATION_ID = 'volta.rename.docTags';
+
+// Prepare rename handler - checks that the cursor is on a symbol the server can rename
+connection.onPrepareRename(async (params, token) => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return null;
+  }
+  const compilerPath = getCompilerPath(document.uri);
+  if (!compilerPath) {
+    return null;
   }
-);
 
-// Make the text document manager listen on the connection
-// for open, change and close text document events
-documents.listen(connection);
+  const wordRange = getWordRangeAtPosition(document.getText(), params.position);
+  if (!wordRange) {
+    return null;
+  }
+
+  const snapshot = await getDocumentSnapshot(document);
+  const filePath = snapshot.filePath;
+  const line = params.position.line + 1;
+  const column = params.position.character;
+
+  const references = await getReferencesFromCompiler(compilerPath, filePath, line, column, { token });
+  if (!references.success || !references.result) {
+    throw new ResponseError(ErrorCodes.InvalidRequest, 'No renameable symbol at this position.');
+  }
+  if (!references.result.definition) {
+    throw new ResponseError(ErrorCodes.InvalidRequest, `Cannot rename built-in '${references.result.symbol}'.`);
+  }
+
+  return { range: wordRange, placeholder: document.getText(wordRange) };
+});
+
+// Rename handler - renames every use across the workspace plus matching doc tags
+connection.onRenameRequest(async (params, token): Promise<WorkspaceEdit | null> => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return null;
+  }
+  const compilerPath = getCompilerPath(document.uri);
+  if (!compilerPath) {
+    return null;
+  }
+
+  const nameError = validateNewName(params.newName);
+  if (nameError) {
+    throw new ResponseError(ErrorCodes.InvalidParams, nameError);
+  }
+
+  const snapshot = await getDocumentSnapshot(document);
+  const filePath = snapshot.filePath;
+  const line = params.position.line + 1;
+  const column = params.position.character;
+
+  connection.console.log(`Rename request at ${filePath}:${line}:${column} to '${params.newName}'`);
+
+  const references = await getReferencesFromCompiler(compilerPath, filePath, line, column, { token });
+  if (!references.success || !references.result || !references.result.definition) {
+    throw new ResponseError(ErrorCodes.InvalidRequest, 'No renameable symbol at this position.');
+  }
+
+  const { symbol, kind, definition } = references.result;
+  const name = getUnqualifiedName(symbol);
+  if (name === params.newName) {
+    return null;
+  }
+
+  const definitionUri = toDocumentUri(snapshot, definition.file);
+  const definitionDocument = documents.get(definitionUri);
+  const definitionText = getDocumentText(definitionUri);
+  const definitionPath = definitionDocument
+    ? (await getDocumentSnapshot(definitionDocument)).filePath
+    : uriToFilePath(definitionUri);
+
+  if (definitionText !== null && definitionPath) {
+    const symbolList = await getDocumentSymbolsFromCompiler(compilerPath, definitionPath, { token });
+    const symbols = symbolList.success && symbolList.result ? symbolList.result.symbols : [];
+    if (findScopeCollision(symbols, definition, params.newName, definitionText)) {
+      throw new ResponseError(
+        ErrorCodes.InvalidParams,
+        `'${params.newName}' is already declared in the same scope as '${symbol}'.`
+      );
+    }
+  }
+
+  const editsByUri = buildRenameEdits(
+    references,
+    reportedPath => toDocumentUri(snapshot, reportedPath),
+    params.newName
+  );
+  // The compiler reads other files from disk, so its offsets do not fit their unsaved edits
+  const unsaved = [...editsByUri.keys()].filter(uri => uri !== document.uri && hasUnsavedChanges(uri));
+  if (unsaved.length > 0) {
+    const names = unsaved.map(uri => path.basename(uriToFilePath(uri) || uri)).join(', ');
+    throw new ResponseError(ErrorCodes.InvalidRequest, `Save ${names} before renaming '${name}'.`);
+  }
+
+  const docTagEdits = definitionText !== null
+    ? findDocTagEdits(definitionText, definition.line, kind, name, params.newName)
+    : [];
+
+  if (!hasChangeAnnotationCapability) {
+    const changes: { [uri: string]: TextEdit[] } = {};
+    for (const [uri, edits] of editsByUri) {
+      changes[uri] = edits;
+    }
+    if (docTagEdits.length > 0) {
+      changes[definitionUri] = (changes[definitionUri] || []).concat(docTagEdits);
+    }
+    return { changes };
+  }
+
+  // Doc comment edits are annotated so they show up separately in the rename preview
+  const documentChanges: TextDocumentEdit[] = [];
+  for (const [uri, edits] of editsByUri) {
+    const allEdits: TextEdit[] = edits.slice();
+    if (uri === definitionUri) {
+      allEdits.push(...docTagEdits.map(edit => ({ ...edit, annotationId: DOC_TAG_ANNOTATION_ID })));
+    }
+    documentChanges.push(TextDocumentEdit.create(
+      { uri, version: documents.get(uri)?.version ?? null },
+      allEdits
+    ));
+  }
+
+  return {
+    documentChanges,
+    changeAnnotations: {
+      [DOC_TAG_ANNOTATION_ID]: {
+        label: 'Update #[doc] tags',
+        description: `@param / @field entries naming '${name}'`,
+        needsConfirmation: true
+      }
+    }
+  };
+});
+
+/**
+ * Checks whether an open document differs from its file on disk
+ */
+function hasUnsavedChanges(uri: string): boolean {
+  const document = documents.get(uri);
+  const filePath = uriToFilePath(uri);
+  if (!document || !filePath) {
+    return false;
+  }
+  try {
+    return fs.readFileSync(filePath, 'utf8') !== document.getText();
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Returns the text of a document, preferring the open editor buffer over the file on disk
+ */
+function getDocumentText(uri: string): string | null {
+  const document = documents.get(uri);
+  if (document) {
+    return document.getText();
+  }
+
+  const filePath = uriToFilePath(uri);
+  if (!filePath) {
+    return null;
+  }
+
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+// Formatting handlers - the formatter is built in, so these work without the compiler
+connection.onDocumentFormatting((params): TextEdit[] => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return [];
+  }
+  return formatDocument(document, params.options);
+});
+
+connection.onDocumentRangeFormatting((params): TextEdit[] => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return [];
+  }
+  return formatRange(document, params.range, params.options);
+});
+
+connection.onDocumentOnTypeFormatting((params): TextEdit[] => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return [];
+  }
+  const edits = formatOnType(document, params.position, params.ch, params.options);
+  return params.ch === '\n' ? [...edits, ...closeDocBlockOnEnter(document, params.position)] : edits;
+});
+
+// Signature help handler - show function parameters while typing
+connection.onSignatureHelp(async (params, token): Promise<SignatureHelp | null> => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return null;
+  }
+  const compilerPath = getCompilerPath(document.uri);
+
+  const text = document.getText();
+  const call = findCallSite(text, params.position);
+
+  if (compilerPath) {
+    try {
+      const snapshot = await getDocumentSnapshot(document);
+      const signatureHelp = await getSignatureHelpFromCompiler(
+        compilerPath,
+        snapshot.filePath,
+        params.position.line + 1,
+        params.position.character,
+        { token }
+      );
+
+      if (signatureHelp.success && signatureHelp.result) {
+        return fromCompilerSignatureHelp(signatureHelp.result, call);
+      }
+      if (signatureHelp.error && signatureHelp.error.code === 'CANCELLED') {
+        return null;
+      }
+    } catch (error) {
+      connection.console.log(`Signature help error: ${error}`);
+    }
+  }
+
+  if (!call) {
+    return null;
+  }
+
+  return getLocalSignatureHelp(text, call, findSignaturesInOtherFiles);
+});
+
+/**
+ * Looks up a function declared in another file in the workspace symbol index
+ */
+function findSignaturesInOtherFiles(name: string): SignatureSource[] {
+  const sources: SignatureSource[] = [];
+  for (const index of workspaceIndexes.values()) {
+    for (const match of index.search(name)) {
+      if (match.symbol.name !== name || match.symbol.kind !== 'function' || !match.symbol.signature) {
+        continue;
+      }
+      const otherText = getDocumentText(filePathToUri(match.filePath));
+      sources.push({
+        signature: match.symbol.signature,
+        documentation: otherText === null ? undefined : getDocCommentText(otherText.split(/\r?\n/), match.symbol.line - 1)
+      });
+    }
+  }
+  return sources;
+}
+
+// Completion handler - suggestions depend on what is being typed at the cursor
+connection.onCompletion(async (params, token): Promise<CompletionItem[]> => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return [];
+  }
+  const compilerPath = getCompilerPath(document.uri);
+
+  // The compiler knows the type of receivers the source text alone cannot tell
+  const resolveType = async (position: { line: number; character: number }) => {
+    if (!compilerPath) {
+      return undefined;
+    }
+    const snapshot = await getDocumentSnapshot(document);
+    const symbolInfo = await getSymbolInfoFromCompiler(
+      compilerPath,
+      snapshot.filePath,
+      position.line + 1,
+      position.character,
+      { token }
+    );
+    return symbolInfo.success && symbolInfo.result ? symbolInfo.result.type : undefined;
+  };
+
+  try {
+    const filePath = uriToFilePath(document.uri);
+    return await getCompletionItems(document, params.position, {
+      snippets: hasSnippetCapability,
+      resolveType,
+      modules: () => filePath ? listModules(filePath, getModuleSearchRoots(filePath)) : []
+    });
+  } catch (error) {
+    connection.console.log(`Completion error: ${error}`);
+    return [];
+  }
+});
+
+// Completion resolve handler - adds the signature and #[doc] text of the selected item
+connection.onCompletionResolve(async (item, token): Promise<CompletionItem> => {
+  const data = item.data as CompletionData | undefined;
+  if (!data || !data.uri) {
+    return item;
+  }
+
+  const document = documents.get(data.uri);
+  const compilerPath = getCompilerPath(data.uri);
+
+  // Prefer the compiler's signature and documentation
+  const lookup = async (position: CompletionData) => {
+    if (!compilerPath || !document) {
+      return undefined;
+    }
+    const snapshot = await getDocumentSnapshot(document);
+    const symbolInfo = await getSymbolInfoFromCompiler(
+      compilerPath,
+      snapshot.filePath,
+      position.line + 1,
+      position.character,
+      { token }
+    );
+    if (!symbolInfo.success || !symbolInfo.result) {
+      return undefined;
+    }
+    const info = symbolInfo.result;
+    return {
+      signature: info.signature,
+      documentation: formatSymbolDocumentation(undefined, info.documentation, info.parameters, info.returnDoc) || undefined
+    };
+  };
+
+  try {
+    return await resolveCompletionItem(item, getDocumentText(data.uri), lookup);
+  } catch (error) {
+    connection.console.log(`Completion resolve error: ${error}`);
+    return item;
+  }
+});
+
+/**
+ * Computes the semantic tokens of a document, or returns the cached ones for an unchanged version.
+ * The compiler's symbols are used when it can parse the file; the source scan fills in the rest.
+ * A cancelled compiler query fails the request rather than caching tokens without its symbols.
+ */
+async function getSemanticTokens(document: TextDocument, token: CancellationToken): Promise<SemanticTokens> {
+  const cached = semanticTokensCache.get(document.uri);
+  if (cached && cached.version === document.version) {
+    return cached.tokens;
+  }
+
+  const version = document.version;
+  const text = document.getText();
+  const compilerPath = getCompilerPath(document.uri);
+  let symbols: CompilerDocumentSymbol[] | undefined;
+  if (compilerPath) {
+    const snapshot = await getDocumentSnapshot(document);
+    const symbolList = await getDocumentSymbolsFromCompiler(compilerPath, snapshot.filePath, { token });
+    if (symbolList.success && symbolList.result) {
+      symbols = symbolList.result.symbols;
+    } else if (symbolList.error?.code === 'CANCELLED') {
+      throw new ResponseError(LSPErrorCodes.ServerCancelled, 'Semantic tokens were cancelled', { retriggerRequest: true });
+    }
+  }
+
+  const tokens: SemanticTokens = {
+    resultId: String(++semanticTokensResultId),
+    data: computeSemanticTokens(text, symbols)
+  };
+  semanticTokensCache.set(document.uri, { version, tokens });
+  return tokens;
+}
+
+// Semantic tokens handler - classifies every identifier of the document
+connection.languages.semanticTokens.on(async (params, token): Promise<SemanticTokens> => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return { data: [] };
+  }
+
+  try {
+    return await getSemanticTokens(document, token);
+  } catch (error) {
+    if (error instanceof ResponseError) {
+      throw error;
+    }
+    connection.console.log(`Semantic tokens error: ${error}`);
+    return { data: [] };
+  }
+});
+
+// Semantic tokens delta handler - sends only what changed since the client's last result
+connection.languages.semanticTokens.onDelta(async (params, token): Promise<SemanticTokens | SemanticTokensDelta> => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return { data: [] };
+  }
+
+  const previous = semanticTokensCache.get(document.uri);
+  try {
+    const tokens = await getSemanticTokens(document, token);
+    if (!previous || previous.tokens.resultId !== params.previousResultId) {
+      return tokens;
+    }
+    return {
+      resultId: tokens.resultId,
+      edits: diffSemanticTokens(previous.tokens.data, tokens.data)
+    };
+  } catch (error) {
+    if (error instanceof ResponseError) {
+      throw error;
+    }
+    connection.console.log(`Semantic tokens error: ${error}`);
+    return { data: [] };
+  }
+});
+
+// Inlay hint handler - inferred types after `:=` bindings and parameter names at call sites
+connection.languages.inlayHint.on(async (params, token): Promise<InlayHint[]> => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return [];
+  }
+  const compilerPath = getCompilerPath(document.uri);
+
+  const settings = await getDocumentSettings(document.uri);
+  const inlayHints = { ...defaultSettings.inlayHints, ...settings.inlayHints };
+  if (!inlayHints.variableTypes && !inlayHints.parameterNames) {
+    return [];
+  }
+
+  let cached = inlayHintTypeCache.get(document.uri);
+  if (!cached || cached.version !== document.version) {
+    cached = { version: document.version, types: new Map() };
+    inlayHintTypeCache.set(document.uri, cached);
+  }
+  const types = cached.types;
+
+  // Same type the compiler reports on hover (`--lsp-info`)
+  const resolveType = async (position: { line: number; character: number }) => {
+    const key = `${position.line}:${position.character}`;
+    if (types.has(key)) {
+      return types.get(key);
+    }
+    if (!compilerPath) {
+      return undefined;
+    }
+    const snapshot = await getDocumentSnapshot(document);
+    const symbolInfo = await getSymbolInfoFromCompiler(
+      compilerPath,
+      snapshot.filePath,
+      position.line + 1,
+      position.character,
+      { token }
+    );
+    const type = symbolInfo.success && symbolInfo.result ? symbolInfo.result.type : undefined;
+    if (symbolInfo.error?.code !== 'CANCELLED') {
+      types.set(key, type);
+    }
+    return type;
+  };
+
+  try {
+    return await getInlayHints(document, params.range, {
+      settings: inlayHints,
+      resolveType,
+      otherFiles: findSignaturesInOtherFiles
+    });
+  } catch (error) {
+    connection.console.log(`Inlay hint error: ${error}`);
+    return [];
+  }
+});
+
+// Inlay hint resolve handler - links the type names of a type hint to their declarations
+connection.languages.inlayHint.resolve((hint): InlayHint => {
+  const data = hint.data as InlayHintData | undefined;
+  if (!data || !data.uri) {
+    return hint;
+  }
+
+  const findType = (name: string): Location | undefined => {
+    const text = getDocumentText(data.uri);
+    const declaration = text === null ? undefined : scanDeclarations(text).declarations.find(candidate =>
+      candidate.name === name && (candidate.kind === 'struct' || candidate.kind === 'type')
+    );
+    if (declaration) {
+      const start = { line: declaration.line, character: declaration.character };
+      return { uri: data.uri, range: { start, end: { line: start.line, character: start.character + name.length } } };
+    }
+
+    for (const index of workspaceIndexes.values()) {
+      const match = index.search(name).find(candidate =>
+        candidate.symbol.name === name && (candidate.symbol.kind === 'struct' || candidate.symbol.kind === 'type')
+      );
+      if (match) {
+        return {
+          uri: filePathToUri(match.filePath),
+          range: compilerLocationToRange({ line: match.symbol.line, column: match.symbol.column }, name.length)
+        };
+      }
+    }
+    return undefined;
+  };
+
+  return resolveInlayHint(hint, findType);
+});
+
+/**
+ * The file the compiler should read for a URI, a snapshot of its open document or the file
+ * on disk, and how to map the paths it reports back to URIs
+ */
+async function getCompilerFile(uri: string): Promise<{ filePath: string; toUri: (reportedPath?: string) => string } | null> {
+  const document = documents.get(uri);
+  if (document) {
+    const snapshot = await getDocumentSnapshot(document);
+    return { filePath: snapshot.filePath, toUri: reportedPath => toDocumentUri(snapshot, reportedPath) };
+  }
+  const filePath = uriToFilePath(uri);
+  return filePath ? { filePath, toUri: reportedPath => reportedPath ? filePathToUri(path.resolve(reportedPath)) : uri } : null;
+}
+
+/**
+ * Finds a function with `--lsp-references` at a position in a file, along with
+ * everything that refers to it, and the hierarchy item of its declaration
+ */
+async function getCallHierarchyTarget(
+  compilerPath: string,
+  uri: string,
+  position: { line: number; character: number },
+  token: CancellationToken
+): Promise<{ item: CallHierarchyItem; references: CompilerReferenceInfo; toUri: (reportedPath?: string) => string } | null> {
+  const file = await getCompilerFile(uri);
+  if (!file) {
+    return null;
+  }
+
+  const references = await getReferencesFromCompiler(compilerPath, file.filePath, position.line + 1, position.character, { token });
+  const definition = references.result?.definition;
+  if (!references.success || !references.result || !definition) {
+    return null;
+  }
+  if (references.result.kind !== 'function' && references.result.kind !== 'method') {
+    return null;
+  }
+
+  const definitionUri = file.toUri(definition.file);
+  const text = getDocumentText(definitionUri);
+  const declaration = text !== null ? findFunctionDeclaration(scanDeclarations(text), definition.line - 1) : undefined;
+  if (text === null || !declaration) {
+    return null;
+  }
+  return { item: toCallHierarchyItem(declaration, definitionUri, text.split(/\r?\n/)), references, toUri: file.toUri };
+}
+
+// Call hierarchy handler - the function or method under the cursor, found by the compiler
+connection.languages.callHierarchy.onPrepare(async (params, token): Promise<CallHierarchyItem[] | null> => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return null;
+  }
+  const compilerPath = getCompilerPath(document.uri);
+  if (!compilerPath) {
+    return null;
+  }
+
+  try {
+    const target = await getCallHierarchyTarget(compilerPath, document.uri, params.position, token);
+    return target ? [target.item] : null;
+  } catch (error) {
+    connection.console.log(`Call hierarchy error: ${error}`);
+    return null;
+  }
+});
+
+// Incoming calls - every reference to the function that calls it, or passes it to map, filter or reduce
+connection.languages.callHierarchy.onIncomingCalls(async (params, token): Promise<CallHierarchyIncomingCall[]> => {
+  const compilerPath = getCompilerPath(params.item.uri);
+  if (!compilerPath) {
+    return [];
+  }
+
+  try {
+    const target = await getCallHierarchyTarget(compilerPath, params.item.uri, params.item.selectionRange.start, token);
+    if (!target || !target.references.result) {
+      return [];
+    }
+
+    const nameLength = target.references.result.symbol.split('.').pop()!.length;
+    const outlines = new Map<string, { outline: SourceOutline; lines: string[] } | null>();
+    const calls: Call[] = [];
+    for (const reference of target.references.result.references) {
+      const uri = target.toUri(reference.file);
+      if (!outlines.has(uri)) {
+        const text = getDocumentText(uri);
+        outlines.set(uri, text === null ? null : { outline: scanDeclarations(text), lines: text.split(/\r?\n/) });
+      }
+      const source = outlines.get(uri);
+      const line = reference.line - 1;
+      const use = source ? classifyReference(source.outline.codeLines[line] || '', reference.column, nameLength) : undefined;
+      if (!source || !use) {
+        continue;
+      }
+
+      const caller = findEnclosingFunction(source.outline, line);
+      calls.push({
+        item: caller ? toCallHierarchyItem(caller, uri, source.lines) : toFileItem(uri, source.lines),
+        range: compilerLocationToRange(reference, nameLength),
+        via: use === 'call' ? undefined : use
+      });
+    }
+
+    return groupCalls(calls).map(group => ({ from: group.item, fromRanges: group.ranges }));
+  } catch (error) {
+    connection.console.log(`Incoming calls error: ${error}`);
+    return [];
+  }
+});
+
+// Outgoing calls - the functions called in the body, each resolved by the compiler
+connection.languages.callHierarchy.onOutgoingCalls(async (params, token): Promise<CallHierarchyOutgoingCall[]> => {
+  const uri = params.item.uri;
+  const compilerPath = getCompilerPath(uri);
+  const text = getDocumentText(uri);
+  if (!compilerPath || text === null) {
+    return [];
+  }
+
+  const outline = scanDeclarations(text);
+  const declaration = findFunctionDeclaration(outline, params.item.selectionRange.start.line);
+  if (!declaration) {
+    return [];
+  }
+
+  try {
+    // A plain function name means the same function at every call site, so it is looked up once
+    const targets = new Map<string, Promise<CallHierarchyItem | undefined>>();
+    const resolve = (site: CallSite) => {
+      const key = site.isMethodCall ? `${site.line}:${site.character}` : site.name;
+      let item = targets.get(key);
+      if (!item) {
+        item = getCallHierarchyTarget(compilerPath, uri, site, token).then(target => target?.item);
+        targets.set(key, item);
+      }
+      return item;
+    };
+
+    const sites = findCallSites(outline, declaration);
+    const items = await Promise.all(sites.map(resolve));
+    const calls: Call[] = [];
+    sites.forEach((site, i) => {
+      const item = items[i];
+      if (item) {
+        calls.push({
+          item,
+          range: {
+            start: { line: site.line, character: site.character },
+            end: { line: site.line, character: site.character + site.name.length }
+          },
+          via: site.via
+        });
+      }
+    });
+
+    return groupCalls(calls).map(group => ({ to: group.item, fromRanges: group.ranges }));
+  } catch (error) {
+    connection.console.log(`Outgoing calls error: ${error}`);
+    return [];
+  }
+});
+
+// Document link handler - imported modules open their file or the standard library docs
+connection.onDocumentLinks((params): DocumentLink[] => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return [];
+  }
+  const filePath = uriToFilePath(document.uri);
+  return getImportLinks(document.getText(), filePath, filePath ? getModuleSearchRoots(filePath) : [], STANDARD_LIBRARY_DOCS);
+});
+
+// Folding range handler - blocks, match arms, comments and imports
+connection.onFoldingRanges((params): FoldingRange[] => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return [];
+  }
+  return getFoldingRanges(document.getText());
+});
+
+// Selection range handler - expand selection from the expression out to the function
+connection.onSelectionRanges((params): SelectionRange[] => {
+  const document = documents.get(params.textDocument.uri);
+  if (!document) {
+    return [];
+  }
+  return getSelectionRanges(document, params.positions);
+});
+
+// Make the text document manager listen on the connection
+// for open, change and close text document events
+documents.listen(connection);
+
+// Persist the symbol indexes and stop the compiler daemon before the server exits
+connection.onShutdown(() => {
+  for (const index of workspaceIndexes.values()) {
+    index.flush();
+  }
+  stopCompilerDaemons();
+  releaseAllDocumentSnapshots();
+});
 
 // Listen on the connection
 connection.listen();
@@ -0,0 +1,289 @@
+import {
+  MarkupKind,
+  ParameterInformation,
+  Position,
+  SignatureHelp,
+  SignatureInformation
+} from 'vscode-languageserver/node';
+import { toCodeLines } from '../shared/codeLines';
+import { BUILTIN_METHODS, BUILTIN_STATIC_FUNCTIONS, GLOBAL_FUNCTIONS, MODULE_FUNCTIONS } from './builtins';
+import { CompilerSignatureHelp } from './compilerInterface';
+import {
+  SourceOutline,
+  getBaseTypeName,
+  getVariablesInScope,
+  isInCommentOrString,
+  resolveTypeAlias,
+  scanDeclarations,
+  splitTopLevel
+} from './declarations';
+import { getDocCommentText, parseDocComment } from './docComments';
+import { CORE_MODULES } from './language';
+
+/**
+ * The call the cursor is in, found by walking back over balanced brackets
+ */
+export interface CallSite {
+  /** Name of the function, e.g. `sqrt` in `math.sqrt(` */
+  callee: string;
+  /** What comes before the dot, e.g. `math` or `p` in `p.distance(` */
+  receiver?: string;
+  /** 0-indexed position of the receiver (or of the callee when there is none) */
+  calleePosition: Position;
+  /** Number of top-level commas between the `(` and the cursor */
+  activeParameter: number;
+}
+
+/**
+ * A signature found in the source text or a symbol index, e.g. `fn add(a: int, b: int) -> int`
+ */
+export interface SignatureSource {
+  signature: string;
+  /** `#[doc]` text of the declaration, if any */
+  documentation?: string;
+}
+
+// How far back to look for the opening parenthesis of a call split across lines
+const MAX_CALL_LINES = 50;
+
+// Words followed by `(` that are not calls
+const NON_CALL_KEYWORDS = new Set(['if', 'while', 'for', 'in', 'match', 'return', 'and', 'or', 'not', 'else']);
+
+/**
+ * Finds the call around a position. Strings, comments and nested brackets are skipped,
+ * so `add(square(x), "a, b", [1, 2], |` is parameter 3 of `add`.
+ */
+export function findCallSite(text: string, position: Position): CallSite | null {
+  if (isInCommentOrString(text, position)) {
+    return null;
+  }
+
+  const codeLines = toCodeLines(text);
+  let depth = 0;
+  let commas = 0;
+
+  for (let line = position.line; line >= 0 && line > position.line - MAX_CALL_LINES; line--) {
+    const code = line === position.line ? codeLines[line].substring(0, position.character) : codeLines[line];
+
+    for (let i = code.length - 1; i >= 0; i--) {
+      const char = code[i];
+      if (char === ')' || char === ']' || char === '}') {
+        depth++;
+      } else if (char === ',' && depth === 0) {
+        commas++;
+      } else if (char === '(' || char === '[' || char === '{') {
+        if (depth > 0) {
+          depth--;
+          continue;
+        }
+
+        // The cursor is inside an array or struct literal that is itself an argument
+        if (char === '[' || (char === '{' && /\b[A-Z]\w*\s*$/.test(code.substring(0, i)))) {
+          commas = 0;
+          continue;
+        }
+        // A block: the statement around the cursor is not a call
+        if (char === '{') {
+          return null;
+        }
+
+        const callee = code.substring(0, i).match(/(?:([A-Za-z_]\w*)\s*\.\s*)?([A-Za-z_]\w*)\s*(?:\[[^\]]*\])?\s*$/);
+        // `fn name(` and `fn(` declare parameters rather than pass arguments
+        if (/\bfn(?:\s+(?:[A-Za-z_]\w*\.)?[A-Za-z_]\w*)?\s*(?:\[[^\]]*\])?\s*$/.test(code.substring(0, i))) {
+          return null;
+        }
+        // `if (a, b)` and friends are not calls either
+        if (callee && NON_CALL_KEYWORDS.has(callee[2])) {
+          return null;
+        }
+        if (!callee) {
+          // A parenthesised expression, keep looking for the call around it
+          commas = 0;
+          continue;
+        }
+
+        return {
+          callee: callee[2],
+          receiver: callee[1],
+          calleePosition: { line, character: i - callee[0].length },
+          activeParameter: commas
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Converts the compiler's `--lsp-signature-help` result; the active parameter
+ * counted from the source wins over the compiler's when there is one
+ */
+export function fromCompilerSignatureHelp(
+  result: NonNullable<CompilerSignatureHelp['result']>,
+  call: CallSite | null
+): SignatureHelp | null {
+  if (!result.signatures || result.signatures.length === 0) {
+    return null;
+  }
+
+  const signatures = result.signatures.map(signature => {
+    let searchFrom = signature.signature.indexOf('(') + 1;
+    const parameters: ParameterInformation[] = signature.parameters.map(parameter => {
+      const start = signature.signature.indexOf(parameter.label, searchFrom);
+      if (start === -1) {
+        return { label: parameter.label, documentation: parameter.documentation || undefined };
+      }
+      searchFrom = start + parameter.label.length;
+      return {
+        label: [start, start + parameter.label.length] as [number, number],
+        documentation: parameter.documentation || undefined
+      };
+    });
+
+    const information: SignatureInformation = { label: signature.signature, parameters };
+    if (signature.documentation) {
+      information.documentation = { kind: MarkupKind.Markdown, value: signature.documentation };
+    }
+    return information;
+  });
+
+  const activeParameter = call ? call.activeParameter : result.activeParameter ?? 0;
+  return {
+    signatures,
+    activeSignature: call ? chooseSignature(signatures, activeParameter) : result.activeSignature ?? 0,
+    activeParameter
+  };
+}
+
+/**
+ * Builds signature help from the source text when the compiler cannot answer:
+ * functions and methods declared in the file, standard modules and built-ins,
+ * then `otherFiles` for functions declared elsewhere in the workspace
+ */
+export function getLocalSignatureHelp(
+  text: string,
+  call: CallSite,
+  otherFiles: (name: string) => SignatureSource[]
+): SignatureHelp | null {
+  const outline = scanDeclarations(text);
+  const lines = text.split(/\r?\n/);
+  let sources = findSignatures(outline, lines, call);
+  if (sources.length === 0 && !call.receiver) {
+    sources = otherFiles(call.callee);
+  }
+  if (sources.length === 0) {
+    return null;
+  }
+
+  const signatures = sources.map(toSignatureInformation);
+  return {
+    signatures,
+    activeSignature: chooseSignature(signatures, call.activeParameter),
+    activeParameter: call.activeParameter
+  };
+}
+
+/**
+ * Turns a signature string into LSP signature information, with each parameter
+ * (`x: int`) labelled by its offsets in the signature. `self` is not an argument.
+ */
+export function toSignatureInformation(source: SignatureSource): SignatureInformation {
+  const label = source.signature;
+  const doc = source.documentation !== undefined ? parseDocComment(source.documentation) : undefined;
+
+  const open = findParameterListStart(label);
+  const close = open === -1 ? -1 : findMatchingParen(label, open);
+  const parameters: ParameterInformation[] = [];
+  if (open !== -1 && close !== -1) {
+    for (const part of splitTopLevel(label.substring(open + 1, close))) {
+      const parameterText = part.text.trim();
+      const name = (parameterText.match(/^[A-Za-z_]\w*/) || [''])[0];
+      if (name === 'self') {
+        continue;
+      }
+      const start = open + 1 + part.offset + (part.text.length - part.text.trimStart().length);
+      const documentation = doc && doc.parameters.find(parameter => parameter.name === name);
+      parameters.push({
+        label: [start, start + parameterText.length],
+        documentation: documentation ? documentation.documentation : undefined
+      });
+    }
+  }
+
+  const information: SignatureInformation = { label, parameters };
+  if (doc && doc.description) {
+    information.documentation = { kind: MarkupKind.Markdown, value: doc.description };
+  } else if (source.documentation) {
+    information.documentation = source.documentation;
+  }
+  return information;
+}
+
+/**
+ * Looks up the callee among the file's declarations and the built-ins
+ */
+export function findSignatures(outline: SourceOutline, lines: string[], call: CallSite): SignatureSource[] {
+  const fromDeclarations = (owner: string | undefined) => outline.declarations
+    .filter(declaration =>
+      declaration.name === call.callee && declaration.signature &&
+      (owner === undefined ? declaration.kind === 'function' : declaration.kind === 'method' && (owner === '*' || declaration.owner === owner))
+    )
+    .map(declaration => ({ signature: declaration.signature!, documentation: getDocCommentText(lines, declaration.line) }));
+
+  const builtins = (functions: typeof GLOBAL_FUNCTIONS | undefined) => (functions || [])
+    .filter(fn => fn.name === call.callee)
+    .map(fn => ({ signature: fn.signature, documentation: fn.documentation }));
+
+  if (!call.receiver) {
+    const declared = fromDeclarations(undefined);
+    return declared.length > 0 ? declared : builtins(GLOBAL_FUNCTIONS);
+  }
+
+  if (CORE_MODULES.includes(call.receiver)) {
+    return builtins(MODULE_FUNCTIONS[call.receiver]);
+  }
+  if (outline.declarations.some(declaration => declaration.kind === 'struct' && declaration.name === call.receiver)) {
+    return fromDeclarations(call.receiver);
+  }
+  if (BUILTIN_STATIC_FUNCTIONS[call.receiver]) {
+    return builtins(BUILTIN_STATIC_FUNCTIONS[call.receiver]);
+  }
+
+  const variable = getVariablesInScope(outline, call.calleePosition).find(candidate => candidate.name === call.receiver);
+  if (variable && variable.type) {
+    const typeName = resolveTypeAlias(outline, getBaseTypeName(variable.type));
+    return BUILTIN_METHODS[typeName] ? builtins(BUILTIN_METHODS[typeName]) : fromDeclarations(typeName);
+  }
+
+  // Unknown receiver type: offer every method with that name
+  return fromDeclarations('*');
+}
+
+/**
+ * Picks the first signature with enough parameters for the active one
+ */
+export function chooseSignature(signatures: SignatureInformation[], activeParameter: number): number {
+  const index = signatures.findIndex(signature => (signature.parameters || []).length > activeParameter);
+  return index === -1 ? 0 : index;
+}
+
+/**
+ * Finds the `(` of the parameter list, after the name and any `[T]` type parameters
+ */
+function findParameterListStart(signature: string): number {
+  const header = signature.match(/^\s*(?:fn\s+)?(?:[A-Za-z_]\w*\.)?[A-Za-z_]\w*\s*(?:\[[^\]]*\])?\s*\(/);
+  return header ? header[0].length - 1 : signature.indexOf('(');
+}
+
+function findMatchingParen(text: string, open: number): number {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === '(') {
+      depth++;
+    } else if (text[i] === ')' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
@@ -0,0 +1,83 @@
+import { DocumentSymbol, Range, SymbolKind } from 'vscode-languageserver/node';
+import { CompilerDocumentSymbol } from './compilerInterface';
+import { compilerLocationToRange } from './definition';
+
+/**
+ * Maps a compiler symbol kind to the LSP symbol kind shown in the outline
+ */
+export function toSymbolKind(kind: string, name = ''): SymbolKind {
+  switch (kind) {
+    case 'function':
+      // Methods are declared as `fn Point.distance(self)`
+      return name.includes('.') ? SymbolKind.Method : SymbolKind.Function;
+    case 'method':
+      return SymbolKind.Method;
+    case 'struct':
+      return SymbolKind.Struct;
+    case 'field':
+      return SymbolKind.Field;
+    case 'type':
+      return SymbolKind.TypeParameter;
+    case 'module':
+      return SymbolKind.Module;
+    case 'parameter':
+    case 'variable':
+    default:
+      return SymbolKind.Variable;
+  }
+}
+
+/**
+ * Returns the first line of a `#[doc]` block, which is its summary
+ */
+export function getDocumentationSummary(documentation?: string): string | undefined {
+  if (!documentation) {
+    return undefined;
+  }
+  const summary = documentation.split('\n').find(line => line.trim().length > 0);
+  return summary ? summary.trim() : undefined;
+}
+
+/**
+ * Converts the `--lsp-symbols` tree to LSP document symbols.
+ * The detail holds the signature (or type) followed by the doc summary.
+ */
+export function toDocumentSymbols(symbols: CompilerDocumentSymbol[]): DocumentSymbol[] {
+  return symbols.map(symbol => {
+    const selectionRange = compilerLocationToRange(
+      { line: symbol.location.line, column: symbol.location.column },
+      symbol.name.length
+    );
+    const range = compilerLocationToRange(symbol.location, symbol.name.length);
+
+    const detailParts: string[] = [];
+    const signature = symbol.signature || symbol.type;
+    if (signature) {
+      detailParts.push(signature);
+    }
+    const summary = getDocumentationSummary(symbol.documentation);
+    if (summary) {
+      detailParts.push(summary);
+    }
+
+    return {
+      name: symbol.name,
+      detail: detailParts.length > 0 ? detailParts.join(' — ') : undefined,
+      kind: toSymbolKind(symbol.kind, symbol.name),
+      range: containsRange(range, selectionRange) ? range : selectionRange,
+      selectionRange,
+      children: symbol.children ? toDocumentSymbols(symbol.children) : undefined
+    };
+  });
+}
+
+/**
+ * Checks that `inner` lies within `outer`, as required for a symbol's selection range
+ */
+function containsRange(outer: Range, inner: Range): boolean {
+  const startsBefore = outer.start.line < inner.start.line ||
+    (outer.start.line === inner.start.line && outer.start.character <= inner.start.character);
+  const endsAfter = outer.end.line > inner.end.line ||
+    (outer.end.line === inner.end.line && outer.end.character >= inner.end.character);
+  return startsBefore && endsAfter;
+}
@@ -1,94 +1,230 @@
-import { spawn } from 'child_process';
-import { Diagnostic, DiagnosticSeverity } from 'vscode-languageserver/node';
+import { Diagnostic, DiagnosticRelatedInformation, DiagnosticSeverity, Range } from 'vscode-languageserver/node';
 import * as fs from 'fs';
 import * as path from 'path';
 import * as os from 'os';
+import { CompilerLocation } from './compilerInterface';
+import { CompilerOutput, CompilerRunOptions, runCompiler } from './compilerProcess';
+import { filePathToUri, uriToFilePath } from './documentSnapshot';
 
 export interface CompilerResult {
   diagnostics: Diagnostic[];
   success: boolean;
+  /** The run was cancelled, so the diagnostics say nothing about the document */
+  cancelled?: boolean;
 }
 
+export interface DiagnosticOptions extends CompilerRunOptions {
+  /** The client can show related locations; otherwise they are folded into the message */
+  relatedInformation?: boolean;
+  /** Extra arguments from the project file, passed before the file */
+  compilerFlags?: string[];
+}
+
+/**
+ * A diagnostic in the compiler's JSON output (`--diagnostics-format=json`)
+ */
+interface CompilerDiagnostic {
+  severity: string;
+  code?: string;
+  message: string;
+  location: CompilerLocation;
+  related?: Array<{
+    message: string;
+    location: CompilerLocation;
+  }>;
+}
+
+// Compilers that turned out not to understand `--diagnostics-format=json`
+const textOnlyCompilers = new Set<string>();
+
+// A diagnostic in the text format: `:line:col-col: severity: message`, or `:line:col: ...` for one position
+const TEXT_DIAGNOSTIC_REGEX = /:(\d+):(\d+)(?:-(\d+))?: (error|warning|info|hint|note): (.+)/;
+
+// Numbers the temp copies, so concurrent checks of one document do not share a file
+let tempFileCount = 0;
+
 /**
- * Runs the Volta compiler on a file and returns diagnostics
+ * Runs the Volta compiler on a file and returns diagnostics. A file whose text matches the
+ * disk is checked in place; other text is checked from a temp copy in the file's own
+ * directory, so `import name` resolves the same way in both cases.
  */
 export async function runVoltaCompiler(
   compilerPath: string,
   fileContent: string,
-  documentUri: string
+  documentUri: string,
+  options: DiagnosticOptions = {}
 ): Promise<CompilerResult> {
-  // Create a temporary file with the content
-  const tempFile = await createTempFile(fileContent);
+  const diskPath = uriToFilePath(documentUri);
+  const isSaved = diskPath !== null && await readFileOrNull(diskPath) === fileContent;
+  const filePath = isSaved ? diskPath : await createTempFile(fileContent, diskPath);
 
   try {
-    const diagnostics = await compileFile(compilerPath, tempFile);
+    const diagnostics = await compileFile(compilerPath, filePath, documentUri, options);
+    if (!diagnostics) {
+      return { diagnostics: [], success: false, cancelled: true };
+    }
     return {
       diagnostics,
-      success: diagnostics.length === 0
+      success: !diagnostics.some(diagnostic => diagnostic.severity === DiagnosticSeverity.Error)
     };
   } finally {
     // Clean up temp file
+    if (!isSaved) {
+      try {
+        fs.unlinkSync(filePath);
+      } catch (e) {
+        // Ignore cleanup errors
+      }
+    }
+  }
+}
+
+/**
+ * Creates a temporary .vlt file with the given content: a hidden file next to the original,
+ * named like the document snapshots so file watchers ignore it, or in the temp directory
+ * for untitled documents and read-only directories
+ */
+async function createTempFile(content: string, diskPath: string | null): Promise<string> {
+  const count = ++tempFileCount;
+  if (diskPath) {
+    const siblingFile = path.join(path.dirname(diskPath), `.~${process.pid}.${count}.${path.basename(diskPath)}`);
     try {
-      fs.unlinkSync(tempFile);
-    } catch (e) {
-      // Ignore cleanup errors
+      await fs.promises.writeFile(siblingFile, content, 'utf8');
+      return siblingFile;
+    } catch {
+      // Fall back to the temp directory; imports next to the file will not resolve
     }
   }
+
+  const tempFile = path.join(os.tmpdir(), `volta_lsp_${process.pid}_${count}.vlt`);
+  await fs.promises.writeFile(tempFile, content, 'utf8');
+  return tempFile;
+}
+
+async function readFileOrNull(filePath: string): Promise<string | null> {
+  try {
+    return await fs.promises.readFile(filePath, 'utf8');
+  } catch {
+    return null;
+  }
 }
 
 /**
- * Creates a temporary .vlt file with the given content
+ * Compiles a file and parses the output for errors.
+ * Prefers the structured JSON format and falls back to parsing stderr text.
+ * Returns null when the run was cancelled.
  */
-async function createTempFile(content: string): Promise<string> {
-  const tempDir = os.tmpdir();
-  const tempFile = path.join(tempDir, `volta_lsp_${Date.now()}_${Math.random().toString(36).substring(7)}.vlt`);
-
-  return new Promise((resolve, reject) => {
-    fs.writeFile(tempFile, content, 'utf8', (err) => {
-      if (err) reject(err);
-      else resolve(tempFile);
-    });
-  });
+async function compileFile(
+  compilerPath: string,
+  filePath: string,
+  documentUri: string,
+  options: DiagnosticOptions
+): Promise<Diagnostic[] | null> {
+  const flags = options.compilerFlags || [];
+  if (!textOnlyCompilers.has(compilerPath)) {
+    const output = await runCompiler(compilerPath, ['--no-execute', '--diagnostics-format=json', ...flags, filePath], options);
+    const failure = checkOutput(output);
+    if (failure !== undefined) {
+      return failure;
+    }
+
+    const diagnostics = parseJsonDiagnostics(output.stdout, filePath, documentUri, options);
+    if (diagnostics) {
+      return diagnostics;
+    }
+
+    // Not JSON. A clean exit or text diagnostics mean this compiler only speaks the text format;
+    // a crash says nothing about the format, so JSON is tried again on the next check.
+    if (output.exitCode === 0 || output.stderr.split('\n').some(line => TEXT_DIAGNOSTIC_REGEX.test(line))) {
+      textOnlyCompilers.add(compilerPath);
+    }
+  }
+
+  // Run the compiler with --no-execute flag
+  const output = await runCompiler(compilerPath, ['--no-execute', ...flags, filePath], options);
+  const failure = checkOutput(output);
+  if (failure !== undefined) {
+    return failure;
+  }
+
+  // Parse stderr for errors
+  return parseCompilerErrors(output.stderr, output.exitCode, documentUri, options);
 }
 
 /**
- * Compiles a file and parses the output for errors
+ * Turns a run that produced no compiler output into its result:
+ * null when cancelled, a single diagnostic when it timed out or failed to start
  */
-function compileFile(compilerPath: string, filePath: string): Promise<Diagnostic[]> {
-  return new Promise((resolve) => {
-    const diagnostics: Diagnostic[] = [];
+function checkOutput(output: CompilerOutput): Diagnostic[] | null | undefined {
+  if (output.cancelled) {
+    return null;
+  }
 
-    // Run the compiler with --no-execute flag
-    const process = spawn(compilerPath, ['--no-execute', filePath]);
+  if (output.timedOut) {
+    // Most likely an infinite loop during constant evaluation
+    return [fileDiagnostic(
+      DiagnosticSeverity.Warning,
+      'Volta compiler timed out while checking this file. Increase "volta.compilerTimeout" if it is just slow.'
+    )];
+  }
 
-    let stderr = '';
+  if (output.error) {
+    // Compiler failed to start
+    return [fileDiagnostic(DiagnosticSeverity.Error, `Failed to run Volta compiler: ${output.error}`)];
+  }
+
+  return undefined;
+}
+
+/**
+ * Parses the compiler's JSON diagnostics, or returns null if the output is not JSON.
+ * Diagnostics located in other files, such as errors in an imported module, are left out.
+ *
+ * Format: {"success": true, "result": {"diagnostics": [{"severity", "code", "message", "location", "related"}]}}
+ */
+export function parseJsonDiagnostics(
+  stdout: string,
+  filePath: string,
+  documentUri: string,
+  options: DiagnosticOptions
+): Diagnostic[] | null {
+  let parsed: { result?: { diagnostics?: CompilerDiagnostic[] } };
+  try {
+    parsed = JSON.parse(stdout);
+  } catch {
+    return null;
+  }
+  if (!parsed || !parsed.result || !Array.isArray(parsed.result.diagnostics)) {
+    return null;
+  }
 
-    process.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+  // Locations in the temp copy belong to the document itself
+  const toUri = (reportedPath?: string) =>
+    !reportedPath || path.resolve(reportedPath) === path.resolve(filePath)
+      ? documentUri
+      : filePathToUri(path.resolve(reportedPath));
 
-    process.on('close', (code) => {
-      // Parse stderr for errors
-      const errors = parseCompilerErrors(stderr);
-      diagnostics.push(...errors);
+  const ownDiagnostics = parsed.result.diagnostics.filter(compilerDiagnostic =>
+    toUri(compilerDiagnostic.location.file) === documentUri
+  );
+  return ownDiagnostics.map(compilerDiagnostic => {
+    const diagnostic: Diagnostic = {
+      severity: toSeverity(compilerDiagnostic.severity),
+      range: toRange(compilerDiagnostic.location),
+      message: compilerDiagnostic.message,
+      source: 'volta'
+    };
+    if (compilerDiagnostic.code) {
+      diagnostic.code = compilerDiagnostic.code;
+    }
 
-      resolve(diagnostics);
-    });
+    const related: DiagnosticRelatedInformation[] = (compilerDiagnostic.related || []).map(info => ({
+      location: { uri: toUri(info.location.file), range: toRange(info.location) },
+      message: info.message
+    }));
+    attachRelatedInformation(diagnostic, related, options);
 
-    process.on('error', (err) => {
-      // Compiler failed to start
-      const diagnostic: Diagnostic = {
-        severity: DiagnosticSeverity.Error,
-        range: {
-          start: { line: 0, character: 0 },
-          end: { line: 0, character: 0 }
-        },
-        message: `Failed to run Volta compiler: ${err.message}`,
-        source: 'volta'
-      };
-      diagnostics.push(diagnostic);
-      resolve(diagnostics);
-    });
+    return diagnostic;
   });
 }
 
@@ -97,44 +233,144 @@ function compileFile(compilerPath: string, filePath: string): Promise<Diagnostic
  *
  * Format: :line:col-col: error: Error message
  * Example: :2:3-4: error: Type mismatch in variable declaration Expected type: str actual: int
+ *
+ * `note:` / `hint:` lines become related information of the diagnostic before them.
+ * If the compiler failed without printing anything recognisable, its raw output is reported.
  */
-function parseCompilerErrors(stderr: string): Diagnostic[] {
+export function parseCompilerErrors(
+  stderr: string,
+  exitCode: number | null,
+  documentUri: string,
+  options: DiagnosticOptions
+): Diagnostic[] {
   const diagnostics: Diagnostic[] = [];
+  const relatedByDiagnostic = new Map<Diagnostic, DiagnosticRelatedInformation[]>();
+  const unmatched: string[] = [];
 
   // Split by lines
   const lines = stderr.split('\n');
 
-  // Regex to match error format: :line:col-col: error: message
-  // or :line:col: error: message (for single position)
-  const errorRegex = /:(\d+):(\d+)(?:-(\d+))?: (error|warning): (.+)/;
+  // A note without a position, e.g. `  note: declared here`
+  const noteRegex = /^\s*(note|hint): (.+)/;
+
+  let previous: Diagnostic | undefined;
 
   for (const line of lines) {
-    const match = line.match(errorRegex);
+    const match = line.match(TEXT_DIAGNOSTIC_REGEX);
 
     if (match) {
       const lineNum = parseInt(match[1], 10) - 1; // LSP lines are 0-indexed
       const startCol = parseInt(match[2], 10);
       const endCol = match[3] ? parseInt(match[3], 10) : startCol + 1;
       const severityStr = match[4];
-      const message = match[5];
+      const message = match[5].trim();
+      const range = {
+        start: { line: lineNum, character: startCol },
+        end: { line: lineNum, character: endCol }
+      };
 
-      const severity = severityStr === 'error'
-        ? DiagnosticSeverity.Error
-        : DiagnosticSeverity.Warning;
+      if (severityStr === 'note' && previous) {
+        relatedByDiagnostic.get(previous)!.push({ location: { uri: documentUri, range }, message });
+        continue;
+      }
 
       const diagnostic: Diagnostic = {
-        severity,
-        range: {
-          start: { line: lineNum, character: startCol },
-          end: { line: lineNum, character: endCol }
-        },
-        message: message.trim(),
+        severity: toSeverity(severityStr),
+        range,
+        message,
         source: 'volta'
       };
 
       diagnostics.push(diagnostic);
+      relatedByDiagnostic.set(diagnostic, []);
+      previous = diagnostic;
+      continue;
+    }
+
+    const note = line.match(noteRegex);
+    if (note && previous) {
+      relatedByDiagnostic.get(previous)!.push({
+        location: { uri: documentUri, range: previous.range },
+        message: note[2].trim()
+      });
+      continue;
+    }
+
+    if (line.trim()) {
+      unmatched.push(line.trim());
     }
   }
 
+  for (const [diagnostic, related] of relatedByDiagnostic) {
+    attachRelatedInformation(diagnostic, related, options);
+  }
+
+  if (diagnostics.length === 0 && exitCode !== 0 && exitCode !== null && unmatched.length > 0) {
+    diagnostics.push(fileDiagnostic(DiagnosticSeverity.Error, unmatched.join('\n')));
+  }
+
   return diagnostics;
 }
+
+/**
+ * Adds related locations to a diagnostic, or appends them to its message
+ * when the client cannot display related information
+ */
+function attachRelatedInformation(
+  diagnostic: Diagnostic,
+  related: DiagnosticRelatedInformation[],
+  options: DiagnosticOptions
+): void {
+  if (related.length === 0) {
+    return;
+  }
+  if (options.relatedInformation) {
+    diagnostic.relatedInformation = related;
+  } else {
+    diagnostic.message += related
+      .map(info => `\n${info.message} (line ${info.location.range.start.line + 1})`)
+      .join('');
+  }
+}
+
+function toSeverity(severity: string): DiagnosticSeverity {
+  switch (severity) {
+    case 'error':
+      return DiagnosticSeverity.Error;
+    case 'warning':
+      return DiagnosticSeverity.Warning;
+    case 'info':
+    case 'note':
+      return DiagnosticSeverity.Information;
+    case 'hint':
+      return DiagnosticSeverity.Hint;
+    default:
+      return DiagnosticSeverity.Error;
+  }
+}
+
+/**
+ * Converts a compiler location to a range, covering at least one character
+ */
+function toRange(location: CompilerLocation): Range {
+  const start = { line: location.line - 1, character: location.column };
+  const end = location.endLine !== undefined && location.endColumn !== undefined
+    ? { line: location.endLine - 1, character: location.endColumn }
+    : { line: start.line, character: start.character + 1 };
+  return { start, end };
+}
+
+/**
+ * A diagnostic about the whole file, shown at its first character
+ */
+function fileDiagnostic(severity: DiagnosticSeverity, message: string): Diagnostic {
+  return {
+    severity,
+    range: {
+      start: { line: 0, character: 0 },
+      end: { line: 0, character: 0 }
+    },
+    message,
+    source: 'volta'
+  };
+}
@@ -0,0 +1,69 @@
+import { createHash } from 'crypto';
+import { CancellationToken } from 'vscode-languageserver/node';
+import { getModifiedTime } from './workspaceFiles';
+
+/**
+ * The `volta.diagnostics.scope` setting
+ */
+export type DiagnosticsScope = 'openFiles' | 'workspace';
+
+/**
+ * Runs a task for every item with at most `limit` running at once.
+ * Items not yet started when the token is cancelled are skipped.
+ */
+export async function runWithPool<T>(
+  items: T[],
+  limit: number,
+  task: (item: T) => Promise<void>,
+  token?: CancellationToken
+): Promise<void> {
+  let next = 0;
+  const worker = async (): Promise<void> => {
+    while (next < items.length && !token?.isCancellationRequested) {
+      await task(items[next++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+}
+
+/**
+ * Result IDs for pull diagnostics. An ID names one state of a file: its text (or its
+ * modification time on disk), the compiler and settings it was checked with, and how
+ * often the files it imports have changed. A client sending back the current ID gets
+ * an "unchanged" report, so the file is not compiled again.
+ */
+export class DiagnosticResultIds {
+  // Bumped when the compiler or the settings change, which invalidates every result
+  private generation = 0;
+  // Bumped per file URI when a file it imports changes
+  private dependencyChanges = new Map<string, number>();
+
+  invalidateAll(): void {
+    this.generation++;
+    this.dependencyChanges.clear();
+  }
+
+  invalidate(uri: string): void {
+    this.dependencyChanges.set(uri, (this.dependencyChanges.get(uri) || 0) + 1);
+  }
+
+  /**
+   * The ID of an open document's current text
+   */
+  forText(uri: string, text: string): string {
+    const hash = createHash('sha1').update(text).digest('hex').substring(0, 16);
+    return `${this.prefix(uri)}:${hash}`;
+  }
+
+  /**
+   * The ID of a file on disk, or undefined when it no longer exists
+   */
+  forFile(uri: string, filePath: string): string | undefined {
+    const mtime = getModifiedTime(filePath);
+    return mtime === null ? undefined : `${this.prefix(uri)}:m${mtime}`;
+  }
+
+  private prefix(uri: string): string {
+    return `${this.generation}.${this.dependencyChanges.get(uri) || 0}`;
+  }
+}
@@ -0,0 +1,54 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+// Directories that never contain Volta sources worth indexing
+const IGNORED_DIRECTORIES = new Set(['node_modules', 'out', 'dist']);
+
+/**
+ * Recursively lists every `.vlt` file under a folder, skipping hidden and build directories
+ * and whatever `isExcluded` rejects
+ */
+export function findVoltaFiles(folderPath: string, isExcluded: (filePath: string) => boolean = () => false): string[] {
+  const files: string[] = [];
+  const pending = [folderPath];
+
+  while (pending.length > 0) {
+    const directory = pending.pop()!;
+    let entries: fs.Dirent[];
+    try {
+      entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) {
+        continue;
+      }
+      const fullPath = path.join(directory, entry.name);
+      if (isExcluded(fullPath)) {
+        continue;
+      }
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.has(entry.name)) {
+          pending.push(fullPath);
+        }
+      } else if (entry.isFile() && entry.name.endsWith('.vlt')) {
+        files.push(fullPath);
+      }
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Returns the modification time of a file, or null if it no longer exists
+ */
+export function getModifiedTime(filePath: string): number | null {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch {
+    return null;
+  }
+}
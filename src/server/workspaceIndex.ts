@@ -0,0 +1,313 @@
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  CompilerDocumentSymbol,
+  getDocumentSymbolsFromCompiler,
+  getWorkspaceSymbolsFromCompiler
+} from './compilerInterface';
+import { findVoltaFiles, getModifiedTime } from './workspaceFiles';
+
+// Bump when the on-disk format changes so stale caches are rebuilt
+const INDEX_FORMAT_VERSION = 1;
+
+// Wait this long after the last change before writing the index to disk
+const SAVE_DELAY_MS = 2000;
+
+export interface IndexedSymbol {
+  name: string;
+  kind: string;
+  line: number;
+  column: number;
+  containerName?: string;
+  signature?: string;
+}
+
+interface IndexedFile {
+  mtime: number;
+  symbols: IndexedSymbol[];
+}
+
+interface IndexCache {
+  version: number;
+  folder: string;
+  files: { [filePath: string]: IndexedFile };
+}
+
+export interface SymbolMatch {
+  filePath: string;
+  symbol: IndexedSymbol;
+  score: number;
+}
+
+/**
+ * Symbol index for one workspace folder.
+ *
+ * Built once with `--lsp-workspace-symbols`, kept up to date file by file with
+ * `--lsp-symbols`, and persisted to disk so it survives a server restart.
+ */
+export class WorkspaceSymbolIndex {
+  private files = new Map<string, IndexedFile>();
+  private saveTimer: NodeJS.Timeout | undefined;
+  private building: Promise<void> = Promise.resolve();
+
+  constructor(
+    readonly folderPath: string,
+    private readonly storagePath: string,
+    private readonly log: (message: string) => void,
+    // Files the folder's project file leaves out of the index
+    private readonly isExcluded: (filePath: string) => boolean = () => false
+  ) {}
+
+  /**
+   * Loads the cached index and re-indexes files that changed since it was written
+   */
+  build(compilerPath: string): Promise<void> {
+    this.building = this.building.then(() => this.doBuild(compilerPath));
+    return this.building;
+  }
+
+  /**
+   * Resolves once any in-progress build has finished
+   */
+  whenReady(): Promise<void> {
+    return this.building;
+  }
+
+  /**
+   * Re-indexes a single file after it was created or changed
+   */
+  async updateFile(compilerPath: string, filePath: string): Promise<void> {
+    const mtime = getModifiedTime(filePath);
+    if (mtime === null || this.isExcluded(filePath)) {
+      this.removeFile(filePath);
+      return;
+    }
+
+    const symbolList = await getDocumentSymbolsFromCompiler(compilerPath, filePath);
+    if (!symbolList.success || !symbolList.result) {
+      // Keep the previous symbols of a file that currently fails to parse
+      return;
+    }
+
+    this.files.set(filePath, { mtime, symbols: flattenSymbols(symbolList.result.symbols) });
+    this.scheduleSave();
+  }
+
+  /**
+   * Drops a deleted file from the index
+   */
+  removeFile(filePath: string): void {
+    if (this.files.delete(filePath)) {
+      this.scheduleSave();
+    }
+  }
+
+  /**
+   * Checks whether a file belongs to this workspace folder
+   */
+  contains(filePath: string): boolean {
+    const relative = path.relative(this.folderPath, filePath);
+    return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+
+  /**
+   * Returns the indexed symbols that fuzzy-match a query, best matches first
+   */
+  search(query: string): SymbolMatch[] {
+    const matches: SymbolMatch[] = [];
+    for (const [filePath, file] of this.files) {
+      for (const symbol of file.symbols) {
+        const score = fuzzyScore(query, symbol.name);
+        if (score !== null) {
+          matches.push({ filePath, symbol, score });
+        }
+      }
+    }
+    return matches.sort((a, b) => b.score - a.score || a.symbol.name.localeCompare(b.symbol.name));
+  }
+
+  /**
+   * Writes any pending changes to disk immediately
+   */
+  flush(): void {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = undefined;
+    }
+    this.save();
+  }
+
+  private async doBuild(compilerPath: string): Promise<void> {
+    const cached = this.load();
+    const filesOnDisk = findVoltaFiles(this.folderPath, this.isExcluded);
+
+    if (!cached) {
+      this.log(`Building symbol index for ${this.folderPath}`);
+      await this.buildFromWorkspaceQuery(compilerPath, filesOnDisk);
+      this.save();
+      return;
+    }
+
+    this.files = cached;
+    const onDisk = new Set(filesOnDisk);
+    for (const filePath of Array.from(this.files.keys())) {
+      if (!onDisk.has(filePath)) {
+        this.removeFile(filePath);
+      }
+    }
+
+    let updated = 0;
+    for (const filePath of filesOnDisk) {
+      const entry = this.files.get(filePath);
+      if (!entry || entry.mtime !== getModifiedTime(filePath)) {
+        await this.updateFile(compilerPath, filePath);
+        updated++;
+      }
+    }
+
+    this.log(`Loaded symbol index for ${this.folderPath} (${updated} file(s) re-indexed)`);
+  }
+
+  private async buildFromWorkspaceQuery(compilerPath: string, filesOnDisk: string[]): Promise<void> {
+    this.files.clear();
+    for (const filePath of filesOnDisk) {
+      this.files.set(filePath, { mtime: getModifiedTime(filePath) || 0, symbols: [] });
+    }
+
+    const symbolList = await getWorkspaceSymbolsFromCompiler(compilerPath, '', this.folderPath);
+    if (!symbolList.success || !symbolList.result) {
+      this.log(`Workspace symbol query failed, indexing files one by one: ${symbolList.error?.message}`);
+      for (const filePath of filesOnDisk) {
+        await this.updateFile(compilerPath, filePath);
+      }
+      return;
+    }
+
+    for (const symbol of symbolList.result.symbols) {
+      const filePath = path.resolve(this.folderPath, symbol.file);
+      if (this.isExcluded(filePath)) {
+        continue;
+      }
+      let entry = this.files.get(filePath);
+      if (!entry) {
+        entry = { mtime: getModifiedTime(filePath) || 0, symbols: [] };
+        this.files.set(filePath, entry);
+      }
+      entry.symbols.push({
+        name: symbol.name,
+        kind: symbol.kind,
+        line: symbol.location.line,
+        column: symbol.location.column,
+        signature: symbol.signature
+      });
+    }
+  }
+
+  private get cacheFile(): string {
+    const hash = crypto.createHash('sha1').update(this.folderPath).digest('hex');
+    return path.join(this.storagePath, 'symbol-index', `${hash}.json`);
+  }
+
+  private load(): Map<string, IndexedFile> | null {
+    try {
+      const cache: IndexCache = JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+      if (cache.version !== INDEX_FORMAT_VERSION || cache.folder !== this.folderPath) {
+        return null;
+      }
+      return new Map(Object.entries(cache.files));
+    } catch {
+      return null;
+    }
+  }
+
+  private save(): void {
+    const cache: IndexCache = {
+      version: INDEX_FORMAT_VERSION,
+      folder: this.folderPath,
+      files: Object.fromEntries(this.files)
+    };
+    try {
+      fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+      fs.writeFileSync(this.cacheFile, JSON.stringify(cache), 'utf8');
+    } catch (error) {
+      this.log(`Failed to save symbol index: ${error}`);
+    }
+  }
+
+  private scheduleSave(): void {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = undefined;
+      this.save();
+    }, SAVE_DELAY_MS);
+  }
+}
+
+/**
+ * Flattens the `--lsp-symbols` tree, recording each child's parent as its container
+ */
+function flattenSymbols(symbols: CompilerDocumentSymbol[], containerName?: string): IndexedSymbol[] {
+  const flat: IndexedSymbol[] = [];
+  for (const symbol of symbols) {
+    flat.push({
+      name: symbol.name,
+      kind: symbol.kind,
+      line: symbol.location.line,
+      column: symbol.location.column,
+      containerName,
+      signature: symbol.signature
+    });
+    if (symbol.children) {
+      flat.push(...flattenSymbols(symbol.children, symbol.name));
+    }
+  }
+  return flat;
+}
+
+/**
+ * Scores how well `candidate` matches `query` as a case-insensitive subsequence.
+ * Consecutive characters, word starts and exact case score higher; null means no match.
+ */
+export function fuzzyScore(query: string, candidate: string): number | null {
+  if (query.length === 0) {
+    return 0;
+  }
+
+  let score = 0;
+  let queryIndex = 0;
+  let previousMatch = -2;
+
+  for (let i = 0; i < candidate.length && queryIndex < query.length; i++) {
+    const queryChar = query[queryIndex];
+    const candidateChar = candidate[i];
+    if (queryChar.toLowerCase() !== candidateChar.toLowerCase()) {
+      continue;
+    }
+
+    score += 1;
+    if (queryChar === candidateChar) {
+      score += 1;
+    }
+    if (previousMatch === i - 1) {
+      score += 3;
+    }
+    const previousChar = i > 0 ? candidate[i - 1] : '';
+    if (i === 0 || previousChar === '_' || previousChar === '.' ||
+        (previousChar === previousChar.toLowerCase() && candidateChar !== candidateChar.toLowerCase())) {
+      score += 5;
+    }
+
+    previousMatch = i;
+    queryIndex++;
+  }
+
+  if (queryIndex < query.length) {
+    return null;
+  }
+
+  // Prefer shorter names when the match is otherwise equal
+  return score - candidate.length * 0.01;
+}
@@ -0,0 +1,5 @@
+/**
+ * Scheme of the read-only documents that go-to-definition opens for built-ins.
+ * The server puts the document text in the URI query and the client shows it as is.
+ */
+export const BUILTIN_SOURCE_SCHEME = 'volta-builtin';
@@ -0,0 +1,51 @@
+/**
+ * Blanks out comments and the contents of strings, keeping every column where it was.
+ * Quotes are kept so that `"..."` is still recognisable as a value.
+ */
+export function toCodeLines(text: string): string[] {
+  let inBlockComment = false;
+
+  return text.split(/\r?\n/).map(line => {
+    let code = '';
+    let i = 0;
+    while (i < line.length) {
+      if (inBlockComment) {
+        const end = line.indexOf(']#', i);
+        if (end === -1) {
+          code += ' '.repeat(line.length - i);
+          break;
+        }
+        code += ' '.repeat(end + 2 - i);
+        i = end + 2;
+        inBlockComment = false;
+        continue;
+      }
+
+      const char = line[i];
+      if (char === '"' || char === '\'') {
+        let end = i + 1;
+        while (end < line.length && line[end] !== char) {
+          end += line[end] === '\\' ? 2 : 1;
+        }
+        end = Math.min(end, line.length - 1);
+        code += char + ' '.repeat(Math.max(0, end - i - 1)) + (end > i && line[end] === char ? char : ' ');
+        i = end + 1;
+        continue;
+      }
+      if (char === '#') {
+        // `#[` opens a block comment, except for the `#[doc]` markers
+        if (line.startsWith('#[', i) && !/^#\[\/?doc\]/.test(line.substring(i))) {
+          inBlockComment = true;
+          code += '  ';
+          i += 2;
+          continue;
+        }
+        code += ' '.repeat(line.length - i);
+        break;
+      }
+      code += char;
+      i++;
+    }
+    return code;
+  });
+}
@@ -0,0 +1,137 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+const COMPILER_NAME = 'volta';
+
+// Checked after the configured path and PATH
+const COMMON_LOCATIONS = [
+  '/usr/local/bin/volta',
+  '/usr/bin/volta',
+  path.join(os.homedir(), '.local', 'bin', 'volta')
+];
+
+/**
+ * Finds the Volta compiler executable using multiple strategies.
+ * Workspace folders are used to resolve `${workspaceFolder}` and relative configured paths.
+ */
+export function findVoltaCompiler(configuredPath?: string, workspaceFolders: string[] = []): string | null {
+  // Strategy 1: User-configured path; a bare name such as `volta-dev` is looked up on PATH
+  if (configuredPath && configuredPath !== COMPILER_NAME) {
+    const candidates = isBareName(configuredPath)
+      ? findOnPath(configuredPath)
+      : expandConfiguredPath(configuredPath, workspaceFolders);
+    const found = candidates.find(isExecutable);
+    if (found) {
+      return found;
+    }
+    console.warn(`Configured Volta compiler path not found or not executable: ${configuredPath}`);
+  }
+
+  // Strategy 2: Check if 'volta' is in PATH
+  const onPath = findOnPath(COMPILER_NAME);
+  if (onPath.length > 0) {
+    return onPath[0];
+  }
+
+  // Strategy 3: Check common installation locations
+  return COMMON_LOCATIONS.find(isExecutable) || null;
+}
+
+/**
+ * Lists every Volta compiler that can be found, for the compiler picker:
+ * `bin/volta` in each workspace folder, then PATH, then the common locations
+ */
+export function findVoltaCompilerCandidates(workspaceFolders: string[] = []): string[] {
+  const candidates = [
+    ...workspaceFolders.map(folder => path.join(folder, 'bin', COMPILER_NAME)),
+    ...findOnPath(COMPILER_NAME),
+    ...COMMON_LOCATIONS
+  ].filter(isExecutable);
+  return [...new Set(candidates)];
+}
+
+/**
+ * Turns a configured path into the absolute paths it may refer to. `~` is the home
+ * directory; `${workspaceFolder}`, `${workspaceFolder:name}` and relative paths give
+ * one candidate per workspace folder.
+ */
+export function expandConfiguredPath(configuredPath: string, workspaceFolders: string[]): string[] {
+  const expanded = configuredPath
+    .replace(/^~(?=$|[\\/])/, os.homedir())
+    .replace(/\$\{env:([^}]+)\}/g, (_, name: string) => process.env[name] || '');
+
+  if (!/\$\{workspaceFolder(?::[^}]*)?\}/.test(expanded)) {
+    return path.isAbsolute(expanded)
+      ? [expanded]
+      : workspaceFolders.map(folder => path.resolve(folder, expanded));
+  }
+
+  const candidates: string[] = [];
+  for (const folder of workspaceFolders) {
+    let matches = true;
+    const candidate = expanded.replace(/\$\{workspaceFolder(?::([^}]*))?\}/g, (_, name?: string) => {
+      if (!name) {
+        return folder;
+      }
+      const named = workspaceFolders.find(other => path.basename(other) === name);
+      matches = matches && !!named;
+      return named || '';
+    });
+    if (matches) {
+      candidates.push(path.resolve(folder, candidate));
+    }
+  }
+  return [...new Set(candidates)];
+}
+
+/**
+ * Searches the directories on PATH for an executable, honouring PATHEXT on Windows
+ */
+function findOnPath(name: string): string[] {
+  const extensions = process.platform === 'win32'
+    ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';').filter(Boolean)]
+    : [''];
+  const directories = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+
+  const found: string[] = [];
+  for (const directory of directories) {
+    for (const extension of extensions) {
+      const candidate = path.join(directory, name + extension);
+      if (isExecutable(candidate)) {
+        found.push(candidate);
+      }
+    }
+  }
+  return found;
+}
+
+function isBareName(configuredPath: string): boolean {
+  return !/[\\/]/.test(configuredPath) && !configuredPath.includes('${') && configuredPath !== '~';
+}
+
+/**
+ * Checks if a path is a file that can be executed
+ */
+function isExecutable(filePath: string): boolean {
+  try {
+    fs.accessSync(filePath, fs.constants.X_OK);
+    return fs.statSync(filePath).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Gets a helpful error message when compiler is not found
+ */
+export function getCompilerNotFoundMessage(): string {
+  return `Volta compiler not found. Please:
+1. Install Volta compiler and ensure it's in your PATH, or
+2. Set "volta.compilerPath" in your VSCode settings to point to the Volta executable.
+
+Example settings.json:
+{
+  "volta.compilerPath": "\${workspaceFolder}/bin/volta"
+}`;
+}
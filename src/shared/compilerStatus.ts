@@ -0,0 +1,18 @@
+/**
+ * Sent by the server whenever it resolves the compilers, once per workspace folder
+ * and once for files outside every folder, for the status bar item
+ */
+export const COMPILER_STATUS_NOTIFICATION = 'volta/compilerStatus';
+
+export interface CompilerStatus {
+    /** The resolved compiler, or null when none was found */
+    path: string | null;
+    /** What `--version` reported, e.g. `0.4.1` */
+    version?: string;
+    /** `--lsp-*` commands the compiler does not understand; the features behind them are off */
+    unsupportedCommands: string[];
+    /** Set when the compiler is older than `volta.minimumCompilerVersion` */
+    outdated?: boolean;
+    /** The workspace folder using this compiler; absent for files outside every folder */
+    folderUri?: string;
+}
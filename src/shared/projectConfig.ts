@@ -0,0 +1,125 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+// The project file read from the root of each workspace folder
+export const PROJECT_FILE_NAME = 'volta.json';
+
+/**
+ * The contents of a `volta.json` project file. Every field is optional; a field that is
+ * present takes precedence over the matching `volta.*` setting for that folder.
+ */
+export interface ProjectConfig {
+  /** The compiler for this folder, like `volta.compilerPath`; relative paths start at the folder */
+  compilerPath?: string;
+  /** Directories searched for `import name`, like `volta.moduleSearchPaths` */
+  moduleSearchPaths?: string[];
+  /** Passed to the compiler before the file when checking or running it */
+  compilerFlags?: string[];
+  /** Globs, relative to the folder, of files left out of workspace diagnostics, symbols and tasks */
+  exclude?: string[];
+}
+
+export interface ProjectFile {
+  config: ProjectConfig;
+  /** Why the file was ignored in part or whole; undefined when it is valid or missing */
+  error?: string;
+}
+
+/**
+ * Reads the project file of a workspace folder. A missing file is an empty project; fields
+ * of the wrong type are dropped and reported in `error`.
+ */
+export function readProjectFile(folderPath: string): ProjectFile {
+  const filePath = getProjectFilePath(folderPath);
+  let text: string;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return { config: {} };
+  }
+
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { config: {}, error: `${filePath} is not valid JSON: ${error instanceof Error ? error.message : error}` };
+  }
+  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+    return { config: {}, error: `${filePath} must contain a JSON object` };
+  }
+
+  const fields = parsed as Record<string, unknown>;
+  const config: ProjectConfig = {};
+  const invalid: string[] = [];
+  if (typeof fields.compilerPath === 'string') {
+    config.compilerPath = fields.compilerPath;
+  } else if (fields.compilerPath !== undefined) {
+    invalid.push('"compilerPath" must be a string');
+  }
+  for (const key of ['moduleSearchPaths', 'compilerFlags', 'exclude'] as const) {
+    const value = fields[key];
+    if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+      config[key] = value;
+    } else if (value !== undefined) {
+      invalid.push(`"${key}" must be an array of strings`);
+    }
+  }
+
+  return invalid.length > 0
+    ? { config, error: `${filePath}: ${invalid.join(', ')}` }
+    : { config };
+}
+
+export function getProjectFilePath(folderPath: string): string {
+  return path.join(folderPath, PROJECT_FILE_NAME);
+}
+
+/**
+ * Builds a test for the `exclude` globs of a folder. `*` and `?` stay within one path
+ * segment, `**` spans segments, and a pattern without a `/` matches a file or directory
+ * of that name at any depth. Everything inside an excluded directory is excluded.
+ */
+export function createExcludeMatcher(folderPath: string, patterns: string[]): (filePath: string) => boolean {
+  if (patterns.length === 0) {
+    return () => false;
+  }
+
+  const expressions = patterns.map(pattern => {
+    const trimmed = pattern.trim().replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+    const anywhere = !trimmed.includes('/');
+    return new RegExp(`^${anywhere ? '(?:.*/)?' : ''}${globToRegExp(trimmed.replace(/^\//, ''))}(?:/.*)?$`);
+  });
+
+  return filePath => {
+    const relative = path.relative(folderPath, filePath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      return false;
+    }
+    const normalized = relative.split(path.sep).join('/');
+    return expressions.some(expression => expression.test(normalized));
+  };
+}
+
+function globToRegExp(glob: string): string {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` may also match no directory at all
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return source;
+}
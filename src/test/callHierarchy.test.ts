@@ -0,0 +1,100 @@
+import * as assert from 'assert';
+import { describe, it } from 'node:test';
+import { SymbolKind } from 'vscode-languageserver/node';
+import {
+  Call,
+  classifyReference,
+  findCallSites,
+  findFunctionDeclaration,
+  groupCalls,
+  toCallHierarchyItem,
+  toFileItem
+} from '../server/callHierarchy';
+import { scanDeclarations } from '../server/declarations';
+
+const SOURCE = [
+  'fn double(x: int) -> int {',
+  '    return x * 2',
+  '}',
+  '',
+  'fn Point.norm(self) -> float {',
+  '    return sqrt(self.dot(self))',
+  '}',
+  '',
+  'fn process(xs: Array[int]) -> int {',
+  '    ys := xs.map(double).filter(Point.isOrigin)',
+  '    if (len(ys) > 0) {',
+  '        log("double(x)") # double(y)',
+  '    }',
+  '    return ys.reduce(add, 0)',
+  '}'
+].join('\n');
+
+describe('classifyReference', () => {
+  it('tells direct calls from functions passed to map, filter and reduce', () => {
+    assert.strictEqual(classifyReference('y := double(2)', 5, 6), 'call');
+    assert.strictEqual(classifyReference('y := xs.map(double)', 12, 6), 'map');
+    assert.strictEqual(classifyReference('y := xs.reduce(Math.add, 0)', 20, 3), 'reduce');
+    assert.strictEqual(classifyReference('f := double', 5, 6), undefined);
+  });
+});
+
+describe('findCallSites', () => {
+  const outline = scanDeclarations(SOURCE);
+
+  it('finds calls and indirect calls, skipping keywords, strings and comments', () => {
+    const process = findFunctionDeclaration(outline, 8);
+    assert.ok(process);
+    const sites = findCallSites(outline, process).map(site => [site.name, site.line, site.via, site.isMethodCall]);
+    assert.deepStrictEqual(sites, [
+      ['map', 9, undefined, true],
+      ['double', 9, 'map', false],
+      ['filter', 9, undefined, true],
+      ['isOrigin', 9, 'filter', true],
+      ['len', 10, undefined, false],
+      ['log', 11, undefined, false],
+      ['reduce', 13, undefined, true],
+      ['add', 13, 'reduce', false]
+    ]);
+  });
+
+  it('does not count the declared name as a call', () => {
+    const norm = findFunctionDeclaration(outline, 4);
+    assert.ok(norm);
+    assert.deepStrictEqual(findCallSites(outline, norm).map(site => site.name), ['sqrt', 'dot']);
+  });
+});
+
+describe('toCallHierarchyItem', () => {
+  it('spans the whole body and selects the name', () => {
+    const outline = scanDeclarations(SOURCE);
+    const norm = findFunctionDeclaration(outline, 4);
+    assert.ok(norm);
+    const item = toCallHierarchyItem(norm, 'file:///a.vlt', SOURCE.split('\n'));
+
+    assert.strictEqual(item.name, 'Point.norm');
+    assert.strictEqual(item.kind, SymbolKind.Method);
+    assert.deepStrictEqual(item.range, { start: { line: 4, character: 0 }, end: { line: 6, character: 1 } });
+    assert.deepStrictEqual(item.selectionRange, { start: { line: 4, character: 9 }, end: { line: 4, character: 13 } });
+  });
+});
+
+describe('groupCalls', () => {
+  it('merges calls to the same function and keeps indirect calls apart', () => {
+    const file = toFileItem('file:///dir/main.vlt', ['x := 1']);
+    const range = (line: number) => ({ start: { line, character: 0 }, end: { line, character: 1 } });
+    const calls: Call[] = [
+      { item: file, range: range(1) },
+      { item: file, range: range(2), via: 'map' },
+      { item: file, range: range(3) },
+      { item: file, range: range(4), via: 'reduce' }
+    ];
+
+    const groups = groupCalls(calls);
+    assert.deepStrictEqual(groups.map(group => [group.item.detail, group.ranges.map(r => r.start.line)]), [
+      ['top level', [1, 3]],
+      ['indirect via .map(), .reduce()', [2, 4]]
+    ]);
+    assert.strictEqual(groups[0].item.name, 'main.vlt');
+  });
+});
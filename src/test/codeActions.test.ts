@@ -0,0 +1,77 @@
+import * as assert from 'assert';
+import { describe, it } from 'node:test';
+import { CodeAction, CodeActionKind, Diagnostic } from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { FIX_ALL_KIND, getQuickFixActions } from '../server/codeActions';
+
+function diagnostic(line: number, start: number, end: number, message: string, code?: string): Diagnostic {
+  return { range: { start: { line, character: start }, end: { line, character: end } }, message, code };
+}
+
+async function fixes(text: string, diagnostics: Diagnostic[], only?: string[]): Promise<CodeAction[]> {
+  const document = TextDocument.create('file:///a.vlt', 'volta', 1, text);
+  return getQuickFixActions(document, diagnostics, diagnostics, async () => undefined, only);
+}
+
+function apply(text: string, action: CodeAction): string {
+  const document = TextDocument.create('file:///a.vlt', 'volta', 1, text);
+  return TextDocument.applyEdits(document, action.edit?.changes?.[document.uri] || []);
+}
+
+describe('getQuickFixActions', () => {
+  it('adds mut to the declaration of an assigned variable', async () => {
+    const text = 'x: int = 0\nx = 1\n';
+    const [action] = await fixes(text, [diagnostic(1, 0, 1, 'cannot assign to immutable variable \'x\'', 'E0301')]);
+    assert.strictEqual(action.title, 'Make \'x\' mutable');
+    assert.strictEqual(apply(text, action), 'x: mut int = 0\nx = 1\n');
+  });
+
+  it('spells out the inferred type of a `:=` binding to add mut', async () => {
+    const text = 'x := 1.5\nx = 2.0\n';
+    const [action] = await fixes(text, [diagnostic(1, 0, 1, 'assignment to immutable x', 'E0301')]);
+    assert.strictEqual(apply(text, action), 'x: mut float = 1.5\nx = 2.0\n');
+  });
+
+  it('wraps values in Some and converts numbers, also from the message alone', async () => {
+    const text = 'a: Option[int] = 1\nb: float = n\n';
+    const actions = await fixes(text, [
+      diagnostic(0, 17, 18, 'expected Option[int], found int'),
+      diagnostic(1, 11, 12, 'expected type: float, found: int', 'E0304')
+    ]);
+    assert.deepStrictEqual(actions.map(action => action.title), ['Wrap in `Some(...)`', 'Convert to `float` with `float(...)`']);
+    assert.strictEqual(apply(text, actions[0]), 'a: Option[int] = Some(1)\nb: float = n\n');
+    assert.strictEqual(apply(text, actions[1]), 'a: Option[int] = 1\nb: float = float(n)\n');
+  });
+
+  it('adds an import only for E0303 and an exact module name', async () => {
+    const text = '# header\n\ny := math.sqrt(2.0)\n';
+    const [action] = await fixes(text, [diagnostic(2, 5, 9, '\'math\' is not imported', 'E0303')]);
+    assert.strictEqual(apply(text, action), '# header\nimport math\n\ny := math.sqrt(2.0)\n');
+
+    assert.deepStrictEqual(await fixes(text, [diagnostic(2, 5, 9, '\'math\' is not imported')]), []);
+    assert.deepStrictEqual(await fixes(text, [diagnostic(2, 0, 1, 'unknown name in array bounds', 'E0303')]), []);
+    assert.deepStrictEqual(await fixes(text, [diagnostic(2, 0, 1, '\'mathx\' is not imported', 'E0303')]), []);
+  });
+
+  it('offers a fix all in file for several diagnostics of one kind', async () => {
+    const text = 'y := math.pi\nz := io.read()\n';
+    const actions = await fixes(text, [
+      diagnostic(0, 5, 9, '\'math\' is not imported', 'E0303'),
+      diagnostic(1, 5, 7, '\'io\' is not imported', 'E0303')
+    ]);
+    const fixAll = actions.find(action => action.title === 'Add all missing imports in file');
+    assert.ok(fixAll);
+    assert.strictEqual(apply(text, fixAll), 'import math\nimport io\n\ny := math.pi\nz := io.read()\n');
+  });
+
+  it('leaves removing unused variables out of source.fixAll', async () => {
+    const text = 'x: int = 0\nunused := 1\nx = 1\n';
+    const diagnostics = [
+      diagnostic(2, 0, 1, 'cannot assign to immutable variable x', 'E0301'),
+      diagnostic(1, 0, 6, 'unused variable \'unused\'', 'W0101')
+    ];
+    const [action] = await fixes(text, diagnostics, [CodeActionKind.SourceFixAll]);
+    assert.strictEqual(action.kind, FIX_ALL_KIND);
+    assert.strictEqual(apply(text, action), 'x: mut int = 0\nunused := 1\nx = 1\n');
+  });
+});
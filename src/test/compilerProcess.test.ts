@@ -0,0 +1,94 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import {
+  configureCompilerProcesses,
+  runCompiler,
+  setCompilerProcessLogger,
+  stopCompilerDaemons
+} from '../server/compilerProcess';
+
+// A daemon that hangs for good on `loop`, answers `slow` late and everything else at once
+const DAEMON_SCRIPT = `
+const fs = require('fs');
+fs.appendFileSync(process.argv[1] + '.log', 'start ' + process.argv[2] + '\\n');
+if (process.argv[2] !== '--lsp-daemon') {
+  process.stdout.write('spawned ' + process.argv[2]);
+  process.exit(0);
+}
+console.log(JSON.stringify({ daemon: 'volta', protocol: 1 }));
+let stuck = false;
+let buffer = '';
+process.stdin.on('data', data => {
+  buffer += data;
+  let newline;
+  while ((newline = buffer.indexOf('\\n')) !== -1) {
+    const request = JSON.parse(buffer.substring(0, newline));
+    buffer = buffer.substring(newline + 1);
+    if (stuck || request.cancel) {
+      continue;
+    }
+    if (request.args[0] === 'loop') {
+      stuck = true;
+      continue;
+    }
+    const answer = () => console.log(JSON.stringify({ id: request.id, stdout: 'ran ' + request.args[0], stderr: '', exitCode: 0 }));
+    if (request.args[0] === 'slow') {
+      setTimeout(answer, 600);
+    } else {
+      answer();
+    }
+  }
+});
+`;
+
+describe('compiler daemon', () => {
+  let folder: string;
+  const messages: string[] = [];
+
+  before(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'volta-daemon-'));
+    setCompilerProcessLogger(message => messages.push(message));
+    configureCompilerProcesses({ timeoutMs: 300, maxProcesses: 2 });
+  });
+
+  after(() => {
+    stopCompilerDaemons();
+    configureCompilerProcesses({ timeoutMs: 10000, maxProcesses: 4 });
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  function stubDaemon(name: string): { compilerPath: string; starts: () => string[] } {
+    const compilerPath = path.join(folder, name);
+    fs.writeFileSync(compilerPath, '#!/usr/bin/env node\n' + DAEMON_SCRIPT, { mode: 0o755 });
+    return { compilerPath, starts: () => fs.readFileSync(`${compilerPath}.log`, 'utf8').trim().split('\n') };
+  }
+
+  it('runs requests in one long-lived process', async () => {
+    const daemon = stubDaemon('answering');
+    assert.strictEqual((await runCompiler(daemon.compilerPath, ['a'])).stdout, 'ran a');
+    assert.strictEqual((await runCompiler(daemon.compilerPath, ['b'])).stdout, 'ran b');
+    assert.deepStrictEqual(daemon.starts(), ['start --lsp-daemon']);
+  });
+
+  it('restarts a daemon that answers nothing after a timed-out request is cancelled', async () => {
+    const daemon = stubDaemon('stuck');
+    assert.ok((await runCompiler(daemon.compilerPath, ['loop'])).timedOut);
+
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    assert.strictEqual((await runCompiler(daemon.compilerPath, ['after'])).stdout, 'ran after');
+    assert.deepStrictEqual(daemon.starts(), ['start --lsp-daemon', 'start --lsp-daemon']);
+    assert.ok(messages.some(message => message.includes('stopped responding (timed out: loop)')));
+  });
+
+  it('keeps a daemon that is only slow', async () => {
+    const daemon = stubDaemon('slow');
+    assert.ok((await runCompiler(daemon.compilerPath, ['slow'])).timedOut);
+
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    assert.strictEqual((await runCompiler(daemon.compilerPath, ['after'])).stdout, 'ran after');
+    assert.deepStrictEqual(daemon.starts(), ['start --lsp-daemon']);
+  });
+});
@@ -0,0 +1,51 @@
+import * as assert from 'assert';
+import { describe, it } from 'node:test';
+import { CompletionItem, CompletionItemKind, InsertTextFormat } from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { CompletionOptions, getCompletionItems } from '../server/completion';
+
+const options: CompletionOptions = {
+  snippets: true,
+  resolveType: async () => undefined,
+  modules: () => [{ name: 'shapes', filePath: '/workspace/shapes.vlt' }]
+};
+
+async function complete(text: string, line: number, character: number): Promise<CompletionItem[]> {
+  const document = TextDocument.create('file:///a.vlt', 'volta', 1, text);
+  return getCompletionItems(document, { line, character }, options);
+}
+
+const labels = (items: CompletionItem[]) => items.map(item => item.label);
+
+describe('getCompletionItems', () => {
+  it('offers modules not yet imported after import, workspace modules first', async () => {
+    const items = await complete('import math\nimport ', 1, 7);
+    assert.ok(!labels(items).includes('math'));
+    const shapes = items.find(item => item.label === 'shapes');
+    assert.strictEqual(shapes?.detail, '/workspace/shapes.vlt');
+    assert.strictEqual(shapes?.sortText, '0shapes');
+  });
+
+  it('lists module functions after a module name', async () => {
+    const items = await complete('import math\ny := math.', 1, 10);
+    assert.ok(labels(items).includes('sqrt'));
+    assert.ok(items.every(item => item.kind === CompletionItemKind.Function));
+  });
+
+  it('lists the fields and methods of a declared struct', async () => {
+    const text = 'struct Point {\n    x: float\n}\nfn Point.norm(self) -> float {\n    return self.x\n}\np: Point = Point { x: 1.0 }\ny := p.';
+    assert.deepStrictEqual(labels(await complete(text, 7, 7)).sort(), ['norm', 'x']);
+  });
+
+  it('offers nothing after a number or in a comment', async () => {
+    assert.deepStrictEqual(await complete('y := 1.', 0, 7), []);
+    assert.deepStrictEqual(await complete('# p.', 0, 4), []);
+  });
+
+  it('inserts calls as snippets with parameter placeholders', async () => {
+    const text = 'fn add(a: int, b: int) -> int {\n    return a + b\n}\ny := ad';
+    const add = (await complete(text, 3, 7)).find(item => item.label === 'add');
+    assert.strictEqual(add?.insertTextFormat, InsertTextFormat.Snippet);
+    assert.strictEqual(add?.insertText, 'add(${1:a}, ${2:b})');
+  });
+});
@@ -0,0 +1,57 @@
+import * as assert from 'assert';
+import { describe, it } from 'node:test';
+import { Location, LocationLink } from 'vscode-languageserver/node';
+import { BUILTIN_SOURCE_SCHEME } from '../shared/builtinSource';
+import { CompilerDefinitionInfo } from '../server/compilerInterface';
+import { definitionToLocations, findAnnotatedTypePosition } from '../server/definition';
+
+const toUri = (reportedPath?: string) => `file://${reportedPath}`;
+
+describe('definitionToLocations', () => {
+  const definition: CompilerDefinitionInfo = {
+    success: true,
+    result: {
+      name: 'area',
+      kind: 'function',
+      location: { file: '/shapes.vlt', line: 3, column: 3, endLine: 5, endColumn: 1 }
+    }
+  };
+
+  it('peeks the whole declaration and selects the name with link support', () => {
+    const [link] = definitionToLocations(definition, toUri, true) as LocationLink[];
+    assert.strictEqual(link.targetUri, 'file:///shapes.vlt');
+    assert.deepStrictEqual(link.targetRange, { start: { line: 2, character: 3 }, end: { line: 4, character: 1 } });
+    assert.deepStrictEqual(link.targetSelectionRange, { start: { line: 2, character: 3 }, end: { line: 2, character: 7 } });
+  });
+
+  it('returns a plain location without link support, and nothing for a failed lookup', () => {
+    const [location] = definitionToLocations(definition, toUri, false) as Location[];
+    assert.deepStrictEqual(location.range, { start: { line: 2, character: 3 }, end: { line: 4, character: 1 } });
+    assert.strictEqual(definitionToLocations({ success: false }, toUri, true), null);
+  });
+
+  it('describes a builtin in a read-only virtual document', () => {
+    const builtin: CompilerDefinitionInfo = {
+      success: true,
+      result: { name: 'len', kind: 'function', builtin: true, documentation: 'Length of an array.' }
+    };
+    const fallback = { success: true, result: { name: 'len', kind: 'function', type: 'fn', signature: 'fn len(a: Array[T]) -> int' } };
+    const [location] = definitionToLocations(builtin, toUri, true, fallback) as Location[];
+
+    const [scheme, rest] = location.uri.split(':/');
+    const [fileName, query] = rest.split('?');
+    assert.strictEqual(scheme, BUILTIN_SOURCE_SCHEME);
+    assert.strictEqual(fileName, 'len.vlt');
+    const lines = decodeURIComponent(query).split('\n');
+    assert.deepStrictEqual(lines.slice(2, 5), ['#[doc]', '# Length of an array.', '#[/doc]']);
+    assert.strictEqual(lines[location.range.start.line], 'fn len(a: Array[T]) -> int');
+  });
+});
+
+describe('findAnnotatedTypePosition', () => {
+  it('finds the first user-defined type in an annotation', () => {
+    assert.deepStrictEqual(findAnnotatedTypePosition('points: Array[Point] = []', 4, 0, 'points'), { line: 4, column: 14 });
+    assert.strictEqual(findAnnotatedTypePosition('n: mut int = 0', 1, 0, 'n'), null);
+    assert.strictEqual(findAnnotatedTypePosition('n := 0', 1, 0, 'n'), null);
+  });
+});
@@ -0,0 +1,67 @@
+import * as assert from 'assert';
+import { describe, it } from 'node:test';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { formatDocument, formatOnType, formatRange } from '../server/formatter';
+
+const options = { tabSize: 4, insertSpaces: true };
+
+function format(text: string): string {
+  const document = TextDocument.create('file:///test.vlt', 'volta', 1, text);
+  const edits = formatDocument(document, options);
+  return edits.length > 0 ? TextDocument.applyEdits(document, edits) : text;
+}
+
+describe('formatDocument', () => {
+  it('indents blocks and spaces operators', () => {
+    assert.strictEqual(
+      format('fn add(a:int,b:int)->int{\nreturn a+b\n}\n'),
+      'fn add(a: int, b: int) -> int {\n    return a + b\n}\n'
+    );
+  });
+
+  it('returns no edit for formatted text', () => {
+    const document = TextDocument.create('file:///test.vlt', 'volta', 1, 'x := 1\n');
+    assert.deepStrictEqual(formatDocument(document, options), []);
+  });
+
+  it('keeps unary minus, slices and generics tight', () => {
+    assert.strictEqual(format('y := - 1\nz := xs[1 : 3]\nn: Array [int] = []\n'), 'y := -1\nz := xs[1:3]\nn: Array[int] = []\n');
+  });
+
+  it('indents method chains and match arms', () => {
+    assert.strictEqual(
+      format('r := xs\n.map(f)\nm := match x {\n0 =>\n"zero",\n_ => "other"\n}\n'),
+      'r := xs\n    .map(f)\nm := match x {\n    0 =>\n        "zero",\n    _ => "other"\n}\n'
+    );
+  });
+
+  it('keeps comments and string contents as written', () => {
+    assert.strictEqual(format('x := "a+b"   # keep  this\n'), 'x := "a+b"   # keep  this\n');
+  });
+
+  it('keeps the line endings of the document', () => {
+    assert.strictEqual(format('x:=1\r\n'), 'x := 1\r\n');
+  });
+});
+
+describe('formatRange', () => {
+  it('only edits the lines in the range', () => {
+    const document = TextDocument.create('file:///test.vlt', 'volta', 1, 'a:=1\nb:=2\nc:=3\n');
+    const edits = formatRange(document, { start: { line: 1, character: 0 }, end: { line: 1, character: 3 } }, options);
+    assert.strictEqual(TextDocument.applyEdits(document, edits), 'a:=1\nb := 2\nc:=3\n');
+  });
+});
+
+describe('formatOnType', () => {
+  it('re-indents a typed closing brace', () => {
+    const document = TextDocument.create('file:///test.vlt', 'volta', 1, 'if x {\n    y()\n    }');
+    const edits = formatOnType(document, { line: 2, character: 5 }, '}', options);
+    assert.strictEqual(TextDocument.applyEdits(document, edits), 'if x {\n    y()\n}');
+  });
+
+  it('tidies the line finished with Enter', () => {
+    const document = TextDocument.create('file:///test.vlt', 'volta', 1, 'x:=1+2\n');
+    const edits = formatOnType(document, { line: 1, character: 0 }, '\n', options);
+    assert.strictEqual(TextDocument.applyEdits(document, edits), 'x := 1 + 2\n');
+  });
+});
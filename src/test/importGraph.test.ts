@@ -0,0 +1,53 @@
+import * as assert from 'assert';
+import * as path from 'path';
+import { describe, it } from 'node:test';
+import { ImportGraph } from '../server/importGraph';
+
+const root = path.resolve('/workspace');
+const file = (name: string) => path.join(root, name);
+
+describe('ImportGraph', () => {
+  it('finds direct and transitive dependents, nearest first', () => {
+    const graph = new ImportGraph(() => []);
+    graph.updateFile(file('main.vlt'), 'import shapes\n');
+    graph.updateFile(file('shapes.vlt'), 'import geometry\n');
+    graph.updateFile(file('geometry.vlt'), 'x := 1\n');
+
+    assert.deepStrictEqual(graph.getDependents(file('geometry.vlt')), [file('shapes.vlt'), file('main.vlt')]);
+    assert.deepStrictEqual(graph.getDependents(file('main.vlt')), []);
+  });
+
+  it('stops at import cycles', () => {
+    const graph = new ImportGraph(() => []);
+    graph.updateFile(file('a.vlt'), 'import b\n');
+    graph.updateFile(file('b.vlt'), 'import a\n');
+
+    assert.deepStrictEqual(graph.getDependents(file('a.vlt')), [file('b.vlt')]);
+  });
+
+  it('ignores standard library modules', () => {
+    const graph = new ImportGraph(() => []);
+    graph.updateFile(file('main.vlt'), 'import math\n');
+
+    assert.deepStrictEqual(graph.getDependents(file('math.vlt')), []);
+  });
+
+  it('connects modules in the search roots, including ones created later', () => {
+    const lib = path.join(root, 'lib');
+    const graph = new ImportGraph(() => [lib]);
+    graph.updateFile(file('main.vlt'), 'import vectors\n');
+
+    assert.deepStrictEqual(graph.getDependents(path.join(lib, 'vectors.vlt')), [file('main.vlt')]);
+    assert.deepStrictEqual(graph.getDependents(file('vectors.vlt')), [file('main.vlt')]);
+  });
+
+  it('forgets the imports of a removed or edited file', () => {
+    const graph = new ImportGraph(() => []);
+    graph.updateFile(file('main.vlt'), 'import shapes\n');
+    graph.updateFile(file('main.vlt'), 'import geometry\n');
+    assert.deepStrictEqual(graph.getDependents(file('shapes.vlt')), []);
+
+    graph.removeFile(file('main.vlt'));
+    assert.deepStrictEqual(graph.getDependents(file('geometry.vlt')), []);
+  });
+});
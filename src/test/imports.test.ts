@@ -0,0 +1,80 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import {
+  UNRESOLVED_IMPORT,
+  UNUSED_IMPORT,
+  checkImports,
+  getOrganizeImportsAction,
+  getTopLevelNames,
+  listModules,
+  resolveModule
+} from '../server/imports';
+
+describe('imports', () => {
+  let folder: string;
+  let lib: string;
+
+  before(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'volta-imports-'));
+    lib = path.join(folder, 'lib');
+    fs.mkdirSync(lib);
+    fs.writeFileSync(path.join(folder, 'shapes.vlt'), 'fn area() -> float = 1.0\n');
+    fs.writeFileSync(path.join(lib, 'vectors.vlt'), 'struct Vec {\n    x: float\n}\n');
+    fs.writeFileSync(path.join(lib, 'not-a-module.vlt'), '');
+  });
+
+  after(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  it('resolves modules next to the file first, then in the search roots', () => {
+    const main = path.join(folder, 'main.vlt');
+    assert.strictEqual(resolveModule('shapes', main, [lib]), path.join(folder, 'shapes.vlt'));
+    assert.strictEqual(resolveModule('vectors', main, [lib]), path.join(lib, 'vectors.vlt'));
+    assert.strictEqual(resolveModule('vectors', main, []), undefined);
+  });
+
+  it('lists the importable modules, without the file itself', () => {
+    const names = listModules(path.join(folder, 'shapes.vlt'), [lib]).map(module => module.name);
+    assert.deepStrictEqual(names, ['vectors']);
+  });
+
+  it('reports unresolved, unused and duplicate imports', () => {
+    const text = 'import math\nimport shapes\nimport missing\nimport shapes\nx := area()\n';
+    const exports = (modulePath: string) => getTopLevelNames(fs.readFileSync(modulePath, 'utf8'));
+    const diagnostics = checkImports(text, path.join(folder, 'main.vlt'), [lib], exports);
+
+    assert.deepStrictEqual(
+      diagnostics.map(diagnostic => [diagnostic.range.start.line, diagnostic.code, diagnostic.message]),
+      [
+        [0, UNUSED_IMPORT, '\'math\' is imported but never used'],
+        [2, UNRESOLVED_IMPORT, 'Cannot find module \'missing\''],
+        [3, UNUSED_IMPORT, '\'shapes\' is already imported']
+      ]
+    );
+  });
+
+  it('only checks standard library imports of unsaved documents', () => {
+    const diagnostics = checkImports('import missing\nimport math\ny := math.sqrt(2.0)\n', null, [], () => []);
+    assert.deepStrictEqual(diagnostics, []);
+  });
+});
+
+describe('getOrganizeImportsAction', () => {
+  it('sorts imports with the standard library first and drops duplicates', () => {
+    const document = TextDocument.create('file:///main.vlt', 'volta', 1, 'import shapes\nimport math\n\nimport array\nimport shapes\nx := 1\n');
+    const action = getOrganizeImportsAction(document);
+    const edits = action?.edit?.changes?.[document.uri] || [];
+
+    assert.strictEqual(TextDocument.applyEdits(document, edits), 'import array\nimport math\nimport shapes\n\nx := 1\n');
+  });
+
+  it('offers nothing when the imports are already in order', () => {
+    const document = TextDocument.create('file:///main.vlt', 'volta', 1, 'import math\nimport shapes\n');
+    assert.strictEqual(getOrganizeImportsAction(document), undefined);
+  });
+});
@@ -0,0 +1,70 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { createExcludeMatcher, getProjectFilePath, readProjectFile } from '../shared/projectConfig';
+
+describe('readProjectFile', () => {
+  let folder: string;
+
+  beforeEach(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'volta-project-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  it('treats a missing file as an empty project', () => {
+    assert.deepStrictEqual(readProjectFile(folder), { config: {} });
+  });
+
+  it('reads every field', () => {
+    const config = { compilerPath: 'bin/volta', moduleSearchPaths: ['lib'], compilerFlags: ['-O'], exclude: ['gen/**'] };
+    fs.writeFileSync(getProjectFilePath(folder), JSON.stringify(config));
+    assert.deepStrictEqual(readProjectFile(folder), { config });
+  });
+
+  it('drops fields of the wrong type and reports them', () => {
+    fs.writeFileSync(getProjectFilePath(folder), '{"compilerPath": 1, "exclude": "gen", "compilerFlags": ["-O"]}');
+    const project = readProjectFile(folder);
+    assert.deepStrictEqual(project.config, { compilerFlags: ['-O'] });
+    assert.match(project.error || '', /"compilerPath" must be a string, "exclude" must be an array of strings$/);
+  });
+
+  it('reports invalid JSON and values that are not objects', () => {
+    fs.writeFileSync(getProjectFilePath(folder), '{');
+    assert.match(readProjectFile(folder).error || '', /is not valid JSON/);
+
+    fs.writeFileSync(getProjectFilePath(folder), '[]');
+    assert.match(readProjectFile(folder).error || '', /must contain a JSON object$/);
+  });
+});
+
+describe('createExcludeMatcher', () => {
+  const folder = path.resolve('/workspace');
+  const file = (relative: string) => path.join(folder, ...relative.split('/'));
+
+  it('matches a bare name at any depth, with everything inside it', () => {
+    const isExcluded = createExcludeMatcher(folder, ['build']);
+    assert.strictEqual(isExcluded(file('build/a.vlt')), true);
+    assert.strictEqual(isExcluded(file('src/build/b.vlt')), true);
+    assert.strictEqual(isExcluded(file('builder/c.vlt')), false);
+  });
+
+  it('keeps * within one segment and lets ** span segments', () => {
+    const isExcluded = createExcludeMatcher(folder, ['gen/*.vlt', 'vendor/**/test_*.vlt']);
+    assert.strictEqual(isExcluded(file('gen/a.vlt')), true);
+    assert.strictEqual(isExcluded(file('gen/sub/a.vlt')), false);
+    assert.strictEqual(isExcluded(file('vendor/test_a.vlt')), true);
+    assert.strictEqual(isExcluded(file('vendor/x/y/test_b.vlt')), true);
+    assert.strictEqual(isExcluded(file('vendor/x/b.vlt')), false);
+  });
+
+  it('ignores files outside the folder', () => {
+    const isExcluded = createExcludeMatcher(folder, ['**']);
+    assert.strictEqual(isExcluded(path.resolve('/elsewhere/a.vlt')), false);
+    assert.strictEqual(isExcluded(file('a.vlt')), true);
+  });
+});
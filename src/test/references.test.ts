@@ -0,0 +1,75 @@
+import * as assert from 'assert';
+import { describe, it } from 'node:test';
+import { DocumentHighlightKind } from 'vscode-languageserver/node';
+import { CompilerReferenceInfo } from '../server/compilerInterface';
+import { getUnqualifiedName, referencesToHighlights, referencesToLocations } from '../server/references';
+
+const TEXT = [
+  'fn Point.distance(self) -> float {',
+  '    return 0.0',
+  '}',
+  'p.distance()',
+  'x: mut int = 0',
+  'x = 1',
+  'x += 2',
+  'y := x == 3'
+].join('\n');
+
+function references(symbol: string, definition: [number, number], uses: Array<[number, number]>): CompilerReferenceInfo {
+  return {
+    success: true,
+    result: {
+      symbol,
+      kind: 'variable',
+      definition: { file: '/a.vlt', line: definition[0], column: definition[1] },
+      references: uses.map(([line, column]) => ({ file: '/a.vlt', line, column }))
+    }
+  };
+}
+
+const kinds = (highlights: ReturnType<typeof referencesToHighlights>) =>
+  highlights.map(highlight => [highlight.range.start.line, highlight.range.end.character - highlight.range.start.character, highlight.kind]);
+
+describe('referencesToHighlights', () => {
+  it('marks assignments as writes and comparisons as reads', () => {
+    const highlights = referencesToHighlights(references('x', [5, 0], [[6, 0], [7, 0], [8, 5]]), () => true, TEXT);
+    assert.deepStrictEqual(kinds(highlights), [
+      [4, 1, DocumentHighlightKind.Text],
+      [5, 1, DocumentHighlightKind.Write],
+      [6, 1, DocumentHighlightKind.Write],
+      [7, 1, DocumentHighlightKind.Read]
+    ]);
+  });
+
+  it('spans the identifier at each use when the symbol is qualified', () => {
+    const highlights = referencesToHighlights(references('Point.distance', [1, 9], [[4, 2]]), () => true, TEXT);
+    assert.deepStrictEqual(kinds(highlights), [
+      [0, 8, DocumentHighlightKind.Text],
+      [3, 8, DocumentHighlightKind.Read]
+    ]);
+  });
+
+  it('classifies a field write through a qualified symbol', () => {
+    const highlights = referencesToHighlights(references('Point.x', [1, 0], [[2, 2]]), () => true, 'p := q\np.x = 1\n');
+    assert.deepStrictEqual(highlights[1].kind, DocumentHighlightKind.Write);
+  });
+
+  it('leaves out uses in other files', () => {
+    const info = references('x', [5, 0], [[6, 0]]);
+    const highlights = referencesToHighlights(info, reportedPath => reportedPath !== '/a.vlt', TEXT);
+    assert.deepStrictEqual(highlights, []);
+  });
+});
+
+describe('referencesToLocations', () => {
+  it('uses the unqualified name length and includes the declaration on request', () => {
+    const info = references('Point.distance', [1, 9], [[4, 2]]);
+    const toUri = (reportedPath?: string) => `file://${reportedPath}`;
+    const ranges = (includeDeclaration: boolean) => referencesToLocations(info, toUri, includeDeclaration)
+      .map(location => [location.uri, location.range.start.line, location.range.end.character]);
+
+    assert.deepStrictEqual(ranges(true), [['file:///a.vlt', 0, 17], ['file:///a.vlt', 3, 10]]);
+    assert.deepStrictEqual(ranges(false), [['file:///a.vlt', 3, 10]]);
+    assert.strictEqual(getUnqualifiedName('x'), 'x');
+  });
+});
@@ -0,0 +1,110 @@
+import * as assert from 'assert';
+import { describe, it } from 'node:test';
+import { CompilerDocumentSymbol, CompilerReferenceInfo } from '../server/compilerInterface';
+import { buildRenameEdits, findScopeCollision, validateNewName } from '../server/rename';
+
+const toUri = (reportedPath?: string) => `file://${reportedPath}`;
+
+describe('buildRenameEdits', () => {
+  it('groups edits per file and drops a definition also listed as a reference', () => {
+    const references: CompilerReferenceInfo = {
+      success: true,
+      result: {
+        symbol: 'total',
+        kind: 'variable',
+        definition: { file: '/a.vlt', line: 1, column: 0 },
+        references: [
+          { file: '/a.vlt', line: 1, column: 0 },
+          { file: '/a.vlt', line: 3, column: 4 },
+          { file: '/b.vlt', line: 2, column: 7 }
+        ]
+      }
+    };
+    const edits = buildRenameEdits(references, toUri, 'sum');
+
+    assert.deepStrictEqual([...edits.keys()], ['file:///a.vlt', 'file:///b.vlt']);
+    assert.deepStrictEqual(edits.get('file:///a.vlt')?.map(edit => [edit.range.start, edit.range.end, edit.newText]), [
+      [{ line: 0, character: 0 }, { line: 0, character: 5 }, 'sum'],
+      [{ line: 2, character: 4 }, { line: 2, character: 9 }, 'sum']
+    ]);
+  });
+
+  it('replaces only the method name of a qualified symbol', () => {
+    const references: CompilerReferenceInfo = {
+      success: true,
+      result: {
+        symbol: 'Point.distance',
+        kind: 'method',
+        definition: { file: '/a.vlt', line: 1, column: 9 },
+        references: [{ file: '/a.vlt', line: 5, column: 2 }]
+      }
+    };
+    const ranges = buildRenameEdits(references, toUri, 'length').get('file:///a.vlt')?.map(edit => edit.range);
+
+    assert.deepStrictEqual(ranges, [
+      { start: { line: 4, character: 2 }, end: { line: 4, character: 10 } },
+      { start: { line: 0, character: 9 }, end: { line: 0, character: 17 } }
+    ]);
+  });
+
+  it('returns nothing for a failed lookup', () => {
+    assert.strictEqual(buildRenameEdits({ success: false }, toUri, 'x').size, 0);
+  });
+});
+
+describe('findScopeCollision', () => {
+  const text = [
+    'struct Point {',
+    '    x: float',
+    '}',
+    'fn scale(p: Point, by: float) -> Point {',
+    '    result := Point { x: p.x * by }',
+    '    if (by > 1.0) {',
+    '        inner := 1',
+    '    }',
+    '    total := 0',
+    '    return result',
+    '}',
+    'fn other(count: int) -> int {',
+    '    return count',
+    '}'
+  ].join('\n');
+  const symbols: CompilerDocumentSymbol[] = [
+    {
+      name: 'Point',
+      kind: 'struct',
+      location: { line: 1, column: 7, endLine: 3, endColumn: 1 },
+      children: [{ name: 'x', kind: 'field', location: { line: 2, column: 4 } }]
+    },
+    { name: 'scale', kind: 'function', location: { line: 4, column: 3, endLine: 11, endColumn: 1 } },
+    { name: 'other', kind: 'function', location: { line: 12, column: 3, endLine: 14, endColumn: 1 } }
+  ];
+  // `result` on line 5
+  const local = { line: 5, column: 4 };
+
+  it('finds parameters and locals of the same function, declared before or after', () => {
+    assert.strictEqual(findScopeCollision(symbols, local, 'by', text), true);
+    assert.strictEqual(findScopeCollision(symbols, local, 'total', text), true);
+  });
+
+  it('allows struct literal fields, locals of closed blocks and names in other functions', () => {
+    assert.strictEqual(findScopeCollision(symbols, local, 'x', text), false);
+    assert.strictEqual(findScopeCollision(symbols, local, 'inner', text), false);
+    assert.strictEqual(findScopeCollision(symbols, local, 'count', text), false);
+    assert.strictEqual(findScopeCollision(symbols, local, 'a.b', text), false);
+  });
+
+  it('checks top-level symbols and struct fields among their siblings', () => {
+    assert.strictEqual(findScopeCollision(symbols, { line: 12, column: 3 }, 'scale', text), true);
+    assert.strictEqual(findScopeCollision(symbols, { line: 2, column: 4 }, 'scale', text), false);
+  });
+});
+
+describe('validateNewName', () => {
+  it('rejects keywords, built-in types and non-identifiers', () => {
+    assert.strictEqual(validateNewName('total'), null);
+    assert.match(validateNewName('while') || '', /reserved keyword/);
+    assert.match(validateNewName('int') || '', /built-in type/);
+    assert.match(validateNewName('2x') || '', /not a valid/);
+  });
+});
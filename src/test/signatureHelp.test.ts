@@ -0,0 +1,68 @@
+import * as assert from 'assert';
+import { describe, it } from 'node:test';
+import { chooseSignature, findCallSite, getLocalSignatureHelp, toSignatureInformation } from '../server/signatureHelp';
+
+describe('findCallSite', () => {
+  it('counts top-level commas, skipping strings and nested brackets', () => {
+    const text = 'y := add(square(x), "a, b", [1, 2], ';
+    assert.deepStrictEqual(findCallSite(text, { line: 0, character: text.length }), {
+      callee: 'add',
+      receiver: undefined,
+      calleePosition: { line: 0, character: 5 },
+      activeParameter: 3
+    });
+  });
+
+  it('follows a call split across lines and keeps the receiver', () => {
+    const text = 'd := p.distance(\n    q,\n    ';
+    const call = findCallSite(text, { line: 2, character: 4 });
+    assert.ok(call);
+    assert.deepStrictEqual([call.receiver, call.callee, call.activeParameter], ['p', 'distance', 1]);
+  });
+
+  it('ignores declarations, keywords, blocks and comments', () => {
+    const at = (text: string) => findCallSite(text, { line: 0, character: text.length });
+    assert.strictEqual(at('fn add(a: int, '), null);
+    assert.strictEqual(at('if (x > 0, '), null);
+    assert.strictEqual(at('while x {\n'), null);
+    assert.strictEqual(at('# add(1, '), null);
+  });
+});
+
+describe('toSignatureInformation', () => {
+  it('labels each parameter by its offsets and leaves out self', () => {
+    const label = 'fn Point.scale(self, by: float, origin: Point) -> Point';
+    const information = toSignatureInformation({ signature: label });
+    const labels = (information.parameters || []).map(parameter => {
+      const [start, end] = parameter.label as [number, number];
+      return label.substring(start, end);
+    });
+    assert.deepStrictEqual(labels, ['by: float', 'origin: Point']);
+  });
+});
+
+describe('chooseSignature', () => {
+  it('picks the first signature with enough parameters', () => {
+    const one = toSignatureInformation({ signature: 'fn f(a: int)' });
+    const two = toSignatureInformation({ signature: 'fn f(a: int, b: int)' });
+    assert.strictEqual(chooseSignature([one, two], 0), 0);
+    assert.strictEqual(chooseSignature([one, two], 1), 1);
+    assert.strictEqual(chooseSignature([one, two], 5), 0);
+  });
+});
+
+describe('getLocalSignatureHelp', () => {
+  it('prefers functions declared in the file, then other files', () => {
+    const text = 'fn add(a: int, b: int) -> int {\n    return a + b\n}\ny := add(1, ';
+    const call = findCallSite(text, { line: 3, character: 12 });
+    assert.ok(call);
+    const otherFiles = () => [{ signature: 'fn elsewhere()' }];
+
+    const help = getLocalSignatureHelp(text, call, otherFiles);
+    assert.strictEqual(help?.signatures[0].label, 'fn add(a: int, b: int) -> int');
+    assert.strictEqual(help?.activeParameter, 1);
+
+    const missing = getLocalSignatureHelp('y := nowhere(', { ...call, callee: 'nowhere' }, otherFiles);
+    assert.strictEqual(missing?.signatures[0].label, 'fn elsewhere()');
+  });
+});
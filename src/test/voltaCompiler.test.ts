@@ -0,0 +1,143 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { DiagnosticSeverity } from 'vscode-languageserver/node';
+import { stopCompilerDaemons } from '../server/compilerProcess';
+import { filePathToUri } from '../server/documentSnapshot';
+import { parseCompilerErrors, parseJsonDiagnostics, runVoltaCompiler } from '../server/voltaCompiler';
+
+const root = path.resolve('/workspace');
+const mainPath = path.join(root, 'main.vlt');
+const mainUri = filePathToUri(mainPath);
+
+describe('parseJsonDiagnostics', () => {
+  const output = JSON.stringify({
+    success: true,
+    result: {
+      diagnostics: [
+        {
+          severity: 'error',
+          code: 'E0301',
+          message: 'cannot assign to immutable variable x',
+          location: { file: mainPath, line: 3, column: 4, endLine: 3, endColumn: 5 },
+          related: [
+            { message: 'declared here', location: { line: 1, column: 0 } },
+            { message: 'defined in shapes', location: { file: path.join(root, 'shapes.vlt'), line: 2, column: 3 } }
+          ]
+        },
+        { severity: 'warning', message: 'unused variable y', location: { line: 5, column: 0 } },
+        { severity: 'error', message: 'type mismatch', location: { file: path.join(root, 'shapes.vlt'), line: 3, column: 4 } }
+      ]
+    }
+  });
+
+  it('keeps diagnostics of the checked file and routes related locations to their files', () => {
+    const diagnostics = parseJsonDiagnostics(output, mainPath, mainUri, { relatedInformation: true });
+    assert.ok(diagnostics);
+    assert.deepStrictEqual(diagnostics.map(diagnostic => [diagnostic.severity, diagnostic.code, diagnostic.range.start.line]), [
+      [DiagnosticSeverity.Error, 'E0301', 2],
+      [DiagnosticSeverity.Warning, undefined, 4]
+    ]);
+    assert.deepStrictEqual(diagnostics[0].relatedInformation?.map(info => [info.location.uri, info.location.range.start]), [
+      [mainUri, { line: 0, character: 0 }],
+      [filePathToUri(path.join(root, 'shapes.vlt')), { line: 1, character: 3 }]
+    ]);
+  });
+
+  it('maps the temp copy back to the document', () => {
+    const tempPath = path.join(root, '.~1.1.main.vlt');
+    const copied = output.split(JSON.stringify(mainPath).slice(1, -1)).join(JSON.stringify(tempPath).slice(1, -1));
+    const diagnostics = parseJsonDiagnostics(copied, tempPath, mainUri, { relatedInformation: true });
+    assert.strictEqual(diagnostics?.length, 2);
+  });
+
+  it('folds related information into the message for clients without support', () => {
+    const diagnostics = parseJsonDiagnostics(output, mainPath, mainUri, {});
+    assert.strictEqual(diagnostics?.[0].message, 'cannot assign to immutable variable x\ndeclared here (line 1)\ndefined in shapes (line 2)');
+  });
+
+  it('returns null for output that is not a JSON diagnostics response', () => {
+    assert.strictEqual(parseJsonDiagnostics('thread main panicked', mainPath, mainUri, {}), null);
+    assert.strictEqual(parseJsonDiagnostics('{"success": false}', mainPath, mainUri, {}), null);
+  });
+});
+
+describe('parseCompilerErrors', () => {
+  it('parses ranges, severities and notes', () => {
+    const stderr = [
+      ':2:3-4: error: Type mismatch',
+      '  note: expected str',
+      ':4:1: note: declared here',
+      ':6:0-2: warning: unused variable'
+    ].join('\n');
+    const diagnostics = parseCompilerErrors(stderr, 1, mainUri, { relatedInformation: true });
+
+    assert.deepStrictEqual(diagnostics.map(diagnostic => [diagnostic.severity, diagnostic.range, diagnostic.message]), [
+      [DiagnosticSeverity.Error, { start: { line: 1, character: 3 }, end: { line: 1, character: 4 } }, 'Type mismatch'],
+      [DiagnosticSeverity.Warning, { start: { line: 5, character: 0 }, end: { line: 5, character: 2 } }, 'unused variable']
+    ]);
+    assert.deepStrictEqual(diagnostics[0].relatedInformation?.map(info => [info.message, info.location.range.start.line]), [
+      ['expected str', 1],
+      ['declared here', 3]
+    ]);
+  });
+
+  it('reports unrecognised output of a failed run at the top of the file', () => {
+    const diagnostics = parseCompilerErrors('Segmentation fault\n', 139, mainUri, {});
+    assert.deepStrictEqual(diagnostics.map(diagnostic => [diagnostic.range.start, diagnostic.message]), [
+      [{ line: 0, character: 0 }, 'Segmentation fault']
+    ]);
+    assert.deepStrictEqual(parseCompilerErrors('compiled\n', 0, mainUri, {}), []);
+  });
+});
+
+describe('runVoltaCompiler', () => {
+  let folder: string;
+
+  before(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'volta-compiler-'));
+  });
+
+  after(() => {
+    stopCompilerDaemons();
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  // A compiler without a daemon mode that logs its arguments and answers JSON runs as told
+  function stubCompiler(name: string, jsonRun: string): { compilerPath: string; runs: () => string[] } {
+    const compilerPath = path.join(folder, name);
+    const logPath = `${compilerPath}.log`;
+    fs.writeFileSync(compilerPath, [
+      '#!/usr/bin/env node',
+      'const args = process.argv.slice(2);',
+      'if (args[0] === \'--lsp-daemon\') process.exit(1);',
+      `require('fs').appendFileSync(${JSON.stringify(logPath)}, args.filter(arg => arg.startsWith('--')).join(' ') + '\\n');`,
+      `if (args.includes('--diagnostics-format=json')) { ${jsonRun} }`,
+      'process.stderr.write(\':1:0-1: error: bad\\n\');',
+      'process.exit(1);'
+    ].join('\n'), { mode: 0o755 });
+    return { compilerPath, runs: () => fs.readFileSync(logPath, 'utf8').trim().split('\n') };
+  }
+
+  it('keeps trying JSON after a crash, but not after a clean run without JSON', async () => {
+    const source = path.join(folder, 'main.vlt');
+    fs.writeFileSync(source, 'x := 1\n');
+    const uri = filePathToUri(source);
+
+    const crashing = stubCompiler('crashing', 'process.stderr.write(\'panicked\\n\'); process.exit(101);');
+    await runVoltaCompiler(crashing.compilerPath, 'x := 1\n', uri);
+    const result = await runVoltaCompiler(crashing.compilerPath, 'x := 1\n', uri);
+    assert.strictEqual(result.diagnostics[0].message, 'bad');
+    assert.deepStrictEqual(crashing.runs(), [
+      '--no-execute --diagnostics-format=json', '--no-execute',
+      '--no-execute --diagnostics-format=json', '--no-execute'
+    ]);
+
+    const textOnly = stubCompiler('text-only', 'process.exit(0);');
+    await runVoltaCompiler(textOnly.compilerPath, 'x := 1\n', uri);
+    await runVoltaCompiler(textOnly.compilerPath, 'x := 1\n', uri);
+    assert.deepStrictEqual(textOnly.runs(), ['--no-execute --diagnostics-format=json', '--no-execute', '--no-execute']);
+  });
+});